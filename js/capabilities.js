@@ -0,0 +1,97 @@
+// WebGL capability detection and shader path selection
+//
+// The shaders are written once in GLSL ES 1.00 and compiled along one of the
+// paths below (see applyShaderPath() in shaders.js). Selection only reads the
+// capabilities object, and detection only calls getParameter(), getExtension()
+// and getShaderPrecisionFormat(), so both run against a mocked context.
+
+// Texture units the layer binds at once: three per dataset slot, the color ramp and the field
+export const REQUIRED_TEXTURE_UNITS = 8;
+
+// Fragment uniform vectors below which a WebGL1 device gets the reduced path;
+// desktop GPUs offer 221 or more, many phones and integrated GPUs 64
+const ROOMY_FRAGMENT_UNIFORM_VECTORS = 221;
+
+// Shader paths, best first
+// maxFragmentSamples bounds the points visited per texel; WebGL1 drivers may unroll
+// the loop, so their budgets are smaller to stay clear of GPU watchdog resets
+export const SHADER_PATHS = {
+    webgl2: {
+        label: 'WebGL2',
+        glslVersion: '300 es',
+        texelFetch: true,           // Read data textures by integer texel
+        maxFragmentSamples: 2048
+    },
+    webgl1: {
+        label: 'WebGL1',
+        glslVersion: '100',
+        texelFetch: false,
+        maxFragmentSamples: 1024
+    },
+    webgl1Reduced: {
+        label: 'WebGL1 (reduced point budget)',
+        glslVersion: '100',
+        texelFetch: false,
+        maxFragmentSamples: 256
+    }
+};
+
+// Whether a context is the browser's own WebGL context rather than a stand-in
+function isBrowserContext(gl) {
+    return [globalThis.WebGLRenderingContext, globalThis.WebGL2RenderingContext]
+        .some((type) => typeof type === 'function' && gl instanceof type);
+}
+
+// Read what the layer needs to know about a WebGL context
+export function detectCapabilities(gl) {
+    const version = String(gl.getParameter(gl.VERSION) || '');
+    const webgl2 = version.startsWith('WebGL 2');
+    const highp = gl.getShaderPrecisionFormat(gl.FRAGMENT_SHADER, gl.HIGH_FLOAT);
+
+    return {
+        webgl2,
+        version,
+        // WebGL2 has float textures built in, WebGL1 needs an extension for them
+        floatTextures: webgl2 || Boolean(gl.getExtension('OES_texture_float')),
+        highpFragment: Boolean(highp && highp.precision > 0),
+        maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        maxTextureUnits: gl.getParameter(gl.MAX_TEXTURE_IMAGE_UNITS),
+        maxFragmentUniformVectors: gl.getParameter(gl.MAX_FRAGMENT_UNIFORM_VECTORS),
+        // Rain and snow particles (see particles.js) are instanced and read the field in their vertex shader
+        instancedArrays: webgl2 || Boolean(gl.getExtension('ANGLE_instanced_arrays')),
+        maxVertexTextureUnits: gl.getParameter(gl.MAX_VERTEX_TEXTURE_IMAGE_UNITS),
+        // Exports render the field pass and read it back, which a mocked context can't
+        // do; there the layer computes them on the CPU instead
+        readback: isBrowserContext(gl)
+    };
+}
+
+// Pick the shader path for a device's capabilities
+// Returns { name, label, glslVersion, texelFetch, maxFragmentSamples, reason }; throws
+// when the device can't draw the layer at all
+export function selectShaderPath(capabilities) {
+    if (!capabilities.floatTextures) {
+        throw new Error('Floating point textures are not supported by this browser');
+    }
+    if (!capabilities.highpFragment) {
+        throw new Error('High precision fragment shaders are not supported by this device');
+    }
+    if (capabilities.maxTextureUnits < REQUIRED_TEXTURE_UNITS) {
+        throw new Error(`The layer needs ${REQUIRED_TEXTURE_UNITS} texture units, this device has ${capabilities.maxTextureUnits}`);
+    }
+
+    let name;
+    let reason;
+    if (capabilities.webgl2) {
+        name = 'webgl2';
+        reason = 'WebGL2 context';
+    } else if (capabilities.maxFragmentUniformVectors < ROOMY_FRAGMENT_UNIFORM_VECTORS) {
+        name = 'webgl1Reduced';
+        reason = `WebGL1 context with ${capabilities.maxFragmentUniformVectors} fragment uniform vectors`;
+    } else {
+        name = 'webgl1';
+        reason = 'WebGL1 context';
+    }
+
+    return { name, ...SHADER_PATHS[name], reason };
+}
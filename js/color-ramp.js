@@ -0,0 +1,92 @@
+// Color ramps: any number of { stop, color } entries with stop positions in 0-1
+//
+// Ramps are baked into a lookup texture for the shader and turned into a CSS
+// gradient for the legend, both from the same stops, so the two always agree.
+//   discrete:   each color fills the band from its stop up to the next stop
+//   continuous: colors are linearly interpolated between stops
+// Values below the first stop are transparent; values above the last take its color.
+
+export const RAMP_MODES = ['discrete', 'continuous'];
+
+// Number of entries in a baked ramp
+export const RAMP_SIZE = 256;
+
+// Check a ramp before it is baked; stops must be ascending within 0-1
+export function validateColorRamp(ramp, mode) {
+    if (!Array.isArray(ramp) || ramp.length === 0) {
+        throw new Error('Color ramp needs at least one stop');
+    }
+    ramp.forEach(({ stop, color }, i) => {
+        if (!(stop >= 0 && stop <= 1)) {
+            throw new Error(`Color ramp stop ${i} must be between 0 and 1, got ${stop}`);
+        }
+        if (i > 0 && stop <= ramp[i - 1].stop) {
+            throw new Error(`Color ramp stops must be in ascending order (stop ${i})`);
+        }
+        if (!Array.isArray(color) || color.length !== 3) {
+            throw new Error(`Color ramp stop ${i} needs an [r, g, b] color`);
+        }
+    });
+    if (!RAMP_MODES.includes(mode)) {
+        throw new Error(`Unknown color ramp mode: ${mode}`);
+    }
+}
+
+// Color of a ramp at position t (0-1) as [r, g, b, a], components 0-255
+export function sampleColorRamp(ramp, mode, t) {
+    if (t < ramp[0].stop) {
+        return [0, 0, 0, 0];
+    }
+
+    let i = 0;
+    while (i < ramp.length - 1 && ramp[i + 1].stop <= t) {
+        i++;
+    }
+
+    if (mode === 'discrete' || i === ramp.length - 1) {
+        return [...ramp[i].color, 255];
+    }
+
+    const from = ramp[i];
+    const to = ramp[i + 1];
+    const f = (t - from.stop) / (to.stop - from.stop);
+    return [
+        Math.round(from.color[0] + (to.color[0] - from.color[0]) * f),
+        Math.round(from.color[1] + (to.color[1] - from.color[1]) * f),
+        Math.round(from.color[2] + (to.color[2] - from.color[2]) * f),
+        255
+    ];
+}
+
+// Bake a ramp into RAMP_SIZE RGBA entries; entry i holds the color at i / (RAMP_SIZE - 1)
+export function bakeColorRamp(ramp, mode) {
+    const data = new Uint8Array(RAMP_SIZE * 4);
+    for (let i = 0; i < RAMP_SIZE; i++) {
+        data.set(sampleColorRamp(ramp, mode, i / (RAMP_SIZE - 1)), i * 4);
+    }
+    return data;
+}
+
+// CSS linear-gradient matching the baked ramp
+export function colorRampToCSS(ramp, mode) {
+    const rgb = (color) => `rgb(${color.join(',')})`;
+    const parts = [];
+
+    // Transparent up to the first stop
+    if (ramp[0].stop > 0) {
+        parts.push('transparent 0%', `transparent ${ramp[0].stop * 100}%`);
+    }
+
+    ramp.forEach(({ stop, color }, i) => {
+        const start = stop * 100;
+        if (mode === 'discrete') {
+            // Hard stops: each color holds until the next stop
+            const end = i < ramp.length - 1 ? ramp[i + 1].stop * 100 : 100;
+            parts.push(`${rgb(color)} ${start}%`, `${rgb(color)} ${end}%`);
+        } else {
+            parts.push(`${rgb(color)} ${start}%`);
+        }
+    });
+
+    return `linear-gradient(to right, ${parts.join(', ')})`;
+}
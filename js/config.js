@@ -1,46 +1,113 @@
 // Configuration and test data for precipitation visualization layer
 
-// Default radial blob model parameters
+import { PALETTES } from './palettes.js';
+
+// Default color gradient stops for precipitation visualization (see palettes.js)
+export const COLOR_GRADIENT = PALETTES.blues.stops;
+
+// Default interpolation model parameters (see models.js)
 export const DEFAULT_CONFIG = {
-    influenceRadius: 25.0,  // Radius of influence for each point in kilometers
+    model: 'blob',          // Interpolation model: blob, idw, gaussian or nearest
+    influenceRadius: 25.0,  // Radius of influence for each point in kilometers (major radius of elliptical kernels)
+    kernelMinorRadius: null, // Minor radius (km) of an elliptical kernel; null = a circle (see kernels.js)
+    kernelOrientation: 0,   // Bearing of the kernel's major axis, degrees clockwise from north
     falloffSteepness: 1.8,   // Steepness of falloff (higher = sharper edges)
-    resolution: 512,         // Texture resolution (higher = smoother but slower)
-    minValue: 0.0,          // Minimum data value
-    maxValue: 1.0           // Maximum data value
+    intensityBoost: 1.15,   // Blob: boost applied to the blended value
+    idwPower: 2.0,          // IDW: power applied to distance
+    gaussianSigma: 10.0,    // Gaussian: kernel standard deviation in kilometers
+    gridFilter: 'bilinear', // Gridded input filtering: bilinear or bicubic
+    colorRamp: 'blues',     // Palette name (see palettes.js) or color ramp stops (see color-ramp.js)
+    rampMode: 'discrete',   // Color ramp mode: discrete bands or continuous
+    resolution: 512,        // Field texture size in pixels along its longer side (higher = smoother but slower)
+    minValue: 0.0,          // Bottom of the value domain; values at or below it are transparent
+    maxValue: 1.0,          // Top of the value domain
+    scale: 'linear',        // Value scale: linear, log or { type: 'custom', breaks } (see scales.js)
+    units: '',              // Units shown in the legend and labels, e.g. mm/h or dBZ
+    typeRamps: {            // Ramps of the other precipitation types; rain uses colorRamp (see precip-types.js)
+        snow: 'snow',
+        sleet: 'sleet',
+        hail: 'hail'
+    },
+    contours: null,         // Contour lines to draw: { thresholds, color, width } (see contours.js)
+    clipGeometry: null,     // GeoJSON polygons; precipitation outside them is masked (see mask.js)
+    maxStationDistance: null, // Mask precipitation further than this from the nearest point (km)
+    maskStyle: 'transparent', // Masked precipitation: 'transparent' or 'hatched'
+    uncertaintyEncoding: 'none', // Show probability or spread by opacity, stipple or saturation (see uncertainty.js)
+    maxSpread: null,        // Spread (data units) shown as no confidence; null = maxValue - minValue
+    splitSide: null,        // Draw only 'left' or 'right' of a divider, for swipe comparisons (see split-view.js)
+    splitPosition: 0.5,     // Divider position across the map (0-1)
+    motion: null,           // Nowcast motion { u, v } in km/h east and north; points may carry their own (see nowcast.js)
+    leadTime: 0,            // Nowcast lead time in minutes; 0 shows the data as it is
+    nowcastFadeTime: 120,   // Lead time (minutes) at which the nowcast has faded out
+    particles: null,        // Falling rain and snow: { count, speed, size, pauseAfter } (see particles.js)
+    renderWorldCopies: true // Draw the field on every visible copy of the world
 };
 
-// Generate natural-looking precipitation patterns with 200 points
-function generatePrecipitationPoints() {
-    const points = [];
+// Common value domains for precipitation data
+// Test data is normalized (0-1); the demo maps it into a preset's units
+export const VALUE_PRESETS = {
+    normalized: {
+        label: 'Normalized (0-1)',
+        units: '',
+        minValue: 0.0,
+        maxValue: 1.0,
+        scale: 'linear'
+    },
+    rainRate: {
+        label: 'Rain rate (mm/h)',
+        units: 'mm/h',
+        minValue: 0.1,
+        maxValue: 100.0,
+        scale: 'log'
+    },
+    reflectivity: {
+        label: 'Radar reflectivity (dBZ)',
+        units: 'dBZ',
+        minValue: 5.0,
+        maxValue: 75.0,
+        scale: 'linear'
+    },
+    accumulation: {
+        label: '24h accumulation (mm)',
+        units: 'mm',
+        minValue: 0.0,
+        maxValue: 150.0,
+        scale: { type: 'custom', breaks: [0, 1, 5, 10, 20, 50, 100, 150] }
+    }
+};
 
-    // Define realistic rain clusters for southern Norway
-    // Western coastal areas get more rain (Atlantic weather systems)
-    // Multiple distinct frontal systems and convective cells
-    const rainClusters = [
-        // Strong coastal system (west coast - Bergen area)
-        { lng: 5.8, lat: 60.3, radius: 1.2, intensity: 0.92, density: 0.85 },
-        { lng: 6.5, lat: 59.8, radius: 0.9, intensity: 0.88, density: 0.80 },
+// Define realistic rain clusters for southern Norway
+// Western coastal areas get more rain (Atlantic weather systems)
+// Multiple distinct frontal systems and convective cells
+const RAIN_CLUSTERS = [
+    // Strong coastal system (west coast - Bergen area)
+    { lng: 5.8, lat: 60.3, radius: 1.2, intensity: 0.92, density: 0.85 },
+    { lng: 6.5, lat: 59.8, radius: 0.9, intensity: 0.88, density: 0.80 },
 
-        // Frontal system moving inland
-        { lng: 7.8, lat: 60.5, radius: 1.5, intensity: 0.75, density: 0.70 },
-        { lng: 8.5, lat: 59.5, radius: 1.3, intensity: 0.70, density: 0.65 },
+    // Frontal system moving inland
+    { lng: 7.8, lat: 60.5, radius: 1.5, intensity: 0.75, density: 0.70 },
+    { lng: 8.5, lat: 59.5, radius: 1.3, intensity: 0.70, density: 0.65 },
 
-        // Convective cells in interior regions
-        { lng: 10.2, lat: 60.8, radius: 0.6, intensity: 0.82, density: 0.75 },
-        { lng: 11.0, lat: 59.3, radius: 0.7, intensity: 0.78, density: 0.70 },
+    // Convective cells in interior regions
+    { lng: 10.2, lat: 60.8, radius: 0.6, intensity: 0.82, density: 0.75 },
+    { lng: 11.0, lat: 59.3, radius: 0.7, intensity: 0.78, density: 0.70 },
 
-        // Lighter precipitation in eastern valleys (rain shadow)
-        { lng: 11.8, lat: 61.2, radius: 0.8, intensity: 0.58, density: 0.55 },
-        { lng: 12.3, lat: 60.0, radius: 0.5, intensity: 0.52, density: 0.50 },
+    // Lighter precipitation in eastern valleys (rain shadow)
+    { lng: 11.8, lat: 61.2, radius: 0.8, intensity: 0.58, density: 0.55 },
+    { lng: 12.3, lat: 60.0, radius: 0.5, intensity: 0.52, density: 0.50 },
 
-        // Secondary system in the south
-        { lng: 8.0, lat: 58.5, radius: 1.0, intensity: 0.68, density: 0.60 },
-        { lng: 9.2, lat: 58.8, radius: 0.8, intensity: 0.72, density: 0.65 },
+    // Secondary system in the south
+    { lng: 8.0, lat: 58.5, radius: 1.0, intensity: 0.68, density: 0.60 },
+    { lng: 9.2, lat: 58.8, radius: 0.8, intensity: 0.72, density: 0.65 },
 
-        // Scattered showers
-        { lng: 10.8, lat: 58.3, radius: 0.4, intensity: 0.62, density: 0.50 },
-        { lng: 7.2, lat: 61.3, radius: 0.6, intensity: 0.65, density: 0.55 }
-    ];
+    // Scattered showers
+    { lng: 10.8, lat: 58.3, radius: 0.4, intensity: 0.62, density: 0.50 },
+    { lng: 7.2, lat: 61.3, radius: 0.6, intensity: 0.65, density: 0.55 }
+];
+
+// Generate natural-looking precipitation patterns with 200 points
+function generatePrecipitationPoints() {
+    const points = [];
 
     // Generate grid points covering the visible map area
     // Bounds match current view: west: 7.83, east: 12.67, south: 58.77, north: 60.71
@@ -62,7 +129,7 @@ function generatePrecipitationPoints() {
             // Calculate precipitation value based on proximity to rain clusters
             let maxValue = 0;
 
-            for (const cluster of rainClusters) {
+            for (const cluster of RAIN_CLUSTERS) {
                 const distLng = lng - cluster.lng;
                 const distLat = lat - cluster.lat;
                 const distance = Math.sqrt(distLng * distLng + distLat * distLat);
@@ -110,15 +177,107 @@ function generatePrecipitationPoints() {
 // Generate 200 points with natural precipitation patterns
 export const TEST_POINTS = generatePrecipitationPoints();
 
-// Color gradient stops for precipitation visualization
-// 5 distinct shades of blue for discrete thresholds
-export const COLOR_GRADIENT = [
-    { stop: 0.0, color: [135, 206, 250] },  // Light blue (0-20%)
-    { stop: 0.2, color: [100, 180, 230] },  // Light-medium blue (20-40%)
-    { stop: 0.4, color: [70, 130, 180] },   // Medium blue (40-60%)
-    { stop: 0.6, color: [30, 100, 200] },   // Blue (60-80%)
-    { stop: 0.8, color: [0, 60, 150] }      // Dark blue (80-100%)
-];
+// Give the test points precipitation types for a winter day: snow in the north,
+// a band of mixed sleet and snow across the middle and rain with hail in the
+// heaviest showers further south
+function assignWinterTypes(points) {
+    return points.map((point) => {
+        if (point.lat > 60.3) {
+            return { ...point, type: 'snow' };
+        }
+        if (point.lat > 59.9) {
+            const snow = (point.lat - 59.9) / 0.4;
+            return { ...point, fractions: { sleet: 1 - snow, snow } };
+        }
+        return point.value > 0.6 ? { ...point, fractions: { rain: 0.4, hail: 0.6 } } : point;
+    });
+}
+
+// The test points with rain, snow, sleet and hail
+export const TEST_WINTER_POINTS = assignWinterTypes(TEST_POINTS);
+
+// Give the test points an ensemble's probability of precipitation: the members agree
+// in the west, where the front has arrived, and less and less further east
+function assignProbabilities(points) {
+    return points.map((point) => {
+        const agreement = 1 - 0.85 * (point.lng - 7.5) / 5.5;
+        const probability = Math.min(Math.max(agreement + (Math.random() - 0.5) * 0.2, 0.1), 1);
+        return { ...point, probability: parseFloat(probability.toFixed(2)) };
+    });
+}
+
+// The test points with a probability of precipitation
+export const TEST_ENSEMBLE_POINTS = assignProbabilities(TEST_POINTS);
+
+// Smooth precipitation intensity from the rain clusters, shifted by [dLng, dLat] degrees
+function clusterIntensity(lng, lat, dLng, dLat) {
+    let value = 0;
+    for (const cluster of RAIN_CLUSTERS) {
+        const distance = Math.hypot(lng - cluster.lng - dLng, lat - cluster.lat - dLat);
+        if (distance < cluster.radius) {
+            const falloff = Math.cos((distance / cluster.radius) * Math.PI / 2);
+            value = Math.max(value, cluster.intensity * falloff);
+        }
+    }
+    return value;
+}
+
+// Generate a smooth model-style grid from the same rain clusters
+function generatePrecipitationGrid() {
+    const bounds = [4.5, 57.5, 13.5, 62.0];
+    const width = 180;
+    const height = 90;
+    const values = new Float32Array(width * height);
+
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            // Cell centres, starting at the north-west corner
+            const lng = bounds[0] + (col + 0.5) * (bounds[2] - bounds[0]) / width;
+            const lat = bounds[3] - (row + 0.5) * (bounds[3] - bounds[1]) / height;
+
+            const value = clusterIntensity(lng, lat, 0, 0);
+            values[row * width + col] = value < 0.08 ? 0.0 : value;
+        }
+    }
+
+    return { bounds, width, height, values };
+}
+
+// 180x90 grid over southern Norway, as a radar composite or NWP model would provide
+export const TEST_GRID = generatePrecipitationGrid();
+
+// Generate a radar-loop style time series: the rain clusters drift east-northeast
+// across the test stations over two hours, one frame every 10 minutes
+function generatePrecipitationFrames() {
+    const frameCount = 13;
+    const frameInterval = 10 * 60 * 1000;
+    const start = Date.UTC(2024, 9, 14, 12, 0);
+
+    const frames = [];
+    for (let i = 0; i < frameCount; i++) {
+        const points = TEST_POINTS.map(({ lng, lat }) => {
+            const value = clusterIntensity(lng, lat, -1.2 + i * 0.2, -0.3 + i * 0.05);
+            return { lng, lat, value: value < 0.08 ? 0.0 : parseFloat(value.toFixed(3)) };
+        });
+        frames.push({ time: start + i * frameInterval, points });
+    }
+
+    return frames;
+}
+
+// 13 frames of station observations at 10-minute intervals
+export const TEST_FRAMES = generatePrecipitationFrames();
+
+// Motion of the radar loop's rain clusters in km/h east and north, for nowcasts: they
+// move 0.2° east and 0.05° north every 10 minutes, at around 60°N
+export const TEST_MOTION = { u: 67, v: 33 };
+
+// A forecast for the test stations that places the rain clusters a little too far
+// east-northeast, to compare against the observations
+export const TEST_FORECAST_POINTS = TEST_POINTS.map(({ lng, lat }) => {
+    const value = clusterIntensity(lng, lat, 0.25, 0.1);
+    return { lng, lat, value: value < 0.08 ? 0.0 : parseFloat(value.toFixed(3)) };
+});
 
 // Map initial view centered on test points
 export const MAP_CONFIG = {
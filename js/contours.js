@@ -0,0 +1,271 @@
+// Isolines and filled contours of a gridded field (marching squares)
+//
+// Fields are grids in the grid.js format: { bounds, width, height, values } with
+// row 0 at the north edge and values at cell centres. The layer samples its
+// interpolated field into such a grid (see sampleField()), and gridded input can
+// be contoured directly.
+//
+// Contour segments are traced with the side at or above the threshold on their
+// left, so closed rings around high areas run counter-clockwise and rings around
+// low areas clockwise, as GeoJSON expects for exterior rings and holes.
+
+import { computeRowsInChunks } from './export.js';
+
+// Sample a function of [lng, lat] at the cell centres of a grid over bounds [west, south, east, north]
+export function sampleField(sample, bounds, width, height) {
+    const [west, south, east, north] = bounds;
+    const values = new Float32Array(width * height);
+    for (let row = 0; row < height; row++) {
+        const lat = north - (row + 0.5) * (north - south) / height;
+        for (let col = 0; col < width; col++) {
+            const lng = west + (col + 0.5) * (east - west) / width;
+            values[row * width + col] = sample([lng, lat]);
+        }
+    }
+    return { bounds, width, height, values };
+}
+
+// sampleField() in chunks of rows between pauses (see computeRowsInChunks() in export.js),
+// for fields too slow to sample in one go; options go to computeRowsInChunks()
+// Resolves to the grid, or null when options.isStale() turned true on the way
+export async function sampleFieldInChunks(sample, bounds, width, height, options) {
+    const [west, south, east, north] = bounds;
+    const values = new Float32Array(width * height);
+    const done = await computeRowsInChunks(width, height, (row) => {
+        const lat = north - (row + 0.5) * (north - south) / height;
+        for (let col = 0; col < width; col++) {
+            values[row * width + col] = sample([west + (col + 0.5) * (east - west) / width, lat]);
+        }
+    }, options);
+    return done ? { bounds, width, height, values } : null;
+}
+
+// Trace the threshold's contours through a width x height array of values
+// Returns { lines, rings } in fractional [col, row] node coordinates: open lines end
+// at the edge of the grid, rings are closed (first position repeated at the end)
+function traceContours(values, width, height, threshold) {
+    const value = (col, row) => values[row * width + col];
+    const positions = new Map();  // Crossing key -> [col, row]
+    const next = new Map();       // Segment start key -> end key
+    const hasIncoming = new Set();
+
+    // Crossing on the edge between two neighbouring nodes, always computed from the
+    // first node so both cells sharing the edge get the identical position
+    const crossingKey = (col0, row0, col1, row1) => {
+        const key = `${col0},${row0},${col1},${row1}`;
+        if (!positions.has(key)) {
+            const v0 = value(col0, row0);
+            const t = (threshold - v0) / (value(col1, row1) - v0);
+            positions.set(key, [col0 + (col1 - col0) * t, row0 + (row1 - row0) * t]);
+        }
+        return key;
+    };
+
+    for (let row = 0; row < height - 1; row++) {
+        for (let col = 0; col < width - 1; col++) {
+            // Cell edges counter-clockwise on the map (row grows southwards):
+            // left going south, bottom going east, right going north, top going west
+            const edges = [
+                [col, row, col, row + 1],
+                [col, row + 1, col + 1, row + 1],
+                [col + 1, row + 1, col + 1, row],
+                [col + 1, row, col, row]
+            ];
+
+            // Where the threshold is crossed, and whether going from high to low
+            const crossings = [];
+            edges.forEach(([c0, r0, c1, r1]) => {
+                const high0 = value(c0, r0) >= threshold;
+                const high1 = value(c1, r1) >= threshold;
+                if (high0 !== high1) {
+                    const key = c0 + r0 < c1 + r1 ? crossingKey(c0, r0, c1, r1) : crossingKey(c1, r1, c0, r0);
+                    crossings.push({ key, falling: high0 });
+                }
+            });
+
+            // Each segment runs from a falling crossing to a rising one; in a saddle the
+            // cell centre decides whether the high corners join (next) or not (previous)
+            const centreHigh = crossings.length === 4 &&
+                (value(col, row) + value(col + 1, row) + value(col, row + 1) + value(col + 1, row + 1)) / 4 >= threshold;
+            crossings.forEach(({ key, falling }, i) => {
+                if (!falling) {
+                    return;
+                }
+                const n = crossings.length;
+                const partner = crossings[centreHigh ? (i + 1) % n : (i + n - 1) % n];
+                next.set(key, partner.key);
+                hasIncoming.add(partner.key);
+            });
+        }
+    }
+
+    // Join segments: chains without a start are open lines, what is left are rings
+    const follow = (start) => {
+        const chain = [positions.get(start)];
+        let key = next.get(start);
+        next.delete(start);
+        while (key !== undefined) {
+            chain.push(positions.get(key));
+            const following = next.get(key);
+            next.delete(key);
+            key = following;
+        }
+        return chain;
+    };
+
+    const lines = [];
+    [...next.keys()].filter((key) => !hasIncoming.has(key)).forEach((key) => {
+        lines.push(follow(key));
+    });
+    const rings = [];
+    while (next.size > 0) {
+        rings.push(follow(next.keys().next().value));
+    }
+
+    return { lines, rings };
+}
+
+// Convert fractional [col, row] node coordinates of a grid to [lng, lat]
+// Positions are clamped to the grid's outermost cell centres
+function toLngLat(grid, [col, row]) {
+    const [west, south, east, north] = grid.bounds;
+    col = Math.min(Math.max(col, 0), grid.width - 1);
+    row = Math.min(Math.max(row, 0), grid.height - 1);
+    return [
+        west + (col + 0.5) * (east - west) / grid.width,
+        north - (row + 0.5) * (north - south) / grid.height
+    ];
+}
+
+// Convert a chain of node coordinates, dropping repeated positions left by clamping
+function toCoordinates(grid, chain) {
+    const coordinates = [];
+    chain.forEach((position) => {
+        const [lng, lat] = toLngLat(grid, position);
+        const last = coordinates[coordinates.length - 1];
+        if (!last || last[0] !== lng || last[1] !== lat) {
+            coordinates.push([lng, lat]);
+        }
+    });
+    return coordinates;
+}
+
+// Signed area of a ring; positive when counter-clockwise
+function ringArea(ring) {
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+        area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    return area / 2;
+}
+
+// Whether a position lies inside a ring (even-odd rule)
+function ringContains(ring, [x, y]) {
+    let inside = false;
+    for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+// Closed rings around areas at or above a threshold, split into
+// exteriors (counter-clockwise) and holes (clockwise)
+function traceAreaRings(grid, threshold) {
+    // A border below the threshold closes every contour; it is clamped back onto the grid's edge
+    const width = grid.width + 2;
+    const height = grid.height + 2;
+    const padded = new Float32Array(width * height).fill(threshold - 1);
+    for (let row = 0; row < grid.height; row++) {
+        for (let col = 0; col < grid.width; col++) {
+            padded[(row + 1) * width + col + 1] = grid.values[row * grid.width + col];
+        }
+    }
+
+    const exteriors = [];
+    const holes = [];
+    traceContours(padded, width, height, threshold).rings.forEach((chain) => {
+        const ring = toCoordinates(grid, chain.map(([col, row]) => [col - 1, row - 1]));
+        if (ring.length < 4) {
+            return; // Collapsed onto the edge
+        }
+        ring[ring.length - 1] = ring[0];
+        const area = ringArea(ring);
+        if (area > 0) {
+            exteriors.push(ring);
+        } else if (area < 0) {
+            holes.push(ring);
+        }
+    });
+
+    return { exteriors, holes };
+}
+
+// Assemble polygons, putting each hole in the smallest exterior around it
+function assemblePolygons(exteriors, holes) {
+    const polygons = exteriors
+        .map((ring) => ({ ring, area: ringArea(ring), holes: [] }))
+        .sort((a, b) => a.area - b.area);
+
+    holes.forEach((hole) => {
+        const owner = polygons.find(({ ring }) => ringContains(ring, hole[0]));
+        if (owner) {
+            owner.holes.push(hole);
+        }
+    });
+
+    return polygons.map(({ ring, holes: ownHoles }) => [ring, ...ownHoles]);
+}
+
+// Sort and check thresholds
+function normalizeThresholds(thresholds) {
+    if (!Array.isArray(thresholds) || thresholds.length === 0 || !thresholds.every(Number.isFinite)) {
+        throw new Error('Contours need at least one numeric threshold');
+    }
+    return [...thresholds].sort((a, b) => a - b);
+}
+
+// Isolines of a grid as a GeoJSON FeatureCollection, one MultiLineString per
+// threshold with the threshold as its `value` property
+export function isolines(grid, thresholds) {
+    const features = normalizeThresholds(thresholds).map((threshold) => {
+        const { lines, rings } = traceContours(grid.values, grid.width, grid.height, threshold);
+        const coordinates = [...lines, ...rings]
+            .map((chain) => toCoordinates(grid, chain))
+            .filter((line) => line.length >= 2);
+        return {
+            type: 'Feature',
+            properties: { value: threshold },
+            geometry: { type: 'MultiLineString', coordinates }
+        };
+    });
+
+    return { type: 'FeatureCollection', features };
+}
+
+// Filled contours of a grid as a GeoJSON FeatureCollection: one MultiPolygon per band
+// between neighbouring thresholds, with `lower` and `upper` properties (the top band's
+// upper is null). Bands don't overlap, so they can be drawn with any opacity.
+export function isobands(grid, thresholds) {
+    const levels = normalizeThresholds(thresholds);
+    const rings = levels.map((threshold) => traceAreaRings(grid, threshold));
+    const reverse = (ring) => [...ring].reverse();
+
+    const features = levels.map((lower, i) => {
+        // Contours of different thresholds never cross, so the band is the area above
+        // its lower threshold with the area above the upper one cut out
+        const above = rings[i + 1] || { exteriors: [], holes: [] };
+        const exteriors = [...rings[i].exteriors, ...above.holes.map(reverse)];
+        const holes = [...rings[i].holes, ...above.exteriors.map(reverse)];
+        return {
+            type: 'Feature',
+            properties: { lower, upper: i + 1 < levels.length ? levels[i + 1] : null },
+            geometry: { type: 'MultiPolygon', coordinates: assemblePolygons(exteriors, holes) }
+        };
+    });
+
+    return { type: 'FeatureCollection', features };
+}
@@ -0,0 +1,128 @@
+// Datasets: one set of input data, prepared for upload to the GPU
+//
+// A dataset holds either scattered points (with their spatial bucket index) or a
+// grid. The layer keeps GPU textures for each dataset it has drawn, so switching
+// between datasets, such as animation frames, never re-uploads data.
+
+import {
+    buildSpatialIndex,
+    createPointTextureData,
+    createCellTextureData,
+    updatePointTextureValues
+} from './spatial-index.js';
+import { validateGrid, createGridTextureData } from './grid.js';
+import { getSearchRadius, getPointKernels } from './kernels.js';
+
+// Prepare points or a grid for the GPU; the influence radius (km), widened to reach
+// the largest point kernel (see kernels.js) and stretched to the model's reach (see
+// models.js), sizes the bucket index, and maxSpread (data units) scales point spreads
+// into confidence (see uncertainty.js)
+export function createDataset(data, influenceRadius, maxSpread, reach = influenceRadius) {
+    const points = Array.isArray(data) ? data : [];
+    const grid = Array.isArray(data) ? null : data;
+    if (grid) {
+        validateGrid(grid);
+    }
+
+    const searchRadius = getSearchRadius(points, influenceRadius, reach);
+    const pointKernels = getPointKernels(points);
+    const spatialIndex = buildSpatialIndex(points, searchRadius);
+
+    return {
+        points,
+        grid,
+        searchRadius,
+        maxSpread,
+        pointKernels,   // Each point's own kernel or null, stored next to it in the point texture; null when none has one
+        spatialIndex,
+        pointTextureData: createPointTextureData(points, spatialIndex, maxSpread, pointKernels),
+        cellTextureData: createCellTextureData(spatialIndex),
+        gridTextureData: createGridTextureData(grid),
+        textures: null  // Created by the layer on first upload
+    };
+}
+
+// Points of a transition from one snapshot of points to the next, where diff is
+// diffSnapshots(previous, next) (see live-source.js): every point of either snapshot
+// with the value it animates from and to. Changed points go from their old value to
+// their new one, added points grow from 0 and removed points shrink to 0; a point that
+// moved shrinks where it was and grows where it is. Everything but the value is taken
+// from the snapshot the point comes from.
+// Returns { points, fromValues, toValues }; the points are copies, free to be animated
+export function createTransitionPoints(next, diff) {
+    const previousOf = new Map(diff.changed.map(({ from, to }) => [to, from]));
+    const added = new Set(diff.added);
+    const points = [];
+    const fromValues = [];
+    const toValues = [];
+    const addPoint = (point, fromValue, toValue) => {
+        points.push({ ...point, value: fromValue });
+        fromValues.push(fromValue);
+        toValues.push(toValue);
+    };
+
+    next.forEach((point) => {
+        const previous = previousOf.get(point);
+        if (added.has(point)) {
+            addPoint(point, 0, point.value);
+        } else if (previous && (previous.lng !== point.lng || previous.lat !== point.lat)) {
+            addPoint(previous, previous.value, 0);
+            addPoint(point, 0, point.value);
+        } else {
+            addPoint(point, previous ? previous.value : point.value, point.value);
+        }
+    });
+    diff.removed.forEach((point) => addPoint(point, point.value, 0));
+
+    return { points, fromValues, toValues };
+}
+
+// Set a transition dataset's values blend (0-1) of the way from fromValues to toValues,
+// in its points and its point texture data (see createTransitionPoints())
+export function blendDatasetValues(dataset, fromValues, toValues, blend) {
+    dataset.points.forEach((point, i) => {
+        point.value = fromValues[i] + (toValues[i] - fromValues[i]) * blend;
+    });
+    updatePointTextureValues(dataset.pointTextureData, dataset.points, dataset.spatialIndex, dataset.pointKernels);
+}
+
+// Validate and order time-series frames: [{ time, points } | { time, grid }]
+// Times may be Dates, ISO strings or epoch milliseconds
+export function normalizeFrames(frames) {
+    if (!Array.isArray(frames) || frames.length === 0) {
+        throw new Error('Time series needs at least one frame');
+    }
+
+    return frames.map((frame, i) => {
+        const time = new Date(frame.time).getTime();
+        if (Number.isNaN(time)) {
+            throw new Error(`Frame ${i} has an invalid time: ${frame.time}`);
+        }
+        if (!frame.points && !frame.grid) {
+            throw new Error(`Frame ${i} needs either points or a grid`);
+        }
+        if (i > 0 && time <= new Date(frames[i - 1].time).getTime()) {
+            throw new Error(`Frame ${i} is not after frame ${i - 1}; frames must be in time order`);
+        }
+        return { time, data: frame.points || frame.grid };
+    });
+}
+
+// Find the frames around a time and how far between them it lies
+export function findFramePair(frames, time) {
+    if (time <= frames[0].time) {
+        return { from: 0, to: 0, blend: 0 };
+    }
+
+    const last = frames.length - 1;
+    if (time >= frames[last].time) {
+        return { from: last, to: last, blend: 0 };
+    }
+
+    let from = 0;
+    while (frames[from + 1].time <= time) {
+        from++;
+    }
+    const blend = (time - frames[from].time) / (frames[from + 1].time - frames[from].time);
+    return { from, to: from + 1, blend };
+}
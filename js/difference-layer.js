@@ -0,0 +1,112 @@
+// Difference layer: the field of one precipitation layer minus another's
+//
+// Shows A - B, e.g. observed minus forecast or one accumulation period minus
+// another, on a diverging palette centred on zero (see setDifference() on the
+// layer). It draws the two layers' current data and follows their 'dataupdate'
+// events while it is on a map; both must show points or a grid, not a time
+// series. Interpolation settings come from A unless config overrides them, and
+// follow A's 'configchange' events while on the map.
+
+import { PrecipitationLayer } from './precipitation-layer.js';
+
+// How differences are drawn unless config says otherwise
+const DIFFERENCE_CONFIG = {
+    colorRamp: 'difference',
+    rampMode: 'continuous',
+    scale: 'linear',
+    contours: null,
+    uncertaintyEncoding: 'none',
+    splitSide: null,
+    particles: null
+};
+
+// Settings a difference layer keeps as its own rather than following the minuend's
+const OWN_CONFIG_KEYS = [...Object.keys(DIFFERENCE_CONFIG), 'splitPosition', 'minValue', 'maxValue'];
+
+// Current data of a layer: its points or its grid
+function getLayerData(layer) {
+    return layer.grid || layer.points;
+}
+
+export class DifferenceLayer extends PrecipitationLayer {
+    // config.range puts the domain at [-range, range] in data units; by default
+    // it spans the wider of the two layers' value domains
+    constructor(id, minuend, subtrahend, config = {}) {
+        if (minuend.frames || subtrahend.frames) {
+            throw new Error('A difference layer can\'t compare time series');
+        }
+
+        const {
+            range = Math.max(
+                minuend.config.maxValue - minuend.config.minValue,
+                subtrahend.config.maxValue - subtrahend.config.minValue
+            ),
+            ...layerConfig
+        } = config;
+        super(id, getLayerData(minuend), {
+            ...minuend.config,
+            ...DIFFERENCE_CONFIG,
+            minValue: -range,
+            maxValue: range,
+            ...layerConfig
+        });
+
+        this.minuend = minuend;
+        this.subtrahend = subtrahend;
+        this.ownConfigKeys = [...OWN_CONFIG_KEYS, ...Object.keys(layerConfig)];
+        this.setDifference(getLayerData(subtrahend));
+        this.onSourceUpdate = () => this.followSources();
+        this.onSourceConfigChange = (event) => this.followConfig(event);
+    }
+
+    // Take the two layers' current data; when either shows a time series the data
+    // stays as it was and false is returned
+    takeSourceData() {
+        if (this.minuend.frames || this.subtrahend.frames) {
+            return false;
+        }
+
+        const data = getLayerData(this.minuend);
+        this.points = Array.isArray(data) ? data : [];
+        this.grid = Array.isArray(data) ? null : data;
+        this.differenceData = getLayerData(this.subtrahend);
+        return true;
+    }
+
+    // Redraw after either layer got new data
+    followSources() {
+        if (!this.takeSourceData()) {
+            this.reportError(new Error('A difference layer can\'t compare time series'));
+            return;
+        }
+        this.setDifference(this.differenceData);
+    }
+
+    // Take the settings the minuend changed, except those drawing differences and
+    // those config overrode
+    followConfig({ config, changed }) {
+        const keys = changed.filter((key) => !this.ownConfigKeys.includes(key));
+        if (keys.length > 0) {
+            this.updateConfig(Object.fromEntries(keys.map((key) => [key, config[key]])));
+        }
+    }
+
+    // Follow the two layers while on the map; their data and the minuend's settings
+    // may have changed since
+    onAdd(map, gl) {
+        this.minuend.on('dataupdate', this.onSourceUpdate);
+        this.subtrahend.on('dataupdate', this.onSourceUpdate);
+        this.minuend.on('configchange', this.onSourceConfigChange);
+        this.takeSourceData();
+        this.followConfig({ config: this.minuend.config, changed: Object.keys(this.minuend.config) });
+        super.onAdd(map, gl);
+    }
+
+    // Stop following the two layers
+    onRemove(map, gl) {
+        this.minuend.off('dataupdate', this.onSourceUpdate);
+        this.subtrahend.off('dataupdate', this.onSourceUpdate);
+        this.minuend.off('configchange', this.onSourceConfigChange);
+        super.onRemove(map, gl);
+    }
+}
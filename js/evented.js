@@ -0,0 +1,52 @@
+// Minimal event emitter, in the style of MapLibre's on/off/once/fire
+
+export class Evented {
+    constructor() {
+        this.listeners = {};
+    }
+
+    // Listen for events of a type
+    on(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+        return this;
+    }
+
+    // Stop listening
+    off(type, listener) {
+        if (this.listeners[type]) {
+            this.listeners[type] = this.listeners[type].filter((l) => l !== listener && l.listener !== listener);
+        }
+        return this;
+    }
+
+    // Listen for the next event of a type only
+    once(type, listener) {
+        const wrapper = (event) => {
+            this.off(type, wrapper);
+            listener.call(this, event);
+        };
+        wrapper.listener = listener;
+        return this.on(type, wrapper);
+    }
+
+    // Whether anything listens for a type
+    listens(type) {
+        return Boolean(this.listeners[type] && this.listeners[type].length > 0);
+    }
+
+    // Call the listeners of a type with { type, target, ...properties }
+    // Errors nobody listens for are logged so they don't vanish
+    fire(type, properties = {}) {
+        const event = { type, target: this, ...properties };
+        if (!this.listens(type)) {
+            if (type === 'error') {
+                console.error(event.error || event);
+            }
+            return this;
+        }
+
+        // Copy, so listeners may remove themselves while being called
+        [...this.listeners[type]].forEach((listener) => listener.call(this, event));
+        return this;
+    }
+}
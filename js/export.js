@@ -0,0 +1,258 @@
+// File encoders for exporting the precipitation field
+//
+// The layer computes its field over a grid of equal-angle cells in the grid.js
+// format, row 0 at the north edge, and hands it here: colorised pixels (rendered by
+// the field pass, or on contexts that can't read it back, by its CPU mirror in
+// interpolation.js) become a PNG, values sampled on the CPU a single-band GeoTIFF in
+// EPSG:4326. The encoders need no canvas, so exports also run headless.
+
+// Longest side of an export in pixels
+export const MAX_EXPORT_SIZE = 8192;
+
+// Pixels computed between pauses: every pixel runs several CPU walks over the points,
+// so large exports yield to the event loop this often to keep the page responsive
+export const EXPORT_CHUNK_PIXELS = 16384;
+
+// Call computeRow(row) for rows 0 to height - 1 of an image width pixels wide,
+// yielding to the event loop between chunks of about chunkPixels pixels
+// Resolves to true once every row is done, or false when isStale() turned true at a
+// pause and the remaining rows were skipped
+export async function computeRowsInChunks(width, height, computeRow,
+    { chunkPixels = EXPORT_CHUNK_PIXELS, isStale = () => false } = {}) {
+    const chunkRows = Math.max(1, Math.floor(chunkPixels / width));
+    for (let row = 0; row < height; row++) {
+        computeRow(row);
+        if ((row + 1) % chunkRows === 0 && row + 1 < height) {
+            await new Promise((resolve) => setTimeout(resolve, 0));
+            if (isStale()) {
+                return false;
+            }
+        }
+    }
+    return true;
+}
+
+// Resolve export options to { bounds, width, height }
+// The size comes from width and height, or pixelSize (degrees per pixel), or the
+// longer side `size` with the other following the bounds' aspect ratio
+export function planExport({ bounds, width, height, pixelSize, size = 1024 }) {
+    const [west, south, east, north] = bounds;
+    if (!(east > west && north > south)) {
+        throw new Error('Export bounds must be [west, south, east, north] with east > west and north > south');
+    }
+
+    if (width === undefined || height === undefined) {
+        if (pixelSize !== undefined) {
+            if (!(pixelSize > 0)) {
+                throw new Error('pixelSize must be a positive size in degrees');
+            }
+            width = Math.max(1, Math.round((east - west) / pixelSize));
+            height = Math.max(1, Math.round((north - south) / pixelSize));
+        } else {
+            const aspect = (east - west) / (north - south);
+            width = Math.max(1, Math.round(aspect >= 1 ? size : size * aspect));
+            height = Math.max(1, Math.round(aspect >= 1 ? size / aspect : size));
+        }
+    }
+
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+        throw new Error('Export width and height must be whole numbers of pixels');
+    }
+    if (width > MAX_EXPORT_SIZE || height > MAX_EXPORT_SIZE) {
+        throw new Error(`Exports are limited to ${MAX_EXPORT_SIZE} pixels per side, got ${width} x ${height}`);
+    }
+    return { bounds: [west, south, east, north], width, height };
+}
+
+// CRC-32 lookup table of the PNG specification
+const CRC_TABLE = new Uint32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+// CRC-32 of some bytes
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Compress bytes into a zlib stream with the platform's CompressionStream
+async function deflate(bytes) {
+    const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+// A PNG chunk: length, type, data and CRC of type and data
+function pngChunk(type, data) {
+    const chunk = new Uint8Array(12 + data.length);
+    const view = new DataView(chunk.buffer);
+    view.setUint32(0, data.length);
+    chunk.set([...type].map((char) => char.charCodeAt(0)), 4);
+    chunk.set(data, 8);
+    view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+    return chunk;
+}
+
+// Encode RGBA pixels (row 0 at the top) as PNG bytes
+export async function encodePNG(pixels, width, height) {
+    const header = new Uint8Array(13);
+    const headerView = new DataView(header.buffer);
+    headerView.setUint32(0, width);
+    headerView.setUint32(4, height);
+    header.set([8, 6, 0, 0, 0], 8); // 8 bits per channel, RGBA, deflate, no filter, no interlace
+
+    // Every scanline starts with filter type 0 (none)
+    const rowLength = width * 4;
+    const scanlines = new Uint8Array((rowLength + 1) * height);
+    for (let row = 0; row < height; row++) {
+        scanlines.set(pixels.subarray(row * rowLength, (row + 1) * rowLength), row * (rowLength + 1) + 1);
+    }
+
+    const chunks = [
+        new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', await deflate(scanlines)),
+        pngChunk('IEND', new Uint8Array(0))
+    ];
+    const png = new Uint8Array(chunks.reduce((length, chunk) => length + chunk.length, 0));
+    chunks.reduce((offset, chunk) => {
+        png.set(chunk, offset);
+        return offset + chunk.length;
+    }, 0);
+    return png;
+}
+
+// TIFF field types used below, with their sizes in bytes
+const TIFF_TYPES = {
+    ascii: { id: 2, size: 1 },
+    short: { id: 3, size: 2 },
+    long: { id: 4, size: 4 },
+    double: { id: 12, size: 8 }
+};
+
+// GeoTIFF keys: a geographic model in WGS 84 (EPSG:4326), values over each cell's area
+const GEO_KEYS = [
+    [1024, 2],      // GTModelTypeGeoKey: ModelTypeGeographic
+    [1025, 1],      // GTRasterTypeGeoKey: RasterPixelIsArea
+    [2048, 4326],   // GeographicTypeGeoKey: WGS 84
+    [2054, 9102]    // GeogAngularUnitsGeoKey: degrees
+];
+
+// ASCII spellings of characters found in units and descriptions that have no
+// decomposition into ASCII letters and accents (see toASCII())
+const ASCII_SPELLINGS = {
+    'µ': 'u', 'μ': 'u', '°': 'deg', '±': '+/-', '×': 'x', '·': '.', '‰': 'permille',
+    'ß': 'ss', 'æ': 'ae', 'Æ': 'AE', 'ø': 'o', 'Ø': 'O', 'œ': 'oe', 'Œ': 'OE',
+    'ł': 'l', 'Ł': 'L', 'đ': 'd', 'Đ': 'D', 'ð': 'd', 'Ð': 'D', 'þ': 'th', 'Þ': 'Th',
+    '‘': "'", '’': "'", '“': '"', '”': '"', '–': '-', '—': '-'
+};
+
+// TIFF ASCII fields hold 7-bit text, so spell the rest out: "µg/m³" becomes "ug/m3",
+// "°C" "degC" and "Nedbør på Ås" "Nedbor pa As"
+// Throws for characters without an ASCII spelling rather than writing them garbled
+function toASCII(text) {
+    const ascii = [...text]
+        .map((char) => ASCII_SPELLINGS[char] ?? char)
+        .join('')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, ''); // Accents split off by the decomposition
+    const other = ascii.match(/[^\x00-\x7f]/u);
+    if (other) {
+        throw new Error(`GeoTIFF text must be ASCII, and "${other[0]}" has no ASCII spelling`);
+    }
+    return ascii;
+}
+
+// Encode a grid (grid.js format, bounds in degrees) as a single-band Float32 GeoTIFF
+// The file is little-endian and uncompressed, with the image in one strip; a
+// description, such as the value units, goes in the ImageDescription tag as ASCII
+// (see toASCII()). NaN values mark cells without data, declared as such by the
+// GDAL_NODATA tag
+export function encodeGeoTIFF({ bounds, width, height, values }, description = '') {
+    const [west, south, east, north] = bounds;
+    const geoKeys = [1, 1, 0, GEO_KEYS.length, ...GEO_KEYS.flatMap(([key, value]) => [key, 0, 1, value])];
+    const text = [...`${toASCII(description)}\0`].map((char) => char.charCodeAt(0));
+
+    // Tags in ascending order; the strip offset is filled in once the layout is known
+    const tags = [
+        [256, 'long', [width]],             // ImageWidth
+        [257, 'long', [height]],            // ImageLength
+        [258, 'short', [32]],               // BitsPerSample
+        [259, 'short', [1]],                // Compression: none
+        [262, 'short', [1]],                // PhotometricInterpretation: BlackIsZero
+        [270, 'ascii', text],               // ImageDescription
+        [273, 'long', [0]],                 // StripOffsets
+        [277, 'short', [1]],                // SamplesPerPixel
+        [278, 'long', [height]],            // RowsPerStrip
+        [279, 'long', [width * height * 4]], // StripByteCounts
+        [284, 'short', [1]],                // PlanarConfiguration: chunky
+        [339, 'short', [3]],                // SampleFormat: IEEE floating point
+        [33550, 'double', [(east - west) / width, (north - south) / height, 0]], // ModelPixelScale
+        [33922, 'double', [0, 0, 0, west, north, 0]], // ModelTiepoint: top left corner
+        [34735, 'short', geoKeys],          // GeoKeyDirectory
+        [42113, 'ascii', [...'nan\0'].map((char) => char.charCodeAt(0))] // GDAL_NODATA
+    ];
+
+    // Header, IFD, then tag values too long to fit in their entries, then the image
+    const ifdOffset = 8;
+    const ifdLength = 2 + tags.length * 12 + 4;
+    let dataOffset = ifdOffset + ifdLength;
+    const layout = tags.map(([tag, type, tagValues]) => {
+        const length = TIFF_TYPES[type].size * tagValues.length;
+        const offset = length > 4 ? dataOffset : null;
+        if (offset !== null) {
+            dataOffset += length + (length % 2); // Values start on word boundaries
+        }
+        return { tag, type, values: tagValues, offset };
+    });
+    const stripOffset = dataOffset + (dataOffset % 4);
+    layout.find(({ tag }) => tag === 273).values = [stripOffset];
+
+    const bytes = new ArrayBuffer(stripOffset + width * height * 4);
+    const view = new DataView(bytes);
+    view.setUint16(0, 0x4949);          // "II": little-endian
+    view.setUint16(2, 42, true);
+    view.setUint32(4, ifdOffset, true);
+
+    // Write a tag's values at a position
+    const writeValues = (position, type, tagValues) => {
+        tagValues.forEach((value, i) => {
+            const at = position + i * TIFF_TYPES[type].size;
+            if (type === 'ascii') {
+                view.setUint8(at, value);
+            } else if (type === 'short') {
+                view.setUint16(at, value, true);
+            } else if (type === 'long') {
+                view.setUint32(at, value, true);
+            } else {
+                view.setFloat64(at, value, true);
+            }
+        });
+    };
+
+    view.setUint16(ifdOffset, layout.length, true);
+    layout.forEach(({ tag, type, values: tagValues, offset }, i) => {
+        const entry = ifdOffset + 2 + i * 12;
+        view.setUint16(entry, tag, true);
+        view.setUint16(entry + 2, TIFF_TYPES[type].id, true);
+        view.setUint32(entry + 4, tagValues.length, true);
+        if (offset === null) {
+            writeValues(entry + 8, type, tagValues);
+        } else {
+            view.setUint32(entry + 8, offset, true);
+            writeValues(offset, type, tagValues);
+        }
+    });
+    view.setUint32(ifdOffset + 2 + layout.length * 12, 0, true); // No further IFDs
+
+    for (let i = 0; i < width * height; i++) {
+        view.setFloat32(stripOffset + i * 4, values[i], true);
+    }
+    return new Uint8Array(bytes);
+}
@@ -0,0 +1,46 @@
+// GPU resources shared by the precipitation layers drawing into one WebGL context
+//
+// Compiled programs and static meshes depend only on the context (and the shader
+// path chosen for it, which is the same for every layer on it), so several layers
+// on a map share them: the first layer that needs one creates it, later layers
+// reuse it, and it is deleted when the last layer holding it is removed. Every draw
+// sets all of its uniforms, so layers never see each other's settings.
+
+// Resources of each context: key -> { resource, destroy, users }
+const contexts = new WeakMap();
+
+// Get a shared resource, creating it with create() if this context has none under the key
+// destroy(resource) deletes it once every user has released it
+export function acquireResource(gl, key, create, destroy) {
+    if (!contexts.has(gl)) {
+        contexts.set(gl, new Map());
+    }
+    const resources = contexts.get(gl);
+    if (!resources.has(key)) {
+        resources.set(key, { resource: create(), destroy, users: 0 }); // Failed creation caches nothing
+    }
+
+    const entry = resources.get(key);
+    entry.users++;
+    return entry.resource;
+}
+
+// Give up one use of a shared resource, deleting it when nobody uses it any more
+export function releaseResource(gl, key) {
+    const resources = contexts.get(gl);
+    const entry = resources && resources.get(key);
+    if (!entry) {
+        return;
+    }
+
+    entry.users--;
+    if (entry.users === 0) {
+        entry.destroy(entry.resource);
+        resources.delete(key);
+    }
+}
+
+// Keys of the resources a context currently shares, for inspecting reuse
+export function getSharedResourceKeys(gl) {
+    return contexts.has(gl) ? [...contexts.get(gl).keys()] : [];
+}
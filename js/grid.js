@@ -0,0 +1,52 @@
+// Gridded raster input for the precipitation layer
+//
+// A grid is a regular lat/lon raster:
+//   { bounds: [west, south, east, north], width, height, values: Float32Array }
+// Values are row-major starting at the north-west corner (like image pixels),
+// and each value describes the centre of its cell.
+
+// Grid filtering modes, matching the shader's GRID_FILTER_* constants
+export const GRID_FILTERS = {
+    bilinear: 0,
+    bicubic: 1
+};
+
+// Check a grid's shape before it reaches the GPU
+export function validateGrid(grid) {
+    const { bounds, width, height, values } = grid;
+
+    if (!Array.isArray(bounds) || bounds.length !== 4) {
+        throw new Error('Grid bounds must be [west, south, east, north]');
+    }
+    if (!(bounds[2] > bounds[0]) || !(bounds[3] > bounds[1])) {
+        throw new Error('Grid bounds must have east > west and north > south');
+    }
+    if (!Number.isInteger(width) || !Number.isInteger(height) || width < 1 || height < 1) {
+        throw new Error('Grid width and height must be positive integers');
+    }
+    if (!values || values.length !== width * height) {
+        throw new Error(`Grid needs ${width * height} values, got ${values ? values.length : 0}`);
+    }
+}
+
+// Look up a grid's filter id, failing loudly on typos in config
+export function getGridFilter(name) {
+    if (!(name in GRID_FILTERS)) {
+        throw new Error(`Unknown grid filter: ${name}`);
+    }
+    return GRID_FILTERS[name];
+}
+
+// Pack grid values into RGBA float texels, one value per texel in the red channel
+export function createGridTextureData(grid) {
+    if (!grid) {
+        return { data: new Float32Array(4), width: 1, height: 1 };
+    }
+
+    const data = new Float32Array(grid.width * grid.height * 4);
+    for (let i = 0; i < grid.values.length; i++) {
+        data[i * 4] = grid.values[i];
+    }
+
+    return { data, width: grid.width, height: grid.height };
+}
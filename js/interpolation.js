@@ -0,0 +1,367 @@
+// CPU mirror of the field shader (fieldFragmentShaderSource in shaders.js)
+//
+// Evaluates the field at a single location exactly as the field pass does: same
+// models and parameters, same walk over the spatial bucket index (including its
+// sample limit), same grid filtering and frame blending. Keep the two in step.
+// The sample limit depends on the shader path (see capabilities.js), so the
+// functions walking points take it as an optional last argument.
+
+import { KM_PER_DEGREE } from './spatial-index.js';
+import { getTypeFractions, quantizeTypeFractions } from './precip-types.js';
+import { getPointConfidence, quantizeConfidence } from './uncertainty.js';
+import { getLayerKernel, kernelDistance } from './kernels.js';
+import { getModelReach } from './models.js';
+
+const EARTH_RADIUS = 6371.0; // km
+
+// Upper bound on point samples visited per location, as in the shader on the WebGL2 path
+const MAX_FRAGMENT_SAMPLES = 2048;
+
+// Convert degrees to radians
+function degToRad(deg) {
+    return deg * Math.PI / 180;
+}
+
+// Normalize longitude to -180 to 180 range (GLSL mod semantics)
+export function normalizeLng(lng) {
+    const shifted = lng + 180;
+    return shifted - 360 * Math.floor(shifted / 360) - 180;
+}
+
+// Calculate shortest longitude difference accounting for wrapping
+function lngDifference(lng1, lng2) {
+    let diff = lng2 - lng1;
+    if (diff > 180) diff -= 360;
+    if (diff < -180) diff += 360;
+    return diff;
+}
+
+// Great circle distance in km between two [lng, lat] positions (Haversine formula)
+export function haversineDistance(point1, point2) {
+    const lat1 = degToRad(point1[1]);
+    const lat2 = degToRad(point2[1]);
+    const dLat = degToRad(point2[1] - point1[1]);
+    const dLng = degToRad(lngDifference(point1[0], point2[0]));
+
+    const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+              Math.cos(lat1) * Math.cos(lat2) *
+              Math.sin(dLng / 2) * Math.sin(dLng / 2);
+
+    return EARTH_RADIUS * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+// Catmull-Rom weights for the four samples around fractional offset t
+function catmullRomWeights(t) {
+    const t2 = t * t;
+    const t3 = t2 * t;
+    return [
+        -0.5 * t3 + t2 - 0.5 * t,
+        1.5 * t3 - 2.5 * t2 + 1.0,
+        -1.5 * t3 + 2.0 * t2 + 0.5 * t,
+        0.5 * t3 - 0.5 * t2
+    ];
+}
+
+// Contribution of one point within its kernel: [weight * value, weight], at the kernel distance
+function modelContribution(distance, value, config) {
+    if (config.model === 'idw') {
+        const radius = config.influenceRadius;
+        const weight = Math.pow(Math.max(radius - distance, 0) / (radius * Math.max(distance, 0.001)), config.idwPower);
+        return [weight * value, weight];
+    }
+
+    if (config.model === 'gaussian') {
+        const gaussian = (d) => Math.exp(-0.5 * (d * d) / (config.gaussianSigma * config.gaussianSigma));
+        const weight = Math.max(gaussian(distance) - gaussian(getModelReach(config)), 0);
+        return [weight * value, weight];
+    }
+
+    // Radial blob; zero-value points don't create precipitation
+    if (value === 0) {
+        return [0, 0];
+    }
+    const normalizedDist = Math.pow(distance / config.influenceRadius, config.falloffSteepness);
+    const falloff = 0.5 + 0.5 * Math.cos(normalizedDist * Math.PI);
+    const weight = falloff * falloff;
+    return [value * falloff * weight, weight];
+}
+
+// Offset [dCol, dRow] of a cell from the centre of a ring of index cells, going round
+// the ring's 8 * ring cells from its south-west corner; mirrors ringCellOffset() in the shader
+function ringCellOffset(ring, ringStep) {
+    const side = Math.floor(ringStep / (2 * ring));
+    const along = ringStep - side * 2 * ring;
+    if (side === 0) return [along - ring, -ring];
+    if (side === 1) return [ring, along - ring];
+    if (side === 2) return [ring - along, ring];
+    return [-ring, ring - along];
+}
+
+// Visit the index entries the shader would visit for a position, in the same order,
+// calling visit(point, scaledDistance, distance) for the points whose kernel (see
+// kernels.js) reaches it within the model's reach (see models.js), with the kernel
+// distance and the distance in km
+function walkNearbyPoints(dataset, position, config, visit, maxSamples = MAX_FRAGMENT_SAMPLES) {
+    const { origin, cellSize, cols, rows, cellStarts, order, lngs } = dataset.spatialIndex;
+    const { influenceRadius } = config;
+    const reach = getModelReach(config);
+    const radius = dataset.searchRadius;
+    const layerKernel = getLayerKernel(config);
+
+    // Range of grid cells that can hold points within the search radius
+    const radiusLat = radius / KM_PER_DEGREE;
+    const radiusLng = radiusLat / Math.max(Math.cos(degToRad(position[1])), 0.01);
+    const cellMin = [
+        Math.floor((position[0] - radiusLng - origin[0]) / cellSize[0]),
+        Math.floor((position[1] - radiusLat - origin[1]) / cellSize[1])
+    ];
+    const cellMax = [
+        Math.floor((position[0] + radiusLng - origin[0]) / cellSize[0]),
+        Math.floor((position[1] + radiusLat - origin[1]) / cellSize[1])
+    ];
+
+    if (dataset.points.length === 0 || cellMax[0] < 0 || cellMax[1] < 0 ||
+        cellMin[0] > cols - 1 || cellMin[1] > rows - 1) {
+        return;
+    }
+
+    const clampCell = (cell) => [
+        Math.min(Math.max(cell[0], 0), cols - 1),
+        Math.min(Math.max(cell[1], 0), rows - 1)
+    ];
+    const [minCol, minRow] = clampCell(cellMin);
+    const [maxCol, maxRow] = clampCell(cellMax);
+    const cellStart = (col, row) => cellStarts[row * cols + col];
+
+    // Walk the cells in rings outward from the position's own cell, so when a dense
+    // index runs into maxSamples the points left out are the furthest ones
+    const ownCol = Math.min(Math.max(Math.floor((position[0] - origin[0]) / cellSize[0]), minCol), maxCol);
+    const ownRow = Math.min(Math.max(Math.floor((position[1] - origin[1]) / cellSize[1]), minRow), maxRow);
+    const maxRing = Math.max(ownCol - minCol, maxCol - ownCol, ownRow - minRow, maxRow - ownRow);
+    let ring = 0;
+    let ringStep = 0;
+    let index = cellStart(ownCol, ownRow);
+    let cellEnd = cellStart(ownCol + 1, ownRow);
+
+    for (let i = 0; i < maxSamples; i++) {
+        if (index >= cellEnd) {
+            ringStep += 1;
+            if (ringStep >= ring * 8) {
+                ring += 1;
+                ringStep = 0;
+                if (ring > maxRing) break;
+            }
+            const [dCol, dRow] = ringCellOffset(ring, ringStep);
+            const col = ownCol + dCol;
+            const row = ownRow + dRow;
+            if (col < minCol || col > maxCol || row < minRow || row > maxRow) {
+                cellEnd = index; // Outside the search range: nothing to visit
+                continue;
+            }
+            index = cellStart(col, row);
+            cellEnd = cellStart(col + 1, row);
+            continue;
+        }
+
+        const pointIndex = order[index];
+        const point = dataset.points[pointIndex];
+        const pointPosition = [lngs[index], point.lat];
+        index += 1;
+
+        const distance = haversineDistance(position, pointPosition);
+        if (distance >= radius) {
+            continue;
+        }
+        const kernel = (dataset.pointKernels && dataset.pointKernels[pointIndex]) || layerKernel;
+        const scaledDistance = kernelDistance(distance, position, pointPosition, kernel, influenceRadius);
+        if (scaledDistance < reach) {
+            visit(point, scaledDistance, distance);
+        }
+    }
+}
+
+// Interpolate scattered points at a [lng, lat] position using the configured model
+export function interpolatePoints(dataset, position, config, maxSamples) {
+    let totalInfluence = 0;
+    let totalWeight = 0;
+    let nearestScaledDistance = getModelReach(config);
+    let nearestValue = 0;
+
+    walkNearbyPoints(dataset, position, config, (point, scaledDistance) => {
+        if (config.model === 'nearest') {
+            if (scaledDistance < nearestScaledDistance) {
+                nearestScaledDistance = scaledDistance;
+                nearestValue = point.value;
+            }
+            return;
+        }
+
+        const [influence, weight] = modelContribution(scaledDistance, point.value, config);
+        totalInfluence += influence;
+        totalWeight += weight;
+    }, maxSamples);
+
+    if (config.model === 'nearest') {
+        return nearestValue;
+    }
+    if (totalWeight <= 0) {
+        return 0;
+    }
+
+    // Weighted average; blobs are boosted to maintain color intensity
+    const boost = config.model === 'blob' ? config.intensityBoost : 1.0;
+    return (totalInfluence / totalWeight) * boost;
+}
+
+// Points whose kernel reaches a [lng, lat] position as [{ point, distance }], nearest first
+export function findContributingPoints(dataset, position, config, maxSamples) {
+    const contributors = [];
+    walkNearbyPoints(dataset, position, config, (point, scaledDistance, distance) => {
+        contributors.push({ point, distance });
+    }, maxSamples);
+    return contributors.sort((a, b) => a.distance - b.distance);
+}
+
+// Precipitation type fractions [rain, snow, sleet, hail] at a [lng, lat] position,
+// weighted like the shader: by each point's share of the value, or the nearest point's
+export function interpolateTypeFractions(dataset, position, config, maxSamples) {
+    if (dataset.grid) {
+        return [1, 0, 0, 0];
+    }
+
+    const totals = [0, 0, 0, 0];
+    let nearestScaledDistance = getModelReach(config);
+    let nearestPoint = null;
+
+    walkNearbyPoints(dataset, position, config, (point, scaledDistance) => {
+        if (scaledDistance < nearestScaledDistance) {
+            nearestScaledDistance = scaledDistance;
+            nearestPoint = point;
+        }
+        if (config.model !== 'nearest') {
+            const [influence] = modelContribution(scaledDistance, point.value, config);
+            quantizeTypeFractions(getTypeFractions(point)).forEach((fraction, i) => {
+                totals[i] += fraction * influence;
+            });
+        }
+    }, maxSamples);
+
+    if (config.model === 'nearest') {
+        return nearestPoint ? quantizeTypeFractions(getTypeFractions(nearestPoint)) : [1, 0, 0, 0];
+    }
+    const total = totals.reduce((sum, fraction) => sum + fraction, 0);
+    return total > 0 ? totals.map((fraction) => fraction / total) : [1, 0, 0, 0];
+}
+
+// Confidence (0-1, see uncertainty.js) at a [lng, lat] position, weighted like the
+// type fractions; grids and places without contributing points are certain
+export function interpolateConfidence(dataset, position, config, maxSamples) {
+    if (dataset.grid) {
+        return 1;
+    }
+
+    const confidenceOf = (point) => quantizeConfidence(getPointConfidence(point, dataset.maxSpread));
+    let total = 0;
+    let totalInfluence = 0;
+    let nearestScaledDistance = getModelReach(config);
+    let nearestPoint = null;
+
+    walkNearbyPoints(dataset, position, config, (point, scaledDistance) => {
+        if (scaledDistance < nearestScaledDistance) {
+            nearestScaledDistance = scaledDistance;
+            nearestPoint = point;
+        }
+        if (config.model !== 'nearest') {
+            const [influence] = modelContribution(scaledDistance, point.value, config);
+            total += confidenceOf(point) * influence;
+            totalInfluence += influence;
+        }
+    }, maxSamples);
+
+    if (config.model === 'nearest') {
+        return nearestPoint ? confidenceOf(nearestPoint) : 1;
+    }
+    return totalInfluence > 0 ? total / totalInfluence : 1;
+}
+
+// Distance in km to the nearest point whose kernel reaches a [lng, lat] position, or
+// the dataset's search radius when there is none, as the shader's coverage mask sees it
+export function nearestPointDistance(dataset, position, config, maxSamples) {
+    let nearestDistance = dataset.searchRadius;
+    walkNearbyPoints(dataset, position, config, (point, scaledDistance, distance) => {
+        nearestDistance = Math.min(nearestDistance, distance);
+    }, maxSamples);
+    return nearestDistance;
+}
+
+// Fetch a grid value, clamping to the grid's edges
+function gridValue(grid, col, row) {
+    col = Math.min(Math.max(col, 0), grid.width - 1);
+    row = Math.min(Math.max(row, 0), grid.height - 1);
+    return grid.values[row * grid.width + col];
+}
+
+// Longitude of a [lng, lat] position on a grid's side of the antimeridian, or null
+// when the position lies outside the grid
+// Grids may extend past 180°, so the position is tried one world east as well
+function gridLng(grid, position) {
+    const [west, south, east, north] = grid.bounds;
+    const lng = position[0] < west ? position[0] + 360 : position[0];
+    return lng > east || position[1] < south || position[1] > north ? null : lng;
+}
+
+// Sample a grid at a [lng, lat] position with bilinear or bicubic filtering
+export function sampleGrid(grid, position, config) {
+    const [west, south, east, north] = grid.bounds;
+    const lng = gridLng(grid, position);
+    const lat = position[1];
+    if (lng === null) {
+        return 0;
+    }
+
+    // Continuous cell coordinates, with cell centres at whole numbers
+    const cellX = (lng - west) / (east - west) * grid.width - 0.5;
+    const cellY = (north - lat) / (north - south) * grid.height - 0.5;
+    const col = Math.floor(cellX);
+    const row = Math.floor(cellY);
+    const tx = cellX - col;
+    const ty = cellY - row;
+
+    if (config.gridFilter === 'bicubic') {
+        const wx = catmullRomWeights(tx);
+        const wy = catmullRomWeights(ty);
+        let value = 0;
+        for (let j = 0; j < 4; j++) {
+            let rowValue = 0;
+            for (let i = 0; i < 4; i++) {
+                rowValue += gridValue(grid, col + i - 1, row + j - 1) * wx[i];
+            }
+            value += rowValue * wy[j];
+        }
+        // Catmull-Rom overshoots near sharp edges; precipitation is never negative
+        return Math.max(value, 0);
+    }
+
+    const top = gridValue(grid, col, row) + (gridValue(grid, col + 1, row) - gridValue(grid, col, row)) * tx;
+    const bottom = gridValue(grid, col, row + 1) + (gridValue(grid, col + 1, row + 1) - gridValue(grid, col, row + 1)) * tx;
+    return top + (bottom - top) * ty;
+}
+
+// Sample a dataset, whichever kind of input it holds
+export function sampleDataset(dataset, position, config, maxSamples) {
+    return dataset.grid ? sampleGrid(dataset.grid, position, config) : interpolatePoints(dataset, position, config, maxSamples);
+}
+
+// Whether a dataset has data at a [lng, lat] position: a point whose kernel reaches
+// it, or a grid covering it; elsewhere sampleDataset() gives 0 for want of data
+export function coversPosition(dataset, position, config, maxSamples) {
+    if (dataset.grid) {
+        return gridLng(dataset.grid, position) !== null;
+    }
+
+    let covered = false;
+    walkNearbyPoints(dataset, position, config, () => {
+        covered = true;
+    }, maxSamples);
+    return covered;
+}
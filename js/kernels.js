@@ -0,0 +1,101 @@
+// Influence kernels: the shape of the area each point influences
+//
+// By default every point influences a circle of config.influenceRadius km. Rain
+// often spreads along fronts and fjords instead, so the layer's kernel can be an
+// ellipse: influenceRadius is then its major radius, config.kernelMinorRadius its
+// minor radius (km) and config.kernelOrientation the bearing of its major axis
+// (degrees clockwise from north). A point may bring its own kernel: `radius` (km)
+// replaces the major radius, and `minorRadius` and `orientation` shape it the
+// same way (a point with only a radius has a circle of that radius).
+//
+// The models see a kernel distance: the distance to the point, scaled so that the
+// kernel's edge lies at influenceRadius. Falloff, IDW and Gaussian widths, and the
+// Gaussian's reach (see models.js), stretch with the kernel, and a plain circle of
+// influenceRadius is left unchanged.
+//
+// Points with their own kernels take a second texel in the point texture,
+// [major, minor, sin, cos of orientation]; see createPointTextureData().
+
+// Check the layer's kernel settings before they reach the shader
+export function validateKernel({ influenceRadius, kernelMinorRadius, kernelOrientation }) {
+    if (kernelMinorRadius !== null && !(kernelMinorRadius > 0 && kernelMinorRadius <= influenceRadius)) {
+        throw new Error('kernelMinorRadius must be a positive radius in km up to influenceRadius, or null');
+    }
+    if (!Number.isFinite(kernelOrientation)) {
+        throw new Error('kernelOrientation must be a bearing in degrees');
+    }
+}
+
+// A kernel as [major, minor, sin, cos]: radii in km and the sine and cosine of the bearing
+function createKernel(major, minor, orientation) {
+    const bearing = orientation * Math.PI / 180;
+    return [major, minor, Math.sin(bearing), Math.cos(bearing)];
+}
+
+// The layer's kernel, used by points without their own
+export function getLayerKernel({ influenceRadius, kernelMinorRadius, kernelOrientation }) {
+    return createKernel(influenceRadius, kernelMinorRadius === null ? influenceRadius : kernelMinorRadius,
+        kernelOrientation);
+}
+
+// A point's own kernel, or null when it follows the layer's
+export function getPointKernel(point) {
+    if (point.radius === undefined) {
+        if (point.minorRadius !== undefined || point.orientation !== undefined) {
+            throw new Error('A point with minorRadius or orientation needs a radius too');
+        }
+        return null;
+    }
+
+    const minorRadius = point.minorRadius === undefined ? point.radius : point.minorRadius;
+    const orientation = point.orientation === undefined ? 0 : point.orientation;
+    if (!(point.radius > 0)) {
+        throw new Error('Point radius must be a positive distance in km');
+    }
+    if (!(minorRadius > 0 && minorRadius <= point.radius)) {
+        throw new Error('Point minorRadius must be a positive distance in km up to its radius');
+    }
+    if (!Number.isFinite(orientation)) {
+        throw new Error('Point orientation must be a bearing in degrees');
+    }
+    return createKernel(point.radius, minorRadius, orientation);
+}
+
+// Kernels of some points, null for those following the layer's; null when none has its own
+export function getPointKernels(points) {
+    const kernels = points.map(getPointKernel);
+    return kernels.some((kernel) => kernel !== null) ? kernels : null;
+}
+
+// Search radius (km) that reaches the edge of every kernel: the layer's radius or
+// the largest radius of a point, stretched when the model reaches (see models.js)
+// past the influence radius
+export function getSearchRadius(points, influenceRadius, reach = influenceRadius) {
+    const kernelRadius = points.reduce(
+        (radius, point) => (point.radius === undefined ? radius : Math.max(radius, point.radius)), influenceRadius);
+    return kernelRadius * reach / influenceRadius;
+}
+
+// Scale the distance (km) from a point at pointPosition to position by a kernel,
+// so the kernel's edge lies at influenceRadius; mirrors kernelDistance() in the shader
+export function kernelDistance(distance, position, pointPosition, kernel, influenceRadius) {
+    const [major, minor, sin, cos] = kernel;
+    if (major === minor) {
+        return distance * (influenceRadius / major);
+    }
+
+    // Direction from the point, in local kilometres east and north
+    let lngDiff = position[0] - pointPosition[0];
+    if (lngDiff > 180) lngDiff -= 360;
+    if (lngDiff < -180) lngDiff += 360;
+    const east = lngDiff * Math.cos(pointPosition[1] * Math.PI / 180);
+    const north = position[1] - pointPosition[1];
+    const length = Math.hypot(east, north);
+    if (length === 0) {
+        return 0;
+    }
+
+    const along = (east * sin + north * cos) / length;
+    const across = (east * cos - north * sin) / length;
+    return distance * influenceRadius * Math.hypot(along / major, across / minor);
+}
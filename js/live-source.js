@@ -0,0 +1,185 @@
+// Live data polling for the precipitation layer
+//
+// A LiveSource fetches a snapshot of points on an interval, from a URL (parsed
+// with one of the loader formats) or from an async function, and hands each
+// changed snapshot to the layer, which animates each point's value from the old
+// snapshot to the new one (see transitionPoints() on the layer).
+// Failed fetches back off exponentially up to maxBackoff and raise 'error' events.
+//
+// Events:
+//   data:  { points, errors, diff }     after every successful fetch
+//   error: { error, failures, retryIn }  after a failed fetch, or when the layer or a 'data'
+//          listener throws on a snapshot (failures then stays as it was); retryIn is in ms
+//   start, stop
+
+import { Evented } from './evented.js';
+import { loadPoints, parsePoints, POINT_FIELDS } from './loaders.js';
+
+export const DEFAULT_LIVE_OPTIONS = {
+    url: null,                  // Data source URL
+    fetch: null,                // Or an async function returning points, or input in `format`
+    format: 'geojson',          // Loader format of the fetched data (see loaders.js)
+    parseOptions: {},           // Options for the loader (mapping, range, ...)
+    interval: 60000,            // Time between fetches in milliseconds
+    maxBackoff: 10 * 60000,     // Longest wait between retries after failures
+    transitionDuration: 1000    // Fade from old to new values in milliseconds (0 = snap)
+};
+
+// Key identifying a point across snapshots: its id, or its position without one
+function pointKey(point) {
+    return point.id !== undefined ? `id:${point.id}` : `${point.lng},${point.lat}`;
+}
+
+// Whether two type fraction objects (or undefined) hold the same fractions
+function sameFractions(a, b) {
+    if (!a || !b) {
+        return a === b;
+    }
+    const names = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...names].every((name) => a[name] === b[name]);
+}
+
+// Whether a point shows the same as before: every field the layer reads matches
+function samePoint(a, b) {
+    return POINT_FIELDS.every((field) => (field === 'fractions'
+        ? sameFractions(a.fractions, b.fractions)
+        : a[field] === b[field]));
+}
+
+// Compare two snapshots of points
+// A point counts as changed when any field the layer reads changed (see POINT_FIELDS)
+// Returns { added, removed, changed: [{ from, to }], unchanged } where unchanged is a count
+export function diffSnapshots(previous, next) {
+    const before = new Map(previous.map((point) => [pointKey(point), point]));
+    const added = [];
+    const changed = [];
+    let unchanged = 0;
+
+    next.forEach((point) => {
+        const key = pointKey(point);
+        const old = before.get(key);
+        if (!old) {
+            added.push(point);
+        } else if (!samePoint(old, point)) {
+            changed.push({ from: old, to: point });
+        } else {
+            unchanged++;
+        }
+        before.delete(key);
+    });
+
+    return { added, removed: [...before.values()], changed, unchanged };
+}
+
+// Whether a diff changes anything
+function hasChanges(diff) {
+    return diff.added.length > 0 || diff.removed.length > 0 || diff.changed.length > 0;
+}
+
+export class LiveSource extends Evented {
+    constructor(layer, options = {}) {
+        super();
+        if (!options.url && !options.fetch) {
+            throw new Error('LiveSource needs a url or a fetch function');
+        }
+
+        this.layer = layer;
+        this.options = { ...DEFAULT_LIVE_OPTIONS, ...options };
+        this.points = layer.grid ? [] : layer.points; // Snapshot currently shown
+        this.failures = 0;
+        this.running = false;
+        this.timer = null;
+        this.generation = 0;    // Bumped by start() and stop(), so stale polls can tell
+    }
+
+    // Start polling, fetching the first snapshot right away
+    start() {
+        if (!this.running) {
+            this.running = true;
+            this.generation++;
+            this.fire('start');
+            this.poll();
+        }
+        return this;
+    }
+
+    // Stop polling; a fetch in flight is discarded
+    stop() {
+        if (this.running) {
+            this.running = false;
+            this.generation++;
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.fire('stop');
+        }
+        return this;
+    }
+
+    // Fetch one snapshot as { points, errors }
+    async fetchSnapshot() {
+        const { url, fetch, format, parseOptions } = this.options;
+        if (fetch) {
+            const input = await fetch();
+            return Array.isArray(input) ? { points: input, errors: [] } : parsePoints(input, format, parseOptions);
+        }
+        return loadPoints(url, format, parseOptions);
+    }
+
+    // Fetch now, schedule the next fetch and show the snapshot if it changed
+    // A poll whose fetch outlives a stop() or a restart returns without applying its
+    // snapshot or scheduling another, leaving the polling to the current start()
+    async poll() {
+        const generation = this.generation;
+        clearTimeout(this.timer);
+
+        let snapshot = null;
+        let fetchError = null;
+        try {
+            snapshot = await this.fetchSnapshot();
+        } catch (error) {
+            fetchError = error;
+        }
+        if (generation !== this.generation) {
+            return;
+        }
+
+        // Back off exponentially after failed fetches: interval × 2, × 4, ... up to maxBackoff
+        this.failures = fetchError ? this.failures + 1 : 0;
+        const delay = fetchError
+            ? Math.min(this.options.interval * Math.pow(2, this.failures), this.options.maxBackoff)
+            : this.options.interval;
+
+        // Schedule before calling out to the layer and listeners, so nothing they throw stops polling
+        this.timer = setTimeout(() => this.poll(), delay);
+        if (fetchError) {
+            this.fireGuarded('error', { error: fetchError, failures: this.failures, retryIn: delay });
+            return;
+        }
+        try {
+            this.showSnapshot(snapshot);
+        } catch (error) {
+            // Not a failed fetch, so it doesn't count towards the backoff
+            this.fireGuarded('error', { error, failures: this.failures, retryIn: delay });
+        }
+    }
+
+    // Hand a fetched snapshot to the layer when it changed, then to 'data' listeners
+    showSnapshot({ points, errors }) {
+        const diff = diffSnapshots(this.points, points);
+        if (hasChanges(diff)) {
+            this.layer.transitionPoints(points, this.options.transitionDuration, diff);
+        }
+        this.points = points;
+        this.fire('data', { points, errors, diff });
+    }
+
+    // Fire an event whose listeners may throw; what they throw is logged, as there is
+    // no caller to hand it to
+    fireGuarded(type, properties) {
+        try {
+            this.fire(type, properties);
+        } catch (error) {
+            console.error(error);
+        }
+    }
+}
@@ -0,0 +1,401 @@
+// Loaders that turn common precipitation data formats into layer points
+//
+// Every parser returns { points, errors }: points are { lng, lat, value } objects
+// ready for the layer, plus id and name where the source has them and the optional
+// fields the layer reads (see POINT_FIELDS): type or fractions, probability or
+// spread, a kernel and motion. errors lists the rows that were skipped as
+// { index, message, record }, so a caller can report bad input instead of silently
+// drawing less of it; optional fields are checked as strictly as the layer does.
+//
+// Type fractions come from a `fractions` object (GeoJSON), or from columns named
+// after the types, such as snowFraction (CSV).
+//
+// Supported formats:
+//   geojson: FeatureCollection of Point features, value from a property
+//   csv:     delimited text with a header row
+//   frost:   Met Norway Frost observations, joined with Frost sources for positions
+//   smhi:    SMHI metobs station-set responses
+
+import { PRECIP_TYPE_NAMES, getTypeFractions } from './precip-types.js';
+import { getPointConfidence } from './uncertainty.js';
+import { getPointKernel } from './kernels.js';
+import { getPointMotion } from './nowcast.js';
+
+// Column and property names tried when no mapping is given, in order
+const DEFAULT_FIELDS = {
+    lng: ['lng', 'lon', 'long', 'longitude', 'x'],
+    lat: ['lat', 'latitude', 'y'],
+    value: ['value', 'precipitation', 'precip', 'intensity'],
+    id: ['id', 'station', 'stationId', 'sourceId'],
+    name: ['name', 'stationName'],
+    type: ['type', 'precipType', 'precipitationType'],
+    fractions: ['fractions'],
+    probability: ['probability', 'pop'],
+    spread: ['spread'],
+    radius: ['radius'],
+    minorRadius: ['minorRadius'],
+    orientation: ['orientation'],
+    u: ['u'],
+    v: ['v']
+};
+
+// Optional numeric fields of a point: confidence (uncertainty.js), its own kernel
+// (kernels.js) and its motion (nowcast.js)
+const NUMERIC_FIELDS = ['probability', 'spread', 'radius', 'minorRadius', 'orientation', 'u', 'v'];
+
+// Fields of a point the layer reads, beyond id and name
+export const POINT_FIELDS = ['lng', 'lat', 'value', 'type', 'fractions', ...NUMERIC_FIELDS];
+
+// Accepted values unless a range is given; precipitation is never negative
+const DEFAULT_RANGE = [0, Infinity];
+
+export const LOADER_FORMATS = ['geojson', 'csv', 'frost', 'smhi'];
+
+// Read one field of a record through the mapping: a key, or a function of the record
+// Without a mapping entry the default names are tried
+function readField(record, field, mapping) {
+    const key = mapping[field];
+    if (typeof key === 'function') {
+        return key(record);
+    }
+    if (key !== undefined) {
+        return record[key];
+    }
+    const found = DEFAULT_FIELDS[field].find((name) => record[name] !== undefined && record[name] !== '');
+    return found === undefined ? undefined : record[found];
+}
+
+// Parse a number, accepting strings with a decimal comma; anything else is NaN
+function toNumber(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    if (typeof value === 'string' && value.trim() !== '') {
+        return Number(value.trim().replace(',', '.'));
+    }
+    return NaN;
+}
+
+// Check a candidate point, returning a message describing what is wrong with it
+function checkPoint(point, range) {
+    const { lng, lat, value } = point;
+    if (!Number.isFinite(lng) || !Number.isFinite(lat)) {
+        return 'missing or non-numeric coordinates';
+    }
+    if (lat < -90 || lat > 90) {
+        return `latitude ${lat} is outside -90 to 90`;
+    }
+    if (lng < -180 || lng > 360) {
+        return `longitude ${lng} is outside -180 to 360`;
+    }
+    if (!Number.isFinite(value)) {
+        return 'missing or non-numeric value';
+    }
+    if (value < range[0] || value > range[1]) {
+        return `value ${value} is outside ${range[0]} to ${range[1]}`;
+    }
+
+    const nonNumeric = NUMERIC_FIELDS.find((field) => point[field] !== undefined && !Number.isFinite(point[field]));
+    if (nonNumeric) {
+        return `non-numeric ${nonNumeric}`;
+    }
+    if (point.fractions !== undefined && (typeof point.fractions !== 'object' || point.fractions === null)) {
+        return 'fractions must map precipitation types to fractions';
+    }
+
+    // Types, confidence, kernels and motion get the checks the layer would make
+    try {
+        getTypeFractions(point);
+        getPointConfidence(point, 1);
+        getPointKernel(point);
+        getPointMotion(point, null);
+    } catch (error) {
+        return error.message;
+    }
+    return null;
+}
+
+// Collect checked points from candidates, reporting the ones that fail
+function collectPoints(candidates, { range = DEFAULT_RANGE } = {}) {
+    const points = [];
+    const errors = [];
+
+    candidates.forEach(({ index, record, point, message }) => {
+        const problem = message || checkPoint(point, range);
+        if (problem) {
+            errors.push({ index, message: problem, record });
+            return;
+        }
+
+        const result = {};
+        [...POINT_FIELDS, 'id', 'name'].forEach((field) => {
+            if (point[field] !== undefined) {
+                result[field] = point[field];
+            }
+        });
+        points.push(result);
+    });
+
+    return { points, errors };
+}
+
+// Whether a field read from a record holds anything
+function isPresent(field) {
+    return field !== undefined && field !== null && field !== '';
+}
+
+// Type fractions of a record through the mapping: a fractions object, or else
+// columns named after the types (rainFraction, snowFraction, ...); undefined without any
+function readFractions(record, mapping) {
+    let fractions = readField(record, 'fractions', mapping);
+    if (!isPresent(fractions)) {
+        const columns = PRECIP_TYPE_NAMES.filter((name) => isPresent(record[`${name}Fraction`]));
+        if (columns.length === 0) {
+            return undefined;
+        }
+        fractions = Object.fromEntries(columns.map((name) => [name, record[`${name}Fraction`]]));
+    }
+    if (typeof fractions !== 'object') {
+        return fractions; // Reported by checkPoint()
+    }
+    return Object.fromEntries(Object.entries(fractions).map(([name, fraction]) => [name, toNumber(fraction)]));
+}
+
+// Read a point from a flat record (CSV row, GeoJSON properties) through the mapping
+// Optional fields are only set when the record has them
+function readPoint(record, mapping, position) {
+    const point = {
+        lng: position ? position[0] : toNumber(readField(record, 'lng', mapping)),
+        lat: position ? position[1] : toNumber(readField(record, 'lat', mapping)),
+        value: toNumber(readField(record, 'value', mapping)),
+        id: readField(record, 'id', mapping),
+        name: readField(record, 'name', mapping)
+    };
+
+    const type = readField(record, 'type', mapping);
+    if (isPresent(type)) {
+        point.type = String(type).trim();
+    }
+    const fractions = readFractions(record, mapping);
+    if (fractions !== undefined) {
+        point.fractions = fractions;
+    }
+    NUMERIC_FIELDS.forEach((field) => {
+        const fieldValue = readField(record, field, mapping);
+        if (isPresent(fieldValue)) {
+            point[field] = toNumber(fieldValue);
+        }
+    });
+    return point;
+}
+
+// Parse a GeoJSON FeatureCollection (object or JSON text) of Point features
+// options.mapping picks the value, id, name and optional properties (see DEFAULT_FIELDS)
+export function parseGeoJSON(geojson, options = {}) {
+    const data = typeof geojson === 'string' ? JSON.parse(geojson) : geojson;
+    if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+        throw new Error('GeoJSON input must be a FeatureCollection');
+    }
+
+    const mapping = options.mapping || {};
+    const candidates = data.features.map((feature, index) => {
+        const geometry = feature && feature.geometry;
+        if (!geometry || geometry.type !== 'Point' || !Array.isArray(geometry.coordinates)) {
+            return { index, record: feature, message: 'feature is not a Point' };
+        }
+
+        const properties = feature.properties || {};
+        const point = readPoint(properties, mapping, geometry.coordinates.map(toNumber));
+        if (point.id === undefined && feature.id !== undefined) {
+            point.id = feature.id;
+        }
+        return { index, record: feature, point };
+    });
+
+    return collectPoints(candidates, options);
+}
+
+// Split CSV text into rows as { fields, line }, honouring double-quoted fields
+// line is the line of the text the row starts on (1-based), so blank lines and line
+// breaks inside quoted fields don't throw off the row numbers reported for errors
+function splitCSV(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+                if (char === '\n' || (char === '\r' && text[i + 1] !== '\n')) {
+                    line++;
+                }
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push({ fields: row, line: rowLine });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ fields: row, line: rowLine });
+    }
+
+    // Skip blank lines
+    return rows.filter(({ fields }) => fields.length > 1 || fields[0].trim() !== '');
+}
+
+// Parse CSV text with a header row
+// options.delimiter defaults to ';' when the header has more of them than commas
+// options.mapping picks the lng, lat, value, id, name and optional columns (see DEFAULT_FIELDS)
+export function parseCSV(text, options = {}) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delimiter = options.delimiter ||
+        ((firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',');
+
+    const [header, ...rows] = splitCSV(text, delimiter);
+    if (!header) {
+        throw new Error('CSV input needs a header row');
+    }
+    const columns = header.fields.map((name) => name.trim());
+
+    const mapping = options.mapping || {};
+    const candidates = rows.map(({ fields, line }) => {
+        const record = {};
+        columns.forEach((name, c) => {
+            record[name] = fields[c] === undefined ? undefined : fields[c].trim();
+        });
+        // Rows are numbered by their line in the text, as in a spreadsheet opened from it
+        return { index: line, record, point: readPoint(record, mapping) };
+    });
+
+    return collectPoints(candidates, options);
+}
+
+// Parse Frost observations (/observations/v0.jsonld) joined with Frost sources
+// (/sources/v0.jsonld) for station positions
+// options.elementId picks the observation when a time step has several, e.g.
+// 'sum(precipitation_amount PT1H)'; by default the first is used
+export function parseFrost(observations, sources, options = {}) {
+    const data = typeof observations === 'string' ? JSON.parse(observations) : observations;
+    const sourceData = typeof sources === 'string' ? JSON.parse(sources) : sources;
+    if (!data || !Array.isArray(data.data)) {
+        throw new Error('Frost observations must have a data array');
+    }
+    if (!sourceData || !Array.isArray(sourceData.data)) {
+        throw new Error('Frost sources must have a data array');
+    }
+
+    // Sources are stations like 'SN18700'; observations refer to them as 'SN18700:0'
+    const stations = new Map(sourceData.data.map((source) => [source.id, source]));
+
+    const candidates = data.data.map((item, index) => {
+        const stationId = String(item.sourceId).split(':')[0];
+        const station = stations.get(stationId);
+        if (!station || !station.geometry || !Array.isArray(station.geometry.coordinates)) {
+            return { index, record: item, message: `no position for source ${item.sourceId}` };
+        }
+
+        const observation = (item.observations || []).find((obs) =>
+            options.elementId === undefined || obs.elementId === options.elementId);
+        if (!observation) {
+            return { index, record: item, message: `no ${options.elementId || 'observation'} for source ${item.sourceId}` };
+        }
+
+        const [lng, lat] = station.geometry.coordinates.map(toNumber);
+        return {
+            index,
+            record: item,
+            point: { lng, lat, value: toNumber(observation.value), id: stationId, name: station.name }
+        };
+    });
+
+    return collectPoints(candidates, options);
+}
+
+// Parse an SMHI metobs station-set response (e.g. parameter 7, precipitation per hour)
+// Each station's latest value is used; stations without one are reported
+export function parseSMHI(response, options = {}) {
+    const data = typeof response === 'string' ? JSON.parse(response) : response;
+    if (!data || !Array.isArray(data.station)) {
+        throw new Error('SMHI input must have a station array');
+    }
+
+    const candidates = data.station.map((station, index) => {
+        const values = Array.isArray(station.value) ? station.value : [];
+        if (values.length === 0) {
+            return { index, record: station, message: `no value for station ${station.key}` };
+        }
+
+        const latest = values.reduce((a, b) => (b.date > a.date ? b : a));
+        return {
+            index,
+            record: station,
+            point: {
+                lng: toNumber(station.longitude),
+                lat: toNumber(station.latitude),
+                value: toNumber(latest.value),
+                id: station.key,
+                name: station.name
+            }
+        };
+    });
+
+    return collectPoints(candidates, options);
+}
+
+// Parse text or an object in one of LOADER_FORMATS
+// Frost needs its sources as options.sources
+export function parsePoints(input, format, options = {}) {
+    switch (format) {
+        case 'geojson':
+            return parseGeoJSON(input, options);
+        case 'csv':
+            return parseCSV(input, options);
+        case 'frost':
+            return parseFrost(input, options.sources, options);
+        case 'smhi':
+            return parseSMHI(input, options);
+        default:
+            throw new Error(`Unknown data format: ${format}`);
+    }
+}
+
+// Fetch and parse points from a URL; with options.layer the points are handed
+// straight to layer.updatePoints()
+export async function loadPoints(url, format, options = {}) {
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`Failed to load ${url}: ${response.status} ${response.statusText}`);
+    }
+
+    const input = format === 'csv' ? await response.text() : await response.json();
+    const result = parsePoints(input, format, options);
+    if (options.layer) {
+        options.layer.updatePoints(result.points);
+    }
+    return result;
+}
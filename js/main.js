@@ -1,32 +1,475 @@
 // Main application initialization and controls
 
 import { PrecipitationLayer } from './precipitation-layer.js';
-import { TEST_POINTS, MAP_CONFIG, DEFAULT_CONFIG, COLOR_GRADIENT } from './config.js';
+import { DifferenceLayer } from './difference-layer.js';
+import {
+    TEST_POINTS,
+    TEST_WINTER_POINTS,
+    TEST_ENSEMBLE_POINTS,
+    TEST_FORECAST_POINTS,
+    TEST_GRID,
+    TEST_FRAMES,
+    TEST_MOTION,
+    MAP_CONFIG,
+    DEFAULT_CONFIG,
+    VALUE_PRESETS
+} from './config.js';
+import { INTERPOLATION_MODELS } from './models.js';
+import { colorRampToCSS } from './color-ramp.js';
+import { PALETTES, getPaletteNames, resolveColorRamp } from './palettes.js';
+import { PRECIP_TYPES, getTypeRamp } from './precip-types.js';
+import { UNCERTAINTY_ENCODINGS, encodeConfidence, resolveMaxSpread } from './uncertainty.js';
+import { denormalizeValue, formatValue } from './scales.js';
+import { parsePoints } from './loaders.js';
+import { LiveSource } from './live-source.js';
 
 let map;
 let precipitationLayer;
 
+// Demo data source and the units it is shown in
+let dataSource = 'points';
+let valuePreset = VALUE_PRESETS.normalized;
+let loadedPoints = null; // Points from a user's file, already in their own units
+let liveSource = null;   // Simulated live feed, while that data source is selected
+
+// The simulated feed steps through the radar loop, one frame per poll
+const LIVE_INTERVAL = 3000;
+
+// Status line below the legend: the layer's shader path and latest report, then
+// the live feed's latest update while it runs
+const statusLine = {
+    pathLabel: '',
+    report: '',
+    reportIsError: false,
+    live: '',
+    liveIsError: false
+};
+
+// Value popup: shown on 'hover', on 'click' or 'off'
+let queryMode = 'off';
+let queryPopup;
+
+// Comparison with the test forecast: 'off', 'swipe' or 'difference'
+// Swiping draws the data left of the divider and the forecast right of it; the
+// difference layer draws data minus forecast in place of the data layer
+let compareMode = 'off';
+let swipePosition = 0.5;
+let forecastLayer = null;
+let differenceLayer = null;
+
+// Time-series playback state
+// At 1× speed one second of playback covers 10 minutes of data
+const PLAYBACK_RATE = 10 * 60 * 1000;
+const playback = {
+    playing: false,
+    speed: 1,
+    lastTick: null,
+    frameRequest: null
+};
+
+// Format a nowcast lead time for display
+function formatLeadTime(minutes) {
+    return minutes > 0 ? `+${minutes} min` : 'Now';
+}
+
 // Format radius value for display
 function formatRadiusValue(radius) {
     return `${radius.toFixed(0)} km`;
 }
 
-// Update gradient legend from COLOR_GRADIENT config with discrete bands
-function updateGradientLegend() {
+// Format the kernel's minor radius, as a percentage of the major radius, for display
+function formatKernelShape(percent) {
+    return percent < 100 ? `${percent}% wide` : 'Circle';
+}
+
+// Minor radius (km) of the kernel for a radius and shape percentage; null for a circle
+function getKernelMinorRadius(radius, percent) {
+    return percent < 100 ? radius * percent / 100 : null;
+}
+
+// Format the station distance limit for display (0 = no limit)
+function formatDistanceLimit(distance) {
+    return distance > 0 ? `${distance.toFixed(0)} km` : 'Off';
+}
+
+// Format field resolution for display
+function formatResolutionValue(resolution) {
+    return `${resolution.toFixed(0)} px`;
+}
+
+// Update gradient legend from the color ramp the layer is drawing
+// The bar uses the same stops and mode as the shader's baked ramp; ticks show
+// the value at each stop in the layer's units, through its scale
+function updateGradientLegend(config) {
     const gradientBar = document.querySelector('.gradient-bar');
+    const gradientLabels = document.querySelector('.gradient-labels');
+    const legendUnits = document.getElementById('legendUnits');
+    const colorRamp = resolveColorRamp(config.colorRamp);
     if (gradientBar) {
-        // Create discrete color bands with hard stops
-        const bands = [];
-        for (let i = 0; i < COLOR_GRADIENT.length; i++) {
-            const color = `rgb(${COLOR_GRADIENT[i].color.join(',')})`;
-            const startPercent = i * 20;
-            const endPercent = (i + 1) * 20;
-            bands.push(`${color} ${startPercent}%`, `${color} ${endPercent}%`);
+        gradientBar.style.background = colorRampToCSS(colorRamp, config.rampMode);
+    }
+    if (gradientLabels) {
+        const labels = colorRamp.map(({ stop }) => stop);
+        if (labels[labels.length - 1] < 1) {
+            labels.push(1);
+        }
+        gradientLabels.innerHTML = labels
+            .map((stop) => `<span style="left: ${stop * 100}%">${formatValue(denormalizeValue(stop, config))}</span>`)
+            .join('');
+    }
+    if (legendUnits) {
+        legendUnits.textContent = config.units ? `(${config.units})` : '';
+    }
+    updateTypeLegends(config);
+    updateUncertaintyLegend(config);
+}
+
+// Add a bar per precipitation type in the data below the rain bar; all bars share the ticks
+function updateTypeLegends(config) {
+    const typeLegends = document.getElementById('typeLegends');
+    const rainCaption = document.getElementById('rainCaption');
+    const types = precipitationLayer ? precipitationLayer.getPrecipTypes() : ['rain'];
+    const extraTypes = types.filter((name) => name !== 'rain');
+    if (rainCaption) {
+        rainCaption.hidden = extraTypes.length === 0;
+        document.querySelector('.gradient-labels').classList.toggle('typed', extraTypes.length > 0);
+    }
+    if (typeLegends) {
+        typeLegends.innerHTML = extraTypes
+            .map((name) => {
+                const { ramp, mode } = getTypeRamp(config, name);
+                return `
+                    <div class="gradient-legend">
+                        <span class="type-caption">${PRECIP_TYPES[name].label}</span>
+                        <div class="gradient-bar" style="background: ${colorRampToCSS(ramp, mode)}"></div>
+                    </div>
+                `;
+            })
+            .join('');
+    }
+}
+
+// Confidences shown as swatches in the uncertainty legend
+const LEGEND_CONFIDENCES = [0.25, 0.5, 1];
+
+// Draw a swatch of the ramp's top color at a confidence, through the layer's encoding
+function drawConfidenceSwatch(canvas, color, confidence, encoding) {
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = Math.round(24 * ratio);
+    canvas.height = Math.round(12 * ratio);
+    const context = canvas.getContext('2d');
+    const image = context.createImageData(canvas.width, canvas.height);
+    for (let y = 0; y < canvas.height; y++) {
+        for (let x = 0; x < canvas.width; x++) {
+            // The shader's gl_FragCoord counts from the bottom left, at pixel centres
+            const pixel = encodeConfidence(color, confidence, encoding, x + 0.5, canvas.height - y - 0.5);
+            image.data.set(pixel.map(Math.round), (y * canvas.width + x) * 4);
+        }
+    }
+    context.putImageData(image, 0, 0);
+}
+
+// Explain how the layer shows probability or spread, with a swatch per confidence
+function updateUncertaintyLegend(config) {
+    const legend = document.getElementById('uncertaintyLegend');
+    const quantity = precipitationLayer ? precipitationLayer.getUncertaintyQuantity() : null;
+    const encoding = config.uncertaintyEncoding;
+    legend.hidden = encoding === 'none' || !quantity;
+    if (legend.hidden) {
+        return;
+    }
+
+    const describe = (confidence) => (quantity === 'probability'
+        ? `${Math.round(confidence * 100)}%`
+        : `±${formatValue((1 - confidence) * resolveMaxSpread(config), config.units)}`);
+    const caption = quantity === 'probability' ? 'probability of precipitation' : 'ensemble spread';
+    legend.innerHTML = `
+        <div>${UNCERTAINTY_ENCODINGS[encoding].label} shows the ${caption}</div>
+        <div class="uncertainty-swatches">
+            ${LEGEND_CONFIDENCES.map((confidence) => `<span><canvas></canvas>${describe(confidence)}</span>`).join('')}
+        </div>
+    `;
+
+    const ramp = resolveColorRamp(config.colorRamp);
+    const color = [...ramp[ramp.length - 1].color, 0.8 * 255];
+    legend.querySelectorAll('canvas').forEach((canvas, i) => {
+        drawConfidenceSwatch(canvas, color, LEGEND_CONFIDENCES[i], encoding);
+    });
+}
+
+// Draw contour lines at the legend's inner ticks when the checkbox is ticked
+function updateContours() {
+    if (!precipitationLayer) {
+        return;
+    }
+    const config = precipitationLayer.config;
+    const thresholds = resolveColorRamp(config.colorRamp)
+        .filter(({ stop }) => stop > 0 && stop < 1)
+        .map(({ stop }) => denormalizeValue(stop, config));
+    const enabled = document.getElementById('showContours').checked && thresholds.length > 0;
+    precipitationLayer.updateConfig({ contours: enabled ? { thresholds } : null });
+}
+
+// Convert normalized test data (0-1) into a preset's units; zero stays zero (no rain)
+function toPresetUnits(value, preset) {
+    return value > 0 ? denormalizeValue(value, preset) : 0;
+}
+
+// Test points, grid or frames in the current preset's units
+function getDemoData(source) {
+    if (source === 'grid') {
+        return { ...TEST_GRID, values: TEST_GRID.values.map((value) => toPresetUnits(value, valuePreset)) };
+    }
+
+    const convertPoints = (points) => points.map((point) => ({ ...point, value: toPresetUnits(point.value, valuePreset) }));
+    if (source === 'frames') {
+        return TEST_FRAMES.map((frame) => ({ ...frame, points: convertPoints(frame.points) }));
+    }
+    const points = {
+        winter: TEST_WINTER_POINTS,
+        ensemble: TEST_ENSEMBLE_POINTS,
+        forecast: TEST_FORECAST_POINTS
+    }[source] || TEST_POINTS;
+    return convertPoints(points);
+}
+
+// Poll a simulated live feed: each fetch returns the next frame of the radar loop
+function startLiveSource() {
+    const frames = getDemoData('frames');
+    let next = 0;
+
+    liveSource = new LiveSource(precipitationLayer, {
+        fetch: async () => frames[next++ % frames.length].points,
+        interval: LIVE_INTERVAL,
+        transitionDuration: 1500
+    });
+    liveSource.on('data', ({ diff }) => {
+        showLiveStatus(`Live: ${diff.changed.length} changed, ${diff.added.length} added, ${diff.removed.length} removed`);
+    });
+    liveSource.on('error', ({ error, retryIn }) => {
+        showLiveStatus(`Live update failed (${error.message}), retrying in ${retryIn / 1000} s`, true);
+    });
+    liveSource.start();
+}
+
+// Hand the selected demo data to the layer
+function loadDataSource() {
+    if (liveSource) {
+        liveSource.stop();
+        liveSource = null;
+        showLiveStatus('');
+    }
+
+    if (dataSource === 'live') {
+        startLiveSource();
+    } else if (dataSource === 'file') {
+        precipitationLayer.updatePoints(loadedPoints);
+    } else if (dataSource === 'grid') {
+        precipitationLayer.updateGrid(getDemoData('grid'));
+    } else if (dataSource === 'frames') {
+        const time = precipitationLayer.frames ? precipitationLayer.time : null;
+        precipitationLayer.setFrames(getDemoData('frames'));
+        if (time !== null) {
+            precipitationLayer.setTime(time); // Keep the loop position when only the units change
+        }
+        updateTimelineDisplay();
+    } else {
+        precipitationLayer.updatePoints(getDemoData(dataSource));
+    }
+}
+
+// Show the demo data in another preset's units and value domain
+function setValuePreset(name) {
+    valuePreset = VALUE_PRESETS[name];
+    const { units, minValue, maxValue, scale } = valuePreset;
+    if (precipitationLayer) {
+        precipitationLayer.updateConfig({ units, minValue, maxValue, scale });
+        loadDataSource();
+        setCompareMode(compareMode); // The forecast follows the new units
+        updateGradientLegend(precipitationLayer.config);
+        updateContours();
+    } else {
+        updateGradientLegend({ ...DEFAULT_CONFIG, units, minValue, maxValue, scale });
+    }
+}
+
+// Remove the comparison layers and draw the data layer over the whole map again
+function endComparison() {
+    [forecastLayer, differenceLayer].filter(Boolean).forEach((layer) => {
+        if (map.getLayer(layer.id)) {
+            map.removeLayer(layer.id);
         }
-        gradientBar.style.background = `linear-gradient(to right, ${bands.join(', ')})`;
+    });
+    forecastLayer = null;
+    differenceLayer = null;
+    map.setLayoutProperty(precipitationLayer.id, 'visibility', 'visible');
+    precipitationLayer.updateConfig({ splitSide: null });
+    document.getElementById('swipeDivider').hidden = true;
+}
+
+// Give the forecast the data layer's new settings while swiping; each keeps its own side
+// The difference layer follows the data layer's settings by itself
+function followDataLayerConfig({ config, changed }) {
+    const keys = changed.filter((key) => key !== 'splitSide');
+    if (compareMode === 'swipe' && forecastLayer && keys.length > 0) {
+        forecastLayer.updateConfig(Object.fromEntries(keys.map((key) => [key, config[key]])));
     }
 }
 
+// Compare the data layer with the test forecast, drawn with the data layer's settings
+// Both layers share their compiled programs, as they draw into the same context
+function setCompareMode(mode) {
+    endComparison();
+    compareMode = mode;
+    if (mode === 'off') {
+        return;
+    }
+
+    forecastLayer = new PrecipitationLayer('forecast-layer', getDemoData('forecast'), {
+        ...precipitationLayer.config,
+        splitSide: 'right',
+        splitPosition: swipePosition
+    });
+    if (mode === 'swipe') {
+        precipitationLayer.updateConfig({ splitSide: 'left', splitPosition: swipePosition });
+        map.addLayer(forecastLayer);
+        document.getElementById('swipeDivider').hidden = false;
+    } else {
+        // The forecast layer only holds the data to subtract; it isn't drawn
+        differenceLayer = new DifferenceLayer('difference-layer', precipitationLayer, forecastLayer);
+        differenceLayer.on('error', ({ error }) => console.error(error));
+        map.setLayoutProperty(precipitationLayer.id, 'visibility', 'none');
+        map.addLayer(differenceLayer);
+    }
+}
+
+// Escape text from loaded files before it goes into popup HTML
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+// Popup content: the value the layer shows at a location and the nearest stations behind it
+function describeLocation(lngLat) {
+    const { units, minValue } = precipitationLayer.config;
+    const value = precipitationLayer.queryValue(lngLat);
+    const stations = precipitationLayer.queryContributors(lngLat, 3);
+
+    let valueText = value > minValue ? formatValue(value, units) : 'No precipitation';
+    if (value > minValue && precipitationLayer.getPrecipTypes().length > 1) {
+        valueText += ` (${PRECIP_TYPES[precipitationLayer.queryType(lngLat).type].label.toLowerCase()})`;
+    }
+    if (value > minValue && precipitationLayer.isMasked(lngLat)) {
+        valueText += ' (outside data coverage)';
+    }
+    const uncertainty = precipitationLayer.getUncertaintyQuantity();
+    let uncertaintyText = '';
+    if (value > minValue && uncertainty) {
+        const confidence = precipitationLayer.queryConfidence(lngLat);
+        uncertaintyText = uncertainty === 'probability'
+            ? `${Math.round(confidence * 100)}% chance`
+            : `Spread ±${formatValue((1 - confidence) * resolveMaxSpread(precipitationLayer.config), units)}`;
+    }
+    const stationItems = stations
+        .map(({ point, distance }) => {
+            const label = point.name !== undefined ? `${escapeHTML(point.name)}: ` : '';
+            return `<li>${label}${formatValue(point.value, units)}<span>${distance.toFixed(1)} km</span></li>`;
+        })
+        .join('');
+
+    return `
+        <div class="query-popup">
+            <strong>${valueText}</strong>
+            ${uncertaintyText ? `<div>${uncertaintyText}</div>` : ''}
+            ${stationItems ? `<div class="query-stations">Nearest stations</div><ul>${stationItems}</ul>` : ''}
+        </div>
+    `;
+}
+
+// Show the value popup at a map event's location
+function showQueryPopup(e) {
+    if (!precipitationLayer) {
+        return;
+    }
+    queryPopup.setLngLat(e.lngLat).setHTML(describeLocation(e.lngLat)).addTo(map);
+}
+
+// Set up the value popup; it follows the pointer or opens on click, depending on queryMode
+function initQueryPopup() {
+    queryPopup = new maplibregl.Popup({ closeButton: false, closeOnClick: false, maxWidth: '220px' });
+
+    map.on('mousemove', (e) => {
+        if (queryMode === 'hover') {
+            showQueryPopup(e);
+        }
+    });
+    map.on('mouseout', () => {
+        if (queryMode === 'hover') {
+            queryPopup.remove();
+        }
+    });
+    map.on('click', (e) => {
+        if (queryMode === 'click') {
+            showQueryPopup(e);
+        }
+    });
+}
+
+// Download a Blob as a file
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+// Export the field in view as a PNG or GeoTIFF; exporting runs on the CPU, so show it's busy
+async function exportField(format, button) {
+    if (!precipitationLayer) {
+        return;
+    }
+    button.disabled = true;
+    try {
+        const blob = format === 'png'
+            ? await precipitationLayer.exportPNG()
+            : await precipitationLayer.exportGeoTIFF();
+        downloadBlob(blob, format === 'png' ? 'precipitation.png' : 'precipitation.tif');
+    } catch (error) {
+        console.error('Export failed:', error);
+    } finally {
+        button.disabled = false;
+    }
+}
+
+// Load points from a GeoJSON or CSV file picked by the user, reporting rows that were skipped
+async function loadPointsFile(file) {
+    const status = document.getElementById('dataFileStatus');
+    const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'geojson';
+
+    let result;
+    try {
+        result = parsePoints(await file.text(), format);
+    } catch (error) {
+        status.textContent = `Could not read ${file.name}: ${error.message}`;
+        return;
+    }
+
+    if (result.errors.length > 0) {
+        console.warn(`Skipped ${result.errors.length} rows of ${file.name}:`, result.errors);
+    }
+    status.textContent = `${result.points.length} points loaded` +
+        (result.errors.length > 0 ? `, ${result.errors.length} rows skipped (see console)` : '');
+
+    loadedPoints = result.points;
+    const dataSourceSelect = document.getElementById('dataSource');
+    if (![...dataSourceSelect.options].some((option) => option.value === 'file')) {
+        dataSourceSelect.add(new Option('Loaded file', 'file'));
+    }
+    dataSourceSelect.value = 'file';
+    dataSourceSelect.dispatchEvent(new Event('change'));
+}
+
 // Initialize the map and layer
 function initMap() {
     // Create MapLibre map
@@ -40,38 +483,84 @@ function initMap() {
     // Expose map globally for debugging
     window.map = map;
 
+    // Rotation, pitch and globe controls; the layer follows the map's projection
+    map.addControl(new maplibregl.NavigationControl({ visualizePitch: true }), 'top-left');
+    map.addControl(new maplibregl.GlobeControl(), 'top-left');
+
+    initQueryPopup();
+
     map.on('load', () => {
         // Create precipitation layer with test data
         precipitationLayer = new PrecipitationLayer('precipitation-layer', TEST_POINTS, DEFAULT_CONFIG);
 
+        // Report the layer's state below the legend; listen before adding so setup errors show too
+        initLayerStatus(precipitationLayer);
+
+        // The layers comparing with the forecast take the controls' settings from it
+        precipitationLayer.on('configchange', followDataLayerConfig);
+
         // Add layer to map
         map.addLayer(precipitationLayer);
 
         // Add markers for data points to visualize them
         // addDataPointMarkers();
-
-        console.log('Precipitation layer initialized with', TEST_POINTS.length, 'points');
-
-        // Log initial map state
-        const center = map.getCenter();
-        console.log('Map center:', center.lng, center.lat, 'Zoom:', map.getZoom());
     });
+}
 
-    // Log map state on move
-    map.on('moveend', () => {
-        const center = map.getCenter();
-        console.log('Map center:', center.lng, center.lat, 'Zoom:', map.getZoom());
+// Show the layer's shader path, point count, field timing and errors in the status line
+function initLayerStatus(layer) {
+    layer.on('ready', ({ shaderPath }) => {
+        statusLine.pathLabel = shaderPath.label;
+        showStatus(shaderPath.reason);
+    });
+    layer.on('dataupdate', ({ dataType, pointCount }) => {
+        showStatus(dataType === 'grid' ? 'Showing gridded data' : `Showing ${pointCount} points`);
+        updateTypeLegends(layer.config);
+        updateUncertaintyLegend(layer.config);
     });
+    layer.on('render', ({ duration, fieldUpdated, pointCount }) => {
+        // Only frames that recompute the field say much about performance
+        if (fieldUpdated) {
+            const data = layer.grid ? 'Grid' : `${pointCount} points`;
+            showStatus(`${data} · field computed in ${duration.toFixed(1)} ms`);
+        }
+    });
+    layer.on('error', ({ error, infoLog }) => {
+        showStatus(infoLog ? `${error.message}\n${infoLog}` : error.message, true);
+        console.error(error);
+    });
+}
+
+// Show the layer's latest report; an error hides the shader path and the live feed's update
+function showStatus(text, isError = false) {
+    statusLine.report = text;
+    statusLine.reportIsError = isError;
+    renderStatusLine();
+}
+
+// Show the live feed's latest update after the layer's report ('' clears it)
+function showLiveStatus(text, isError = false) {
+    statusLine.live = text;
+    statusLine.liveIsError = isError;
+    renderStatusLine();
+}
+
+// Write the status line
+function renderStatusLine() {
+    const status = document.getElementById('layerStatus');
+    const { pathLabel, report, reportIsError, live, liveIsError } = statusLine;
+    status.textContent = reportIsError ? report : [pathLabel, report, live].filter(Boolean).join(' · ');
+    status.classList.toggle('error', reportIsError || liveIsError);
 }
 
 // Add markers to visualize data points
 function addDataPointMarkers() {
-    TEST_POINTS.forEach((point, index) => {
+    getDemoData('points').forEach((point, index) => {
         const el = document.createElement('div');
         el.className = 'marker';
         el.innerHTML = `
             <div class="marker-inner">
-                <div class="marker-label">${(point.value * 100).toFixed(0)}%</div>
+                <div class="marker-label">${formatValue(point.value)}</div>
             </div>
         `;
 
@@ -81,53 +570,376 @@ function addDataPointMarkers() {
     });
 }
 
+// Build sliders for the parameters of the selected interpolation model
+function renderModelParams(modelName, config) {
+    const container = document.getElementById('modelParams');
+    container.innerHTML = '';
+
+    INTERPOLATION_MODELS[modelName].params.forEach((param) => {
+        const group = document.createElement('div');
+        group.className = 'control-group';
+        group.innerHTML = `
+            <label>
+                ${param.label}
+                <span class="value"></span>
+            </label>
+            <input type="range" min="${param.min}" max="${param.max}" step="${param.step}" value="${config[param.key]}">
+        `;
+
+        const slider = group.querySelector('input');
+        const valueLabel = group.querySelector('.value');
+        valueLabel.textContent = param.format(config[param.key]);
+
+        slider.addEventListener('input', (e) => {
+            const value = parseFloat(e.target.value);
+            valueLabel.textContent = param.format(value);
+            if (precipitationLayer) {
+                precipitationLayer.updateConfig({ [param.key]: value });
+            }
+        });
+
+        container.appendChild(group);
+    });
+}
+
+// Format a time-series timestamp for display
+function formatTimestamp(time) {
+    const iso = new Date(time).toISOString();
+    return `${iso.slice(0, 10)} ${iso.slice(11, 16)} UTC`;
+}
+
+// Sync the scrubber and timestamp readout with the layer's current time
+function updateTimelineDisplay() {
+    const range = precipitationLayer.getTimeRange();
+    const fraction = (precipitationLayer.time - range[0]) / (range[1] - range[0]);
+    document.getElementById('timeScrubber').value = Math.round(fraction * 1000);
+    document.getElementById('timestamp').textContent = formatTimestamp(precipitationLayer.time);
+}
+
+// Advance the animation; the layer blends frames on the GPU, so a tick only sets the time
+function playbackTick(now) {
+    const [start, end] = precipitationLayer.getTimeRange();
+    const elapsed = playback.lastTick === null ? 0 : now - playback.lastTick;
+    playback.lastTick = now;
+
+    let time = precipitationLayer.time + (elapsed / 1000) * PLAYBACK_RATE * playback.speed;
+    if (time > end) {
+        time = start; // Loop back to the first frame
+    }
+    precipitationLayer.setTime(time);
+    updateTimelineDisplay();
+
+    playback.frameRequest = requestAnimationFrame(playbackTick);
+}
+
+// Start or stop playback
+function setPlaying(playing) {
+    const playButton = document.getElementById('playButton');
+    playback.playing = playing;
+    playButton.textContent = playing ? '❚❚' : '▶';
+    playButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+
+    if (playing) {
+        playback.lastTick = null;
+        playback.frameRequest = requestAnimationFrame(playbackTick);
+    } else if (playback.frameRequest !== null) {
+        cancelAnimationFrame(playback.frameRequest);
+        playback.frameRequest = null;
+    }
+}
+
+// Set up time-series playback controls
+function initPlayback() {
+    const playButton = document.getElementById('playButton');
+    const scrubber = document.getElementById('timeScrubber');
+    const speedSelect = document.getElementById('playbackSpeed');
+
+    playButton.addEventListener('click', () => {
+        setPlaying(!playback.playing);
+    });
+
+    // Scrubbing jumps straight to a time; playback continues from there
+    scrubber.addEventListener('input', (e) => {
+        const [start, end] = precipitationLayer.getTimeRange();
+        precipitationLayer.setTime(start + (parseFloat(e.target.value) / 1000) * (end - start));
+        document.getElementById('timestamp').textContent = formatTimestamp(precipitationLayer.time);
+    });
+
+    speedSelect.addEventListener('change', (e) => {
+        playback.speed = parseFloat(e.target.value);
+    });
+}
+
 // Set up control event listeners
 function initControls() {
+    const dataSourceSelect = document.getElementById('dataSource');
+    const gridFilterGroup = document.getElementById('gridFilterGroup');
+    const gridFilterSelect = document.getElementById('gridFilter');
+    const modelSelect = document.getElementById('model');
+    const rampModeSelect = document.getElementById('rampMode');
+    const paletteSelect = document.getElementById('palette');
+    const unitsSelect = document.getElementById('units');
     const radiusSlider = document.getElementById('influenceRadius');
     const radiusValue = document.getElementById('radiusValue');
-    const steepnessSlider = document.getElementById('falloffSteepness');
-    const steepnessValue = document.getElementById('steepnessValue');
+    const kernelShapeSlider = document.getElementById('kernelShape');
+    const kernelShapeValue = document.getElementById('kernelShapeValue');
+    const orientationSlider = document.getElementById('kernelOrientation');
+    const orientationValue = document.getElementById('kernelOrientationValue');
+    const queryModeSelect = document.getElementById('queryMode');
+    const resolutionSlider = document.getElementById('resolution');
+    const resolutionValue = document.getElementById('resolutionValue');
+    const distanceSlider = document.getElementById('maxStationDistance');
+    const distanceValue = document.getElementById('maxStationDistanceValue');
+    const maskStyleSelect = document.getElementById('maskStyle');
+    const uncertaintySelect = document.getElementById('uncertaintyEncoding');
+    const leadTimeSlider = document.getElementById('leadTime');
+    const leadTimeValue = document.getElementById('leadTimeValue');
+    const compareSelect = document.getElementById('compareMode');
+    const swipeSlider = document.getElementById('swipePosition');
     const resetButton = document.getElementById('resetButton');
+    const exportPNGButton = document.getElementById('exportPNG');
+    const exportGeoTIFFButton = document.getElementById('exportGeoTIFF');
+
+    // Switch between scattered station points, gridded model data and a time series
+    dataSourceSelect.addEventListener('change', (e) => {
+        dataSource = e.target.value;
+        gridFilterGroup.hidden = dataSource !== 'grid';
+        document.getElementById('timeline').hidden = dataSource !== 'frames';
+        setPlaying(false);
+
+        // A time series can't be subtracted from the forecast
+        if (dataSource === 'frames' && compareMode === 'difference') {
+            compareSelect.value = 'off';
+            compareSelect.dispatchEvent(new Event('change'));
+        }
+
+        if (precipitationLayer) {
+            loadDataSource();
+        }
+    });
+
+    // Points from a local GeoJSON or CSV file
+    document.getElementById('dataFile').addEventListener('change', (e) => {
+        if (e.target.files.length > 0) {
+            loadPointsFile(e.target.files[0]);
+        }
+    });
+
+    // Units and value domain picker; the demo data is rescaled to match
+    Object.entries(VALUE_PRESETS).forEach(([name, preset]) => {
+        unitsSelect.add(new Option(preset.label, name));
+    });
+    unitsSelect.value = 'normalized';
+    unitsSelect.addEventListener('change', (e) => {
+        setValuePreset(e.target.value);
+    });
+
+    // Contour lines at the legend's ticks
+    document.getElementById('showContours').addEventListener('change', updateContours);
+
+    // Rain streaks and snowflakes falling over the field, with the default settings
+    document.getElementById('showParticles').addEventListener('change', (e) => {
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ particles: e.target.checked ? {} : null });
+        }
+    });
+
+    // Value popup on hover, on click or off
+    queryModeSelect.addEventListener('change', (e) => {
+        queryMode = e.target.value;
+        queryPopup.remove();
+    });
+
+    // Grid filtering picker
+    gridFilterSelect.value = DEFAULT_CONFIG.gridFilter;
+    gridFilterSelect.addEventListener('change', (e) => {
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ gridFilter: e.target.value });
+        }
+    });
+
+    // Palette picker for the intensity field; each palette switches to the mode it is designed for
+    getPaletteNames('intensity').forEach((name) => {
+        paletteSelect.add(new Option(PALETTES[name].label, name));
+    });
+    paletteSelect.value = DEFAULT_CONFIG.colorRamp;
+    paletteSelect.addEventListener('change', (e) => {
+        const palette = PALETTES[e.target.value];
+        rampModeSelect.value = palette.mode;
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ colorRamp: e.target.value, rampMode: palette.mode });
+            updateGradientLegend(precipitationLayer.config);
+            updateContours();
+        }
+    });
+
+    // Discrete bands or a smooth ramp; the legend follows
+    rampModeSelect.value = DEFAULT_CONFIG.rampMode;
+    rampModeSelect.addEventListener('change', (e) => {
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ rampMode: e.target.value });
+            updateGradientLegend(precipitationLayer.config);
+        }
+    });
+
+    // Interpolation model picker
+    Object.entries(INTERPOLATION_MODELS).forEach(([name, model]) => {
+        modelSelect.add(new Option(model.label, name));
+    });
+    modelSelect.value = DEFAULT_CONFIG.model;
+
+    modelSelect.addEventListener('change', (e) => {
+        const model = e.target.value;
+        const config = precipitationLayer ? precipitationLayer.config : DEFAULT_CONFIG;
+        renderModelParams(model, config);
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ model });
+        }
+    });
 
     // Influence radius control
     radiusSlider.addEventListener('input', (e) => {
         const radius = parseFloat(e.target.value);
         radiusValue.textContent = formatRadiusValue(radius);
         if (precipitationLayer) {
-            precipitationLayer.updateConfig({ influenceRadius: radius });
+            const kernelMinorRadius = getKernelMinorRadius(radius, parseFloat(kernelShapeSlider.value));
+            precipitationLayer.updateConfig({ influenceRadius: radius, kernelMinorRadius });
+        }
+    });
+
+    // Stretch the kernel into an ellipse along fronts or valleys; the influence radius is its major radius
+    kernelShapeSlider.addEventListener('input', (e) => {
+        const percent = parseFloat(e.target.value);
+        kernelShapeValue.textContent = formatKernelShape(percent);
+        if (precipitationLayer) {
+            const kernelMinorRadius = getKernelMinorRadius(parseFloat(radiusSlider.value), percent);
+            precipitationLayer.updateConfig({ kernelMinorRadius });
+        }
+    });
+
+    // Bearing of the kernel's major axis
+    orientationSlider.addEventListener('input', (e) => {
+        const kernelOrientation = parseFloat(e.target.value);
+        orientationValue.textContent = `${kernelOrientation}°`;
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ kernelOrientation });
         }
     });
 
-    // Falloff steepness control
-    steepnessSlider.addEventListener('input', (e) => {
-        const steepness = parseFloat(e.target.value);
-        steepnessValue.textContent = steepness.toFixed(1);
+    // Mask precipitation far from any station; 0 turns the limit off
+    distanceSlider.addEventListener('input', (e) => {
+        const distance = parseFloat(e.target.value);
+        distanceValue.textContent = formatDistanceLimit(distance);
         if (precipitationLayer) {
-            precipitationLayer.updateConfig({ falloffSteepness: steepness });
+            precipitationLayer.updateConfig({ maxStationDistance: distance > 0 ? distance : null });
+        }
+    });
+
+    // Hide masked precipitation or hatch it
+    maskStyleSelect.addEventListener('change', (e) => {
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ maskStyle: e.target.value });
+        }
+    });
+
+    // Show the probability or spread of the data through opacity, stippling or saturation
+    uncertaintySelect.addEventListener('change', (e) => {
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ uncertaintyEncoding: e.target.value });
+            updateUncertaintyLegend(precipitationLayer.config);
+        }
+    });
+
+    // Extrapolate the data ahead along the radar loop's motion; the field fades as it looks further
+    leadTimeSlider.addEventListener('input', (e) => {
+        const leadTime = parseFloat(e.target.value);
+        leadTimeValue.textContent = formatLeadTime(leadTime);
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ leadTime, motion: TEST_MOTION });
+        }
+    });
+
+    // Compare with the forecast side by side or as a difference
+    compareSelect.addEventListener('change', (e) => {
+        document.getElementById('swipeGroup').hidden = e.target.value !== 'swipe';
+        if (precipitationLayer) {
+            setCompareMode(e.target.value);
+        }
+    });
+
+    // Move the swipe divider; both layers draw up to it
+    swipeSlider.addEventListener('input', (e) => {
+        swipePosition = parseFloat(e.target.value) / 100;
+        document.getElementById('swipePositionValue').textContent = `${e.target.value}%`;
+        document.getElementById('swipeDivider').style.left = `${e.target.value}%`;
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ splitPosition: swipePosition });
+        }
+    });
+
+    // Download the field in view
+    exportPNGButton.addEventListener('click', () => exportField('png', exportPNGButton));
+    exportGeoTIFFButton.addEventListener('click', () => exportField('geotiff', exportGeoTIFFButton));
+
+    // Field texture resolution: lower is faster, higher is sharper
+    resolutionSlider.addEventListener('input', (e) => {
+        const resolution = parseFloat(e.target.value);
+        resolutionValue.textContent = formatResolutionValue(resolution);
+        if (precipitationLayer) {
+            precipitationLayer.updateConfig({ resolution });
         }
     });
 
     // Reset button
     resetButton.addEventListener('click', () => {
+        gridFilterSelect.value = DEFAULT_CONFIG.gridFilter;
+        paletteSelect.value = DEFAULT_CONFIG.colorRamp;
+        rampModeSelect.value = DEFAULT_CONFIG.rampMode;
+        updateGradientLegend(DEFAULT_CONFIG);
+        unitsSelect.value = 'normalized';
+        valuePreset = VALUE_PRESETS.normalized;
+        document.getElementById('showContours').checked = false;
+        document.getElementById('showParticles').checked = false;
+
+        modelSelect.value = DEFAULT_CONFIG.model;
+        renderModelParams(DEFAULT_CONFIG.model, DEFAULT_CONFIG);
+
         radiusSlider.value = DEFAULT_CONFIG.influenceRadius;
         radiusValue.textContent = formatRadiusValue(DEFAULT_CONFIG.influenceRadius);
+        kernelShapeSlider.value = 100;
+        kernelShapeValue.textContent = formatKernelShape(100);
+        orientationSlider.value = DEFAULT_CONFIG.kernelOrientation;
+        orientationValue.textContent = `${DEFAULT_CONFIG.kernelOrientation}°`;
+
+        resolutionSlider.value = DEFAULT_CONFIG.resolution;
+        resolutionValue.textContent = formatResolutionValue(DEFAULT_CONFIG.resolution);
 
-        steepnessSlider.value = DEFAULT_CONFIG.falloffSteepness;
-        steepnessValue.textContent = DEFAULT_CONFIG.falloffSteepness.toFixed(1);
+        distanceSlider.value = 0;
+        distanceValue.textContent = formatDistanceLimit(0);
+        maskStyleSelect.value = DEFAULT_CONFIG.maskStyle;
+        uncertaintySelect.value = DEFAULT_CONFIG.uncertaintyEncoding;
+        leadTimeSlider.value = DEFAULT_CONFIG.leadTime;
+        leadTimeValue.textContent = formatLeadTime(DEFAULT_CONFIG.leadTime);
+        compareSelect.value = 'off';
+        document.getElementById('swipeGroup').hidden = true;
 
         if (precipitationLayer) {
+            setCompareMode('off');
             precipitationLayer.updateConfig(DEFAULT_CONFIG);
+            loadDataSource();
         }
     });
 
     // Initialize display values
     radiusValue.textContent = formatRadiusValue(parseFloat(radiusSlider.value));
-    steepnessValue.textContent = steepnessSlider.value;
+    resolutionValue.textContent = formatResolutionValue(parseFloat(resolutionSlider.value));
+    renderModelParams(DEFAULT_CONFIG.model, DEFAULT_CONFIG);
 }
 
 // Initialize everything when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     initMap();
     initControls();
-    updateGradientLegend();
+    initPlayback();
+    updateGradientLegend(DEFAULT_CONFIG);
 });
@@ -0,0 +1,107 @@
+// Coverage mask for the precipitation layer
+//
+// Two things limit where the field is drawn as data:
+//   - a clip geometry: GeoJSON polygons, rasterised into a grid (grid.js format)
+//     of 1 inside and 0 outside that the field pass samples bilinearly
+//   - a maximum distance from the nearest point, checked during the point walk
+// Masked precipitation is either left out or drawn hatched (see MASK_STYLES).
+
+// Cells along the longer side of the clip raster
+export const MASK_RESOLUTION = 1024;
+
+// How precipitation outside the mask is drawn, matching the composite shader's MASK_STYLE_* constants
+export const MASK_STYLES = {
+    transparent: 0,
+    hatched: 1
+};
+
+// Diagonal hatching of masked precipitation in framebuffer pixels, as in the composite shader
+export const HATCH_SPACING = 8;
+export const HATCH_WIDTH = 3;
+
+// Collect the polygons of a GeoJSON geometry, Feature or FeatureCollection as arrays of rings
+function collectPolygons(geojson, polygons = []) {
+    if (!geojson || typeof geojson !== 'object') {
+        throw new Error('Clip geometry must be GeoJSON');
+    }
+
+    switch (geojson.type) {
+        case 'FeatureCollection':
+            geojson.features.forEach((feature) => collectPolygons(feature, polygons));
+            break;
+        case 'Feature':
+            collectPolygons(geojson.geometry, polygons);
+            break;
+        case 'Polygon':
+            polygons.push(geojson.coordinates);
+            break;
+        case 'MultiPolygon':
+            polygons.push(...geojson.coordinates);
+            break;
+        default:
+            throw new Error(`Clip geometry must be made of polygons, got ${geojson.type}`);
+    }
+    return polygons;
+}
+
+// Rasterise GeoJSON polygons into a grid of 1 inside and 0 outside
+// The grid covers the polygons plus an empty border cell, so bilinear sampling
+// fades to 0 at the edge of the grid; holes follow the even-odd rule
+export function createMaskGrid(geojson, resolution = MASK_RESOLUTION) {
+    const polygons = collectPolygons(geojson).filter((rings) => rings.length > 0 && rings[0].length >= 3);
+    if (polygons.length === 0) {
+        throw new Error('Clip geometry has no polygons');
+    }
+
+    // Bounding box of all polygons
+    let [west, south, east, north] = [Infinity, Infinity, -Infinity, -Infinity];
+    polygons.forEach((rings) => rings[0].forEach(([lng, lat]) => {
+        west = Math.min(west, lng);
+        east = Math.max(east, lng);
+        south = Math.min(south, lat);
+        north = Math.max(north, lat);
+    }));
+
+    // Square cells in degrees, with a border cell on each side
+    const cellSize = Math.max(east - west, north - south, 1e-6) / (resolution - 2);
+    const width = Math.min(resolution, Math.ceil((east - west) / cellSize) + 2);
+    const height = Math.min(resolution, Math.ceil((north - south) / cellSize) + 2);
+    const bounds = [west - cellSize, north - (height - 1) * cellSize, west + (width - 1) * cellSize, north + cellSize];
+    const values = new Float32Array(width * height);
+
+    // Scanline fill through each row's cell centres
+    for (let row = 0; row < height; row++) {
+        const lat = bounds[3] - (row + 0.5) * cellSize;
+        polygons.forEach((rings) => {
+            const crossings = [];
+            rings.forEach((ring) => {
+                for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+                    const [x0, y0] = ring[j];
+                    const [x1, y1] = ring[i];
+                    if ((y0 > lat) !== (y1 > lat)) {
+                        crossings.push(x0 + (lat - y0) * (x1 - x0) / (y1 - y0));
+                    }
+                }
+            });
+            crossings.sort((a, b) => a - b);
+
+            for (let k = 0; k + 1 < crossings.length; k += 2) {
+                const first = Math.max(Math.ceil((crossings[k] - bounds[0]) / cellSize - 0.5), 0);
+                const last = Math.min(Math.floor((crossings[k + 1] - bounds[0]) / cellSize - 0.5), width - 1);
+                values.fill(1, row * width + first, row * width + last + 1);
+            }
+        });
+    }
+
+    return { bounds, width, height, values };
+}
+
+// Check mask settings before they reach the shader
+export function validateMask({ maskStyle, maxStationDistance }) {
+    if (!(maskStyle in MASK_STYLES)) {
+        throw new Error(`Unknown mask style: ${maskStyle}`);
+    }
+    if (maxStationDistance !== null && !(maxStationDistance > 0)) {
+        throw new Error('maxStationDistance must be a positive distance in km, or null');
+    }
+}
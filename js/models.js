@@ -0,0 +1,63 @@
+// Interpolation models for the precipitation field
+// Each model lists the config parameters it uses, so the control panel can show matching sliders.
+// Every model only considers points within its reach (see getModelReach()): the influence
+// radius, or GAUSSIAN_REACH σ for the Gaussian kernel. Weights taper to zero at the reach,
+// so points leave the weighted average smoothly rather than dropping out of it.
+
+// Gaussian weights end this many σ from a point, where they have fallen to about 1%
+export const GAUSSIAN_REACH = 3;
+
+export const INTERPOLATION_MODELS = {
+    // Cosine-falloff blobs blended by influence strength
+    blob: {
+        id: 0,
+        label: 'Radial blob',
+        params: [
+            { key: 'falloffSteepness', label: 'Falloff Steepness', min: 0.5, max: 3.0, step: 0.1, format: (v) => v.toFixed(1) },
+            { key: 'intensityBoost', label: 'Intensity Boost', min: 1.0, max: 1.5, step: 0.05, format: (v) => `×${v.toFixed(2)}` }
+        ]
+    },
+
+    // Inverse distance weighting, tapered to zero at the influence radius R
+    // (Franke and Little's modified Shepard weights): weight = ((R - distance) / (R * distance))^power,
+    // which is 1 / distance^power close to a point
+    idw: {
+        id: 1,
+        label: 'Inverse distance weighting',
+        params: [
+            { key: 'idwPower', label: 'Distance Power', min: 0.5, max: 6.0, step: 0.1, format: (v) => v.toFixed(1) }
+        ]
+    },
+
+    // Gaussian kernel reaching GAUSSIAN_REACH σ, whatever the influence radius:
+    // weight = exp(-distance² / 2σ²), less its value at the reach
+    gaussian: {
+        id: 2,
+        label: 'Gaussian kernel',
+        params: [
+            { key: 'gaussianSigma', label: 'Kernel Width (σ)', min: 2, max: 200, step: 1, format: (v) => `${v.toFixed(0)} km` }
+        ]
+    },
+
+    // Nearest neighbour: each location takes the value of its closest point (Voronoi cells)
+    nearest: {
+        id: 3,
+        label: 'Nearest neighbour',
+        params: []
+    }
+};
+
+// Look up a model by name, failing loudly on typos in config
+export function getModel(name) {
+    const model = INTERPOLATION_MODELS[name];
+    if (!model) {
+        throw new Error(`Unknown interpolation model: ${name}`);
+    }
+    return model;
+}
+
+// Kernel distance (km) at which a model's weights reach zero: the influence radius,
+// or GAUSSIAN_REACH σ for the Gaussian, whose width is its own
+export function getModelReach({ model, influenceRadius, gaussianSigma }) {
+    return model === 'gaussian' ? GAUSSIAN_REACH * gaussianSigma : influenceRadius;
+}
@@ -0,0 +1,109 @@
+// Nowcasting: the current data extrapolated along a motion field
+//
+// A short-term "where is the rain going" preview moves the data config.leadTime
+// minutes ahead. Points move with their own motion vector (`u` east and `v` north,
+// in km/h) or else the global config.motion { u, v }; grids move with the global
+// motion. The moved data goes through the usual pipeline, so the field, queries,
+// contours and exports all show the nowcast. Extrapolation gets less reliable the
+// further ahead it looks, so the field fades out, vanishing at config.nowcastFadeTime.
+// Data moved across the antimeridian is wrapped back into the longitudes the rest
+// of the pipeline expects, and grid rows moved past a pole are cropped.
+
+import { KM_PER_DEGREE } from './spatial-index.js';
+import { normalizeLng } from './interpolation.js';
+
+// Smallest cosine of latitude used when turning eastward motion into degrees, so
+// points near the poles don't fly around the globe
+const MIN_LATITUDE_SCALE = 0.01;
+
+// Check nowcast settings before the data is moved
+export function validateNowcast({ motion, leadTime, nowcastFadeTime }) {
+    if (motion !== null && !(Number.isFinite(motion.u) && Number.isFinite(motion.v))) {
+        throw new Error('motion must be { u, v } in km/h, or null');
+    }
+    if (!(leadTime >= 0)) {
+        throw new Error('leadTime must be a non-negative number of minutes');
+    }
+    if (!(nowcastFadeTime > 0)) {
+        throw new Error('nowcastFadeTime must be a positive number of minutes');
+    }
+}
+
+// Opacity of the nowcast (0-1): 1 for the current data, fading to 0 at config.nowcastFadeTime
+export function getNowcastOpacity({ leadTime, nowcastFadeTime }) {
+    return Math.max(1 - leadTime / nowcastFadeTime, 0);
+}
+
+// Displacement [dLng, dLat] in degrees of motion { u, v } (km/h) over minutes at a latitude
+function getDisplacement({ u, v }, minutes, lat) {
+    const hours = minutes / 60;
+    const latitudeScale = Math.max(Math.cos(lat * Math.PI / 180), MIN_LATITUDE_SCALE);
+    return [u * hours / (KM_PER_DEGREE * latitudeScale), v * hours / KM_PER_DEGREE];
+}
+
+// Motion of a point: its own u and v, or else the global motion (null when neither is set)
+export function getPointMotion(point, motion) {
+    if (point.u === undefined && point.v === undefined) {
+        return motion;
+    }
+    if (!Number.isFinite(point.u) || !Number.isFinite(point.v)) {
+        throw new Error('Point motion needs both u and v in km/h');
+    }
+    return { u: point.u, v: point.v };
+}
+
+// Shift grid bounds [west, south, east, north] by whole turns so west is in -180 to 180,
+// as grids are sampled; east may still reach past 180°
+function wrapBounds([west, south, east, north]) {
+    const shift = -360 * Math.floor((west + 180) / 360);
+    return [west + shift, south, east + shift, north];
+}
+
+// Drop the rows of a grid that lie, even in part, past a pole, as latitudes end at ±90°
+// Throws when the whole grid has moved past one
+function cropToPoles(grid) {
+    const [west, south, east, north] = grid.bounds;
+    const cellHeight = (north - south) / grid.height;
+    const top = Math.max(Math.ceil((north - 90) / cellHeight), 0);
+    const bottom = Math.max(Math.ceil((-90 - south) / cellHeight), 0);
+    if (top === 0 && bottom === 0) {
+        return grid;
+    }
+
+    const height = grid.height - top - bottom;
+    if (height < 1) {
+        throw new Error('leadTime moves the whole grid past a pole');
+    }
+    return {
+        ...grid,
+        bounds: [west, south + bottom * cellHeight, east, north - top * cellHeight],
+        height,
+        values: grid.values.slice(top * grid.width, (top + height) * grid.width)
+    };
+}
+
+// Move points or a grid config.leadTime minutes ahead; without a lead time the data
+// is returned as it is
+export function advectData(data, { motion, leadTime }) {
+    if (leadTime === 0) {
+        return data;
+    }
+
+    if (!Array.isArray(data)) {
+        if (motion === null) {
+            return data;
+        }
+        const [west, south, east, north] = data.bounds;
+        const [dLng, dLat] = getDisplacement(motion, leadTime, (south + north) / 2);
+        return cropToPoles({ ...data, bounds: wrapBounds([west + dLng, south + dLat, east + dLng, north + dLat]) });
+    }
+
+    return data.map((point) => {
+        const pointMotion = getPointMotion(point, motion);
+        if (pointMotion === null) {
+            return point;
+        }
+        const [dLng, dLat] = getDisplacement(pointMotion, leadTime, point.lat);
+        return { ...point, lng: normalizeLng(point.lng + dLng), lat: Math.min(Math.max(point.lat + dLat, -90), 90) };
+    });
+}
@@ -0,0 +1,171 @@
+// Built-in color palettes, usable by name wherever a color ramp is expected
+//
+// Each palette is a color ramp (see color-ramp.js) with the mode it is meant to be
+// drawn in and what it is for: 'intensity' for the main precipitation field, 'type'
+// for the precipitation types (see precip-types.js) or 'difference' for difference
+// layers. Stops are ramp positions (0-1), so a palette built for particular units
+// lines up with them when the layer uses the matching value domain and scale
+// (see VALUE_PRESETS in config.js).
+
+export const PALETTES = {
+    // 5 distinct shades of blue; each stop starts a band in discrete mode
+    blues: {
+        label: 'Blues',
+        mode: 'discrete',
+        use: 'intensity',
+        stops: [
+            { stop: 0.0, color: [135, 206, 250] },  // Light blue (0-20%)
+            { stop: 0.2, color: [100, 180, 230] },  // Light-medium blue (20-40%)
+            { stop: 0.4, color: [70, 130, 180] },   // Medium blue (40-60%)
+            { stop: 0.6, color: [30, 100, 200] },   // Blue (60-80%)
+            { stop: 0.8, color: [0, 60, 150] }      // Dark blue (80-100%)
+        ]
+    },
+
+    // NWS radar reflectivity, one band per 5 dBZ; lines up with 5-75 dBZ on a linear scale
+    nwsReflectivity: {
+        label: 'NWS reflectivity',
+        mode: 'discrete',
+        use: 'intensity',
+        stops: [
+            { stop: 0 / 14, color: [4, 233, 231] },    // 5 dBZ
+            { stop: 1 / 14, color: [1, 159, 244] },    // 10 dBZ
+            { stop: 2 / 14, color: [3, 0, 244] },      // 15 dBZ
+            { stop: 3 / 14, color: [2, 253, 2] },      // 20 dBZ
+            { stop: 4 / 14, color: [1, 197, 1] },      // 25 dBZ
+            { stop: 5 / 14, color: [0, 142, 0] },      // 30 dBZ
+            { stop: 6 / 14, color: [253, 248, 2] },    // 35 dBZ
+            { stop: 7 / 14, color: [229, 188, 0] },    // 40 dBZ
+            { stop: 8 / 14, color: [253, 149, 0] },    // 45 dBZ
+            { stop: 9 / 14, color: [253, 0, 0] },      // 50 dBZ
+            { stop: 10 / 14, color: [212, 0, 0] },     // 55 dBZ
+            { stop: 11 / 14, color: [188, 0, 0] },     // 60 dBZ
+            { stop: 12 / 14, color: [248, 0, 253] },   // 65 dBZ
+            { stop: 13 / 14, color: [152, 84, 198] },  // 70 dBZ
+            { stop: 14 / 14, color: [253, 253, 253] }  // 75 dBZ
+        ]
+    },
+
+    // Met Norway / yr.no precipitation bands; lines up with 0.1-100 mm/h on a log scale
+    metNorway: {
+        label: 'Met Norway (yr)',
+        mode: 'discrete',
+        use: 'intensity',
+        stops: [
+            { stop: 0.0, color: [171, 219, 245] },    // 0.1 mm/h
+            { stop: 0.233, color: [113, 186, 233] },  // 0.5 mm/h
+            { stop: 0.333, color: [44, 136, 206] },   // 1 mm/h
+            { stop: 0.434, color: [22, 87, 172] },    // 2 mm/h
+            { stop: 0.566, color: [74, 45, 156] },    // 5 mm/h
+            { stop: 0.667, color: [125, 27, 130] }    // 10 mm/h and above
+        ]
+    },
+
+    // Perceptually uniform and readable with common colour vision deficiencies
+    viridis: {
+        label: 'Viridis (colour-blind safe)',
+        mode: 'continuous',
+        use: 'intensity',
+        stops: [
+            { stop: 0.0, color: [68, 1, 84] },
+            { stop: 0.125, color: [71, 44, 122] },
+            { stop: 0.25, color: [59, 81, 139] },
+            { stop: 0.375, color: [44, 113, 142] },
+            { stop: 0.5, color: [33, 144, 141] },
+            { stop: 0.625, color: [39, 173, 129] },
+            { stop: 0.75, color: [92, 200, 99] },
+            { stop: 0.875, color: [170, 220, 50] },
+            { stop: 1.0, color: [253, 231, 37] }
+        ]
+    },
+
+    // Viridis variant optimised for red-green colour blindness
+    cividis: {
+        label: 'Cividis (colour-blind safe)',
+        mode: 'continuous',
+        use: 'intensity',
+        stops: [
+            { stop: 0.0, color: [0, 32, 77] },
+            { stop: 0.25, color: [65, 77, 107] },
+            { stop: 0.5, color: [124, 123, 120] },
+            { stop: 0.75, color: [188, 175, 111] },
+            { stop: 1.0, color: [255, 234, 70] }
+        ]
+    },
+
+    // Diverging around the middle of the domain, for differences (see difference-layer.js)
+    // Brown where the first field is drier, white for no difference, teal where it is wetter
+    difference: {
+        label: 'Difference (drier - wetter)',
+        mode: 'continuous',
+        use: 'difference',
+        stops: [
+            { stop: 0.0, color: [84, 48, 5] },
+            { stop: 0.15, color: [140, 81, 10] },
+            { stop: 0.3, color: [216, 179, 101] },
+            { stop: 0.45, color: [246, 232, 195] },
+            { stop: 0.5, color: [245, 245, 245] },
+            { stop: 0.55, color: [199, 234, 229] },
+            { stop: 0.7, color: [90, 180, 172] },
+            { stop: 0.85, color: [1, 102, 94] },
+            { stop: 1.0, color: [0, 60, 48] }
+        ]
+    },
+
+    // Precipitation types (see precip-types.js): each reads apart from the rain palettes
+    // Snow: white through lavender to deep violet
+    snow: {
+        label: 'Snow',
+        mode: 'continuous',
+        use: 'type',
+        stops: [
+            { stop: 0.0, color: [235, 235, 250] },
+            { stop: 0.33, color: [190, 180, 235] },
+            { stop: 0.66, color: [140, 110, 210] },
+            { stop: 1.0, color: [90, 40, 160] }
+        ]
+    },
+
+    // Sleet: pale pink to magenta
+    sleet: {
+        label: 'Sleet',
+        mode: 'continuous',
+        use: 'type',
+        stops: [
+            { stop: 0.0, color: [250, 210, 225] },
+            { stop: 0.5, color: [235, 120, 175] },
+            { stop: 1.0, color: [190, 30, 120] }
+        ]
+    },
+
+    // Hail: yellow through orange to red
+    hail: {
+        label: 'Hail',
+        mode: 'continuous',
+        use: 'type',
+        stops: [
+            { stop: 0.0, color: [255, 235, 120] },
+            { stop: 0.5, color: [250, 160, 40] },
+            { stop: 1.0, color: [210, 40, 20] }
+        ]
+    }
+};
+
+// Look up a palette by name, failing loudly on typos in config
+export function getPalette(name) {
+    const palette = PALETTES[name];
+    if (!palette) {
+        throw new Error(`Unknown color palette: ${name}`);
+    }
+    return palette;
+}
+
+// Names of the palettes meant for a use, in the order they are listed above
+export function getPaletteNames(use) {
+    return Object.keys(PALETTES).filter((name) => PALETTES[name].use === use);
+}
+
+// Stops of a color ramp given either as a palette name or as stops
+export function resolveColorRamp(colorRamp) {
+    return typeof colorRamp === 'string' ? getPalette(colorRamp).stops : colorRamp;
+}
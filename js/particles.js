@@ -0,0 +1,88 @@
+// Animated rain and snow falling over the field
+//
+// config.particles turns on an overlay of falling rain streaks and snowflakes:
+// null for none, or { count, speed, size, pauseAfter } (missing settings take
+// PARTICLE_DEFAULTS). Each particle has a random home in the field texture's area
+// and reads the field there on the GPU, so where the rain is heavier more particles
+// show and they fall faster; snow drifts slowly and sways, everything else streaks.
+// Particles are drawn as instances of one quad and carry no state between frames:
+// their position follows from their seed and the particle clock.
+//
+// Animating keeps the map repainting, so the clock stops once the map has been left
+// alone for pauseAfter seconds (null keeps it running) and starts again when it moves
+// or the particles are reconfigured. Devices without instanced drawing or texture
+// reads in vertex shaders draw the field without particles.
+
+// Settings of config.particles that aren't given
+export const PARTICLE_DEFAULTS = {
+    count: 8000,        // Particles spread over the field texture's area
+    speed: 1,           // Fall speed multiplier
+    size: 1,            // Size multiplier of streaks and flakes
+    pauseAfter: 10      // Seconds without map movement before the animation pauses, or null
+};
+
+// Most particles a layer draws, to bound the instance buffer
+export const MAX_PARTICLES = 100000;
+
+// Longest step of the particle clock (s), so a stalled tab doesn't jump the particles
+export const MAX_PARTICLE_STEP = 0.1;
+
+// Corners of the quad every particle is drawn as (-1 to 1), as two triangles
+export const PARTICLE_QUAD = new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]);
+
+// Settings of config.particles with defaults filled in, or null when they are off
+export function resolveParticles({ particles }) {
+    return particles ? { ...PARTICLE_DEFAULTS, ...particles } : null;
+}
+
+// Check particle settings before they reach the shader
+export function validateParticles(config) {
+    const particles = resolveParticles(config);
+    if (particles === null) {
+        return;
+    }
+    if (!(Number.isInteger(particles.count) && particles.count > 0 && particles.count <= MAX_PARTICLES)) {
+        throw new Error(`Particle count must be a whole number from 1 to ${MAX_PARTICLES}`);
+    }
+    if (!(particles.speed > 0)) {
+        throw new Error('Particle speed must be a positive multiplier');
+    }
+    if (!(particles.size > 0)) {
+        throw new Error('Particle size must be a positive multiplier');
+    }
+    if (particles.pauseAfter !== null && !(particles.pauseAfter >= 0)) {
+        throw new Error('Particle pauseAfter must be a non-negative number of seconds, or null');
+    }
+}
+
+// Whether a context can draw particles: they are instanced, and read the field in the vertex shader
+export function supportsParticles(capabilities) {
+    return capabilities.instancedArrays && capabilities.maxVertexTextureUnits > 0;
+}
+
+// Random seeds of count particles, one [x, y, phase, threshold] per particle, all in 0-1:
+// home within the field's area, where it is in its fall, and the intensity it needs to show
+export function createParticleSeeds(count, random = Math.random) {
+    const seeds = new Float32Array(count * 4);
+    for (let i = 0; i < seeds.length; i++) {
+        seeds[i] = random();
+    }
+    return seeds;
+}
+
+// Instanced drawing calls of a context: built into WebGL2, an extension on WebGL1
+// Returns { drawArraysInstanced(mode, first, count, instances), vertexAttribDivisor(location, divisor) }
+export function getInstancing(gl, webgl2) {
+    if (webgl2) {
+        return {
+            drawArraysInstanced: (...args) => gl.drawArraysInstanced(...args),
+            vertexAttribDivisor: (...args) => gl.vertexAttribDivisor(...args)
+        };
+    }
+
+    const extension = gl.getExtension('ANGLE_instanced_arrays');
+    return {
+        drawArraysInstanced: (...args) => extension.drawArraysInstancedANGLE(...args),
+        vertexAttribDivisor: (...args) => extension.vertexAttribDivisorANGLE(...args)
+    };
+}
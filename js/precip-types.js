@@ -0,0 +1,109 @@
+// Precipitation types: rain, snow, sleet and hail
+//
+// A point may carry a `type` (one of PRECIP_TYPES) or `fractions` of each type,
+// e.g. { rain: 0.4, snow: 0.6 }; untyped points are rain. The field pass
+// interpolates the fractions alongside the value and colors each texel with the
+// ramp of its dominant type: rain uses the layer's colorRamp, the other types
+// config.typeRamps (see config.js).
+//
+// Fractions travel in the spare channel of the point texture, packed as three
+// 5-bit integers (snow, sleet, hail; rain is the rest). Sums of powers of two up
+// to 2^15 stay exact in float textures and decode with plain floor() in the shader.
+
+import { getPalette, resolveColorRamp } from './palettes.js';
+import { validateColorRamp } from './color-ramp.js';
+
+// Type ids, matching the shader's row of the color ramp texture
+export const PRECIP_TYPES = {
+    rain: { id: 0, label: 'Rain' },
+    snow: { id: 1, label: 'Snow' },
+    sleet: { id: 2, label: 'Sleet' },
+    hail: { id: 3, label: 'Hail' }
+};
+
+export const PRECIP_TYPE_NAMES = Object.keys(PRECIP_TYPES);
+
+// Steps of a packed fraction (5 bits)
+const FRACTION_STEPS = 31;
+
+// Fractions of a point as [rain, snow, sleet, hail], summing to 1
+export function getTypeFractions(point) {
+    if (point.fractions) {
+        const fractions = PRECIP_TYPE_NAMES.map((name) => {
+            const fraction = point.fractions[name] === undefined ? 0 : point.fractions[name];
+            if (!(fraction >= 0)) {
+                throw new Error(`Precipitation type fraction for ${name} must be a non-negative number`);
+            }
+            return fraction;
+        });
+        Object.keys(point.fractions).forEach((name) => {
+            if (!(name in PRECIP_TYPES)) {
+                throw new Error(`Unknown precipitation type: ${name}`);
+            }
+        });
+        const total = fractions.reduce((sum, fraction) => sum + fraction, 0);
+        return total > 0 ? fractions.map((fraction) => fraction / total) : [1, 0, 0, 0];
+    }
+
+    const type = point.type === undefined ? 'rain' : point.type;
+    if (!(type in PRECIP_TYPES)) {
+        throw new Error(`Unknown precipitation type: ${type}`);
+    }
+    return PRECIP_TYPE_NAMES.map((name) => (name === type ? 1 : 0));
+}
+
+// Quantise fractions to what the shader sees: snow, sleet and hail in 5-bit steps, rain the rest
+export function quantizeTypeFractions(fractions) {
+    const [, snow, sleet, hail] = fractions.map((fraction) => Math.round(fraction * FRACTION_STEPS) / FRACTION_STEPS);
+    return [Math.max(1 - snow - sleet - hail, 0), snow, sleet, hail];
+}
+
+// Pack a point's type fractions into one float for the point texture
+export function packTypeFractions(point) {
+    const [, snow, sleet, hail] = getTypeFractions(point).map((fraction) => Math.round(fraction * FRACTION_STEPS));
+    return snow + sleet * 32 + hail * 1024;
+}
+
+// Name of the dominant type in [rain, snow, sleet, hail] fractions; ties go to the first
+export function dominantType(fractions) {
+    let best = 0;
+    fractions.forEach((fraction, i) => {
+        if (fraction > fractions[best]) {
+            best = i;
+        }
+    });
+    return PRECIP_TYPE_NAMES[best];
+}
+
+// Names of the types present in some points, in PRECIP_TYPES order
+export function findPrecipTypes(points) {
+    const present = new Set();
+    points.forEach((point) => {
+        getTypeFractions(point).forEach((fraction, i) => {
+            if (fraction > 0) {
+                present.add(PRECIP_TYPE_NAMES[i]);
+            }
+        });
+    });
+    return PRECIP_TYPE_NAMES.filter((name) => present.has(name));
+}
+
+// Color ramp and mode of a type as { ramp, mode }
+// Rain uses colorRamp and rampMode; other types their typeRamps entry, a palette name
+// (drawn in the palette's own mode) or stops (in rampMode), falling back to rain's ramp
+export function getTypeRamp(config, name) {
+    const colorRamp = name === 'rain' ? undefined : (config.typeRamps || {})[name];
+    if (typeof colorRamp === 'string') {
+        const palette = getPalette(colorRamp);
+        return { ramp: palette.stops, mode: palette.mode };
+    }
+    return { ramp: colorRamp || resolveColorRamp(config.colorRamp), mode: config.rampMode };
+}
+
+// Check the ramps of every type before they are baked
+export function validateTypeRamps(config) {
+    PRECIP_TYPE_NAMES.forEach((name) => {
+        const { ramp, mode } = getTypeRamp(config, name);
+        validateColorRamp(ramp, mode);
+    });
+}
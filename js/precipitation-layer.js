@@ -1,39 +1,293 @@
 // Precipitation Visualization Custom Layer for MapLibre GL JS
+//
+// Events (see evented.js):
+//   dataupdate:   { dataType, pointCount, precipTypes, uncertainty }  after new points, a grid,
+//                 frames or difference data; precipTypes lists the precipitation types in the data (see
+//                 precip-types.js), uncertainty is 'probability', 'spread' or null (see uncertainty.js)
+//   configchange: { config, changed }              after updateConfig(); changed lists the keys passed
+//   render:       { duration, fieldUpdated, pointCount }  after each frame; duration is the CPU
+//                 time of prerender() and render() in ms, fieldUpdated whether the field was recomputed,
+//                 pointCount the points of the frame drawn (of the minuend for differences)
+//   ready:        { shaderPath, capabilities }  after onAdd() has picked a shader path
+//                 for the device (see capabilities.js)
+//   error:        { error, infoLog }               when setting up or drawing fails; infoLog holds
+//                 the shader compiler or linker log for shader errors. The layer stops drawing.
 
-import { vertexShaderSource, fragmentShaderSource } from './shaders.js';
-import { DEFAULT_CONFIG, COLOR_GRADIENT } from './config.js';
+import {
+    applyShaderPath,
+    createVertexShaderSource,
+    mercatorProjectionPrelude,
+    fieldVertexShaderSource,
+    fieldFragmentShaderSource,
+    compositeFragmentShaderSource,
+    createParticleVertexShaderSource,
+    particleFragmentShaderSource
+} from './shaders.js';
+import { DEFAULT_CONFIG } from './config.js';
+import { getModel, getModelReach } from './models.js';
+import { validateGrid, getGridFilter, createGridTextureData } from './grid.js';
+import {
+    createDataset,
+    normalizeFrames,
+    findFramePair,
+    createTransitionPoints,
+    blendDatasetValues
+} from './dataset.js';
+import { bakeColorRamp, RAMP_SIZE } from './color-ramp.js';
+import { validateScale, getScaleType, getScaleBreaks, normalizeValue, SCALE_TYPES, MAX_SCALE_BREAKS } from './scales.js';
+import {
+    sampleDataset,
+    sampleGrid,
+    findContributingPoints,
+    nearestPointDistance,
+    coversPosition,
+    interpolateTypeFractions,
+    interpolateConfidence,
+    normalizeLng
+} from './interpolation.js';
+import { sampleField, sampleFieldInChunks, isolines, isobands } from './contours.js';
+import { Evented } from './evented.js';
+import { detectCapabilities, selectShaderPath } from './capabilities.js';
+import { createMaskGrid, validateMask, MASK_STYLES, HATCH_SPACING, HATCH_WIDTH } from './mask.js';
+import {
+    PRECIP_TYPES,
+    PRECIP_TYPE_NAMES,
+    getTypeRamp,
+    validateTypeRamps,
+    findPrecipTypes,
+    dominantType
+} from './precip-types.js';
+import {
+    UNCERTAINTY_ENCODINGS,
+    CONFIDENCE_FIELD_STEPS,
+    validateUncertainty,
+    resolveMaxSpread,
+    findUncertaintyQuantity,
+    encodeConfidence
+} from './uncertainty.js';
+import { planExport, encodePNG, encodeGeoTIFF, computeRowsInChunks } from './export.js';
+import { acquireResource, releaseResource } from './gpu-resources.js';
+import { validateSplit, getSplitScissor } from './split-view.js';
+import { validateNowcast, getNowcastOpacity, advectData } from './nowcast.js';
+import { diffSnapshots } from './live-source.js';
+import { validateKernel, getLayerKernel } from './kernels.js';
+import {
+    resolveParticles,
+    validateParticles,
+    supportsParticles,
+    createParticleSeeds,
+    getInstancing,
+    PARTICLE_QUAD,
+    MAX_PARTICLE_STEP
+} from './particles.js';
 
-export class PrecipitationLayer {
-    constructor(id, points, config = {}) {
+// Texture units used by each dataset slot: points, bucket index, grid
+const SLOT_TEXTURE_UNITS = [[0, 1, 2], [3, 4, 5]];
+const COLOR_RAMP_TEXTURE_UNIT = 6;
+const FIELD_TEXTURE_UNIT = 7;
+
+// The field pass doesn't read the color ramp, so the clip raster borrows its unit
+const CLIP_TEXTURE_UNIT = 6;
+
+// Latitude limits of the world mesh: Mercator stops at its square edge, the globe reaches the poles
+const MERCATOR_MAX_LAT = 85.051129;
+const GLOBE_MAX_LAT = 89.99;
+
+// The field texture covers the view plus this fraction of its size on each side,
+// so small pans reuse it; zooming in further than FIELD_ZOOM_TOLERANCE recomputes it
+// at the new level of detail
+const FIELD_MARGIN = 0.25;
+const FIELD_ZOOM_TOLERANCE = 0.5;
+
+// Config keys only used when draping the field; changing them keeps the field texture
+const COMPOSITE_CONFIG_KEYS = [
+    'colorRamp', 'rampMode', 'typeRamps', 'units', 'renderWorldCopies', 'contours', 'maskStyle', 'uncertaintyEncoding',
+    'splitSide', 'splitPosition', 'nowcastFadeTime', 'particles'
+];
+
+// Opacity of drawn precipitation before any nowcast fade (see nowcast.js)
+const FIELD_OPACITY = 0.8;
+
+// Contour lines drawn by the layer: samples along the longer side of the view, how
+// long to wait after a change before recomputing them (ms), and the samples taken
+// between pauses, so panning stays smooth while they are computed
+const CONTOUR_SAMPLES = 256;
+const CONTOUR_DELAY = 100;
+const CONTOUR_CHUNK_SAMPLES = 2048;
+
+// Exports are rendered on the GPU in tiles of at most this many pixels a side, one
+// tile per frame, so no single draw holds up the map for long
+const EXPORT_TILE_SIZE = 1024;
+
+// Pixels colored between pauses when exporting; coloring is a lookup per pixel
+const EXPORT_COLOR_CHUNK_PIXELS = 1 << 20;
+
+// Quad filling the field texture, as two triangles
+const FIELD_QUAD = new Float32Array([0, 0, 1, 0, 0, 1, 0, 1, 1, 0, 1, 1]);
+
+// Convert longitude to Web Mercator X (0-1 across the main world)
+function lngToMercatorX(lng) {
+    return (lng + 180) / 360;
+}
+
+// Convert latitude to Web Mercator Y (0 at the north edge, 1 at the south edge)
+function latToMercatorY(lat) {
+    const latRad = lat * Math.PI / 180;
+    return (Math.PI - Math.log(Math.tan(Math.PI / 4 + latRad / 2))) / (2 * Math.PI);
+}
+
+// Turn a MapLibre LngLat, { lng, lat } or [lng, lat] into a [lng, lat] position on the main world
+function toPosition(lngLat) {
+    const [lng, lat] = Array.isArray(lngLat) ? lngLat : [lngLat.lng, lngLat.lat];
+    return [normalizeLng(lng), lat];
+}
+
+// Build a triangle mesh over the world in Web Mercator coordinates
+// Rows are spaced evenly in latitude so the globe is subdivided evenly towards the poles
+function createWorldMesh(maxLat, segments) {
+    const xs = [];
+    const ys = [];
+    for (let i = 0; i <= segments; i++) {
+        xs.push(i / segments);
+        ys.push(latToMercatorY(maxLat - (2 * maxLat * i) / segments));
+    }
+
+    const positions = new Float32Array(segments * segments * 12);
+    let offset = 0;
+    for (let row = 0; row < segments; row++) {
+        for (let col = 0; col < segments; col++) {
+            const x0 = xs[col], x1 = xs[col + 1];
+            const y0 = ys[row], y1 = ys[row + 1];
+            positions.set([x0, y0, x1, y0, x0, y1, x0, y1, x1, y0, x1, y1], offset);
+            offset += 12;
+        }
+    }
+
+    return positions;
+}
+
+// Contours of a sampled field at thresholds (data units) as GeoJSON: 'lines' or 'fill'
+function traceContourField(field, thresholds, type = 'lines') {
+    if (type === 'fill') {
+        return isobands(field, thresholds);
+    }
+    if (type === 'lines') {
+        return isolines(field, thresholds);
+    }
+    throw new Error(`Unknown contour type: ${type}`);
+}
+
+export class PrecipitationLayer extends Evented {
+    // Data is either an array of {lng, lat, value} points or a grid (see grid.js)
+    constructor(id, data, config = {}) {
+        super();
         this.id = id;
         this.type = 'custom';
         this.renderingMode = '2d';
 
-        this.points = points;
+        if (Array.isArray(data)) {
+            this.points = data;
+            this.grid = null;
+        } else {
+            validateGrid(data);
+            this.points = [];
+            this.grid = data;
+        }
         this.config = { ...DEFAULT_CONFIG, ...config };
+        validateTypeRamps(this.config);
+        validateScale(this.config);
+        validateMask(this.config);
+        validateUncertainty(this.config);
+        validateSplit(this.config);
+        validateNowcast(this.config);
+        validateKernel(this.config);
+        validateParticles(this.config);
+        this.prepareClip(this.config.clipGeometry);
+
+        // Precipitation types and uncertainty in the data (see prepareUniformData())
+        this.precipTypes = findPrecipTypes(this.grid ? [{}] : this.points);
+        this.uncertaintyQuantity = findUncertaintyQuantity(this.points);
+
+        // Time series: ordered frames and the time currently shown
+        this.frames = null;
+        this.time = null;
+
+        // Animation of the point values from the replaced points to the current ones:
+        // { dataset, fromValues, toValues, start, duration, valuesDirty } (see transitionPoints())
+        this.transition = null;
+
+        // Difference mode: points or a grid whose field is subtracted (see setDifference())
+        this.differenceData = null;
+        this.differenceDataset = null;
+
+        // What the WebGL context can do and the shader path chosen for it
+        this.capabilities = null;
+        this.shaderPath = null;
+
+        // WebGL resources; programs and meshes are shared with other layers on the
+        // same context (see gpu-resources.js) and released when the layer is removed
+        this.sharedKeys = [];
+        this.programs = new Map();  // One program per map projection variant
+        this.meshes = {};
+        this.retiredDatasets = [];  // Datasets whose textures are freed on the next render
+        this.colorRampTexture = null;
+        this.clipTexture = null;
+
+        // Offscreen field texture and the view it was computed for
+        this.fieldProgram = null;
+        this.fieldQuad = null;
+        this.fieldTexture = null;
+        this.fieldFramebuffer = null;
+        this.fieldCache = null;     // { extent, width, height, zoom } of the texture's contents
+        this.fieldDirty = true;     // Data or parameters changed since the texture was computed
+
+        // Exports waiting for their field pass (see queueFieldImage()) and the texture
+        // and framebuffer their tiles are rendered into while there are any
+        this.exportQueue = [];
+        this.exportTarget = null;   // { texture, framebuffer }
 
-        // WebGL resources
-        this.program = null;
-        this.positionBuffer = null;
-        this.locations = {};
+        // Frame timing for render events, and whether setup or drawing has failed
+        this.frameStart = null;
+        this.fieldUpdated = false;
+        this.failed = false;
+
+        // Contour lines drawn on the map (config.contours)
+        this.contourTimer = null;
+        this.contoursShown = false;
+        this.contourRun = 0;        // Bumped by every contour computation, so stale ones can tell
+        this.onMoveEnd = () => this.scheduleContours();
+
+        // Rain and snow particles (config.particles): instanced drawing calls (null when
+        // the context can't draw particles), a program per projection variant, the
+        // layer's seeds and the particle clock, which runs until activeUntil (ms)
+        this.instancing = null;
+        this.particlePrograms = new Map();
+        this.particleQuad = null;
+        this.particleSeeds = null;  // { buffer, count }
+        this.particleClock = { time: 0, lastFrame: null, activeUntil: 0 };
+        this.onMapActivity = () => this.wakeParticles();
     }
 
     // Create and compile shader
+    // Throws with the compiler's info log when compilation fails
     createShader(gl, type, source) {
         const shader = gl.createShader(type);
         gl.shaderSource(shader, source);
         gl.compileShader(shader);
 
         if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
-            console.error('Shader compilation error:', gl.getShaderInfoLog(shader));
+            const stage = type === gl.VERTEX_SHADER ? 'vertex' : 'fragment';
+            const error = new Error(`Failed to compile ${stage} shader for precipitation layer`);
+            error.infoLog = gl.getShaderInfoLog(shader);
             gl.deleteShader(shader);
-            return null;
+            throw error;
         }
 
         return shader;
     }
 
     // Create shader program
+    // Throws with the linker's info log when linking fails
     createProgram(gl, vertexShader, fragmentShader) {
         const program = gl.createProgram();
         gl.attachShader(program, vertexShader);
@@ -41,151 +295,1505 @@ export class PrecipitationLayer {
         gl.linkProgram(program);
 
         if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
-            console.error('Program linking error:', gl.getProgramInfoLog(program));
+            const error = new Error('Failed to link shader program for precipitation layer');
+            error.infoLog = gl.getProgramInfoLog(program);
             gl.deleteProgram(program);
-            return null;
+            throw error;
         }
 
         return program;
     }
 
-    // Prepare cached uniform data
+    // Create a texture for data lookups (no filtering, no mipmaps)
+    createDataTexture(gl) {
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    // Upload RGBA float data into a data texture
+    uploadDataTexture(gl, texture, { data, width, height }) {
+        const internalFormat = this.capabilities.webgl2 ? gl.RGBA32F : gl.RGBA;
+
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+        gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+        gl.texImage2D(gl.TEXTURE_2D, 0, internalFormat, width, height, 0, gl.RGBA, gl.FLOAT, data);
+    }
+
+    // Prepare cached uniform and texture data
     prepareUniformData() {
-        // Validate point count
-        if (this.points.length > 250) {
-            throw new Error('Maximum 250 data points supported');
+        // Datasets being replaced keep their textures until the next render frees them
+        this.endTransition();
+        if (this.dataset) {
+            this.retiredDatasets.push(this.dataset);
+        }
+        (this.frames || []).forEach((frame) => {
+            if (frame.dataset) {
+                this.retiredDatasets.push(frame.dataset);
+            }
+        });
+        if (this.differenceDataset) {
+            this.retiredDatasets.push(this.differenceDataset);
         }
 
-        // Pre-compute points array
-        this.pointsArray = new Float32Array(this.points.length * 3);
-        this.points.forEach((point, i) => {
-            this.pointsArray[i * 3] = point.lng;
-            this.pointsArray[i * 3 + 1] = point.lat;
-            this.pointsArray[i * 3 + 2] = point.value;
+        // Bucket points by location so each fragment only visits nearby points;
+        // every animation frame is prepared up front so playback never re-uploads
+        this.checkGridSize(this.grid);
+        this.dataset = this.createLayerDataset(this.grid || this.points);
+        (this.frames || []).forEach((frame) => {
+            this.checkGridSize(Array.isArray(frame.data) ? null : frame.data);
+            frame.dataset = this.createLayerDataset(frame.data);
         });
+        if (this.differenceData) {
+            this.checkGridSize(Array.isArray(this.differenceData) ? null : this.differenceData);
+            this.differenceDataset = this.createLayerDataset(this.differenceData);
+        } else {
+            this.differenceDataset = null;
+        }
+        this.indexRadius = this.config.influenceRadius;
+        this.indexReach = getModelReach(this.config);
+        this.fieldDirty = true;
+        this.scheduleContours();
+
+        // Precipitation types in the data, for the legend; grids carry no types and are rain,
+        // and differences are drawn on the rain ramp alone
+        const sources = this.frames ? this.frames.map((frame) => frame.data) : [this.grid || this.points];
+        const sourcePoints = this.differenceData
+            ? [{}]
+            : sources.flatMap((data) => (Array.isArray(data) ? data : [{}]));
+        this.precipTypes = findPrecipTypes(sourcePoints);
+        this.uncertaintyQuantity = findUncertaintyQuantity(sourcePoints);
+
+        // Bake the color ramp lookup
+        this.prepareColorRamp();
+    }
+
+    // Rasterise the clip geometry; it is uploaded before the next field pass
+    prepareClip(clipGeometry) {
+        this.clipGrid = clipGeometry ? createMaskGrid(clipGeometry) : null;
+        this.clipDirty = true;
+    }
 
-        // Pre-compute gradient arrays
-        this.gradientColors = new Float32Array(COLOR_GRADIENT.length * 3);
-        this.gradientStops = new Float32Array(COLOR_GRADIENT.length);
-        COLOR_GRADIENT.forEach((grad, i) => {
-            this.gradientColors[i * 3] = grad.color[0];
-            this.gradientColors[i * 3 + 1] = grad.color[1];
-            this.gradientColors[i * 3 + 2] = grad.color[2];
-            this.gradientStops[i] = grad.stop;
+    // Bake the color ramp of every precipitation type, one row each; they are uploaded on the next render
+    prepareColorRamp() {
+        this.colorRampData = new Uint8Array(RAMP_SIZE * 4 * PRECIP_TYPE_NAMES.length);
+        PRECIP_TYPE_NAMES.forEach((name, row) => {
+            const { ramp, mode } = getTypeRamp(this.config, name);
+            this.colorRampData.set(bakeColorRamp(ramp, mode), row * RAMP_SIZE * 4);
         });
+        this.colorRampDirty = true;
     }
 
-    // Initialize WebGL resources when layer is added to map
-    onAdd(map, gl) {
-        this.map = map;
+    // Dataset of points or a grid indexed for the current settings; a nowcast buckets
+    // the data where the motion field has moved it
+    createLayerDataset(data) {
+        return createDataset(advectData(data, this.config), this.config.influenceRadius,
+            resolveMaxSpread(this.config), getModelReach(this.config));
+    }
+
+    // Make sure a grid fits in a texture on this device
+    checkGridSize(grid) {
+        if (grid && this.maxTextureSize &&
+            (grid.width > this.maxTextureSize || grid.height > this.maxTextureSize)) {
+            throw new Error(`Grid exceeds the maximum texture size of ${this.maxTextureSize} pixels`);
+        }
+    }
+
+    // Create a dataset's textures on first use; later renders reuse them as they are
+    uploadDataset(gl, dataset) {
+        if (dataset.textures) {
+            return;
+        }
 
-        // Create shaders
-        const vertexShader = this.createShader(gl, gl.VERTEX_SHADER, vertexShaderSource);
-        const fragmentShader = this.createShader(gl, gl.FRAGMENT_SHADER, fragmentShaderSource);
+        dataset.textures = {
+            point: this.createDataTexture(gl),
+            cell: this.createDataTexture(gl),
+            grid: this.createDataTexture(gl)
+        };
+        this.uploadDataTexture(gl, dataset.textures.point, dataset.pointTextureData);
+        this.uploadDataTexture(gl, dataset.textures.cell, dataset.cellTextureData);
+        this.uploadDataTexture(gl, dataset.textures.grid, dataset.gridTextureData);
+    }
+
+    // Free a dataset's textures
+    deleteDataset(gl, dataset) {
+        if (dataset.textures) {
+            Object.values(dataset.textures).forEach((texture) => gl.deleteTexture(texture));
+            dataset.textures = null;
+        }
+    }
 
-        if (!vertexShader || !fragmentShader) {
-            throw new Error('Failed to compile shaders for precipitation layer');
+    // Datasets to draw right now and how far to blend from the first to the second,
+    // or, in difference mode, that the second is subtracted from the first
+    getActiveDatasets() {
+        if (this.differenceDataset) {
+            return { datasets: [this.dataset, this.differenceDataset], blend: 0, difference: true };
         }
 
-        // Create program
-        this.program = this.createProgram(gl, vertexShader, fragmentShader);
+        if (this.transition) {
+            return { datasets: [this.transition.dataset, this.transition.dataset], blend: 0 };
+        }
 
-        if (!this.program) {
-            throw new Error('Failed to link shader program for precipitation layer');
+        if (!this.frames) {
+            return { datasets: [this.dataset, this.dataset], blend: 0 };
         }
 
-        // Clean up shaders after linking (no longer needed)
-        gl.deleteShader(vertexShader);
-        gl.deleteShader(fragmentShader);
+        const { from, to, blend } = findFramePair(this.frames, this.time);
+        return { datasets: [this.frames[from].dataset, this.frames[to].dataset], blend };
+    }
+
+    // Bind a dataset's textures and layout to one of the shader's dataset slots
+    bindDataset(gl, slotLocations, units, dataset) {
+        const textures = [dataset.textures.point, dataset.textures.cell, dataset.textures.grid];
+        const samplers = [slotLocations.uPointTexture, slotLocations.uCellTexture, slotLocations.uGridTexture];
+        textures.forEach((texture, i) => {
+            gl.activeTexture(gl.TEXTURE0 + units[i]);
+            gl.bindTexture(gl.TEXTURE_2D, texture);
+            gl.uniform1i(samplers[i], units[i]);
+        });
+
+        // Set data points and spatial index layout
+        const index = dataset.spatialIndex;
+        gl.uniform2f(slotLocations.uPointTextureSize, dataset.pointTextureData.width, dataset.pointTextureData.height);
+        gl.uniform1f(slotLocations.uNumPoints, dataset.points.length);
+        gl.uniform1i(slotLocations.uPointKernels, dataset.pointKernels ? 1 : 0);
+        gl.uniform1f(slotLocations.uSearchRadius, dataset.searchRadius);
+        gl.uniform2f(slotLocations.uCellTextureSize, dataset.cellTextureData.width, dataset.cellTextureData.height);
+        gl.uniform2f(slotLocations.uGridOrigin, index.origin[0], index.origin[1]);
+        gl.uniform2f(slotLocations.uGridCellSize, index.cellSize[0], index.cellSize[1]);
+
+        // Set gridded input layout
+        gl.uniform1i(slotLocations.uInputMode, dataset.grid ? 1 : 0);
+        gl.uniform2f(slotLocations.uGridSize, dataset.gridTextureData.width, dataset.gridTextureData.height);
+        gl.uniform4fv(slotLocations.uGridBounds, dataset.grid ? dataset.grid.bounds : [0, 0, 1, 1]);
+    }
+
+    // Compile and link a program for the chosen shader path, freeing the shaders once linked
+    createShaderProgram(gl, vertexSource, fragmentSource) {
+        const vertexShader = this.createShader(gl, gl.VERTEX_SHADER, applyShaderPath(vertexSource, 'vertex', this.shaderPath));
+        let fragmentShader = null;
+        try {
+            fragmentShader = this.createShader(gl, gl.FRAGMENT_SHADER, applyShaderPath(fragmentSource, 'fragment', this.shaderPath));
+            return this.createProgram(gl, vertexShader, fragmentShader);
+        } finally {
+            // Clean up shaders after linking (no longer needed)
+            gl.deleteShader(vertexShader);
+            gl.deleteShader(fragmentShader);
+        }
+    }
+
+    // Report a failure in setup or drawing as an error event and stop drawing
+    // MapLibre calls onAdd() and the render hooks itself, so throwing there would
+    // leave the application nothing to catch
+    reportError(error) {
+        this.failed = true;
+        this.rejectExports(error);
+        this.fire('error', { error, infoLog: error.infoLog || null });
+    }
+
+    // Compile the field pass program and look up its locations
+    createFieldProgramInfo(gl) {
+        const program = this.createShaderProgram(gl, fieldVertexShaderSource, fieldFragmentShaderSource);
 
         // Get attribute and uniform locations
-        this.locations.aPosition = gl.getAttribLocation(this.program, 'a_position');
-        this.locations.uCenter = gl.getUniformLocation(this.program, 'u_center');
-        this.locations.uZoom = gl.getUniformLocation(this.program, 'u_zoom');
-        this.locations.uViewportSize = gl.getUniformLocation(this.program, 'u_viewportSize');
-        this.locations.uInfluenceRadius = gl.getUniformLocation(this.program, 'u_influenceRadius');
-        this.locations.uFalloffSteepness = gl.getUniformLocation(this.program, 'u_falloffSteepness');
-        this.locations.uPoints = gl.getUniformLocation(this.program, 'u_points');
-        this.locations.uNumPoints = gl.getUniformLocation(this.program, 'u_numPoints');
-        this.locations.uGradientColors = gl.getUniformLocation(this.program, 'u_gradientColors');
-        this.locations.uGradientStops = gl.getUniformLocation(this.program, 'u_gradientStops');
-
-        // Create a buffer for a full-screen quad
-        this.positionBuffer = gl.createBuffer();
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        const positions = new Float32Array([
-            -1, -1,
-            1, -1,
-            -1, 1,
-            -1, 1,
-            1, -1,
-            1, 1
-        ]);
+        const locations = {};
+        locations.aPosition = gl.getAttribLocation(program, 'a_position');
+        locations.uFieldExtent = gl.getUniformLocation(program, 'u_fieldExtent');
+        locations.uGeographic = gl.getUniformLocation(program, 'u_geographic');
+        locations.uModel = gl.getUniformLocation(program, 'u_model');
+        locations.uInfluenceRadius = gl.getUniformLocation(program, 'u_influenceRadius');
+        locations.uModelReach = gl.getUniformLocation(program, 'u_modelReach');
+        locations.uKernel = gl.getUniformLocation(program, 'u_kernel');
+        locations.uFalloffSteepness = gl.getUniformLocation(program, 'u_falloffSteepness');
+        locations.uIntensityBoost = gl.getUniformLocation(program, 'u_intensityBoost');
+        locations.uIdwPower = gl.getUniformLocation(program, 'u_idwPower');
+        locations.uGaussianSigma = gl.getUniformLocation(program, 'u_gaussianSigma');
+        locations.uGridFilter = gl.getUniformLocation(program, 'u_gridFilter');
+        locations.uFrameBlend = gl.getUniformLocation(program, 'u_frameBlend');
+        locations.uDifference = gl.getUniformLocation(program, 'u_difference');
+
+        // Each dataset slot has its own set of data uniforms
+        locations.slots = [0, 1].map((slot) => ({
+            uInputMode: gl.getUniformLocation(program, `u_inputMode${slot}`),
+            uPointTexture: gl.getUniformLocation(program, `u_pointTexture${slot}`),
+            uPointTextureSize: gl.getUniformLocation(program, `u_pointTextureSize${slot}`),
+            uNumPoints: gl.getUniformLocation(program, `u_numPoints${slot}`),
+            uPointKernels: gl.getUniformLocation(program, `u_pointKernels${slot}`),
+            uSearchRadius: gl.getUniformLocation(program, `u_searchRadius${slot}`),
+            uCellTexture: gl.getUniformLocation(program, `u_cellTexture${slot}`),
+            uCellTextureSize: gl.getUniformLocation(program, `u_cellTextureSize${slot}`),
+            uGridOrigin: gl.getUniformLocation(program, `u_gridOrigin${slot}`),
+            uGridCellSize: gl.getUniformLocation(program, `u_gridCellSize${slot}`),
+            uGridTexture: gl.getUniformLocation(program, `u_gridTexture${slot}`),
+            uGridSize: gl.getUniformLocation(program, `u_gridSize${slot}`),
+            uGridBounds: gl.getUniformLocation(program, `u_gridBounds${slot}`)
+        }));
+        locations.uScaleType = gl.getUniformLocation(program, 'u_scaleType');
+        locations.uValueDomain = gl.getUniformLocation(program, 'u_valueDomain');
+        locations.uScaleBreaks = gl.getUniformLocation(program, 'u_scaleBreaks');
+        locations.uScaleBreakCount = gl.getUniformLocation(program, 'u_scaleBreakCount');
+        locations.uClipEnabled = gl.getUniformLocation(program, 'u_clipEnabled');
+        locations.uClipTexture = gl.getUniformLocation(program, 'u_clipTexture');
+        locations.uClipSize = gl.getUniformLocation(program, 'u_clipSize');
+        locations.uClipBounds = gl.getUniformLocation(program, 'u_clipBounds');
+        locations.uMaxStationDistance = gl.getUniformLocation(program, 'u_maxStationDistance');
+
+        return { program, locations };
+    }
+
+    // Compile the composite program for a projection variant and look up its locations
+    createProgramInfo(gl, shaderData) {
+        const program = this.createShaderProgram(gl, createVertexShaderSource(shaderData), compositeFragmentShaderSource);
+
+        // Get attribute and uniform locations
+        const locations = {};
+        locations.aPosition = gl.getAttribLocation(program, 'a_position');
+        locations.uProjectionMatrix = gl.getUniformLocation(program, 'u_projection_matrix');
+        locations.uProjectionFallbackMatrix = gl.getUniformLocation(program, 'u_projection_fallback_matrix');
+        locations.uProjectionTileMercatorCoords = gl.getUniformLocation(program, 'u_projection_tile_mercator_coords');
+        locations.uProjectionClippingPlane = gl.getUniformLocation(program, 'u_projection_clipping_plane');
+        locations.uProjectionTransition = gl.getUniformLocation(program, 'u_projection_transition');
+        locations.uWorldOffset = gl.getUniformLocation(program, 'u_worldOffset');
+        locations.uField = gl.getUniformLocation(program, 'u_field');
+        locations.uFieldSize = gl.getUniformLocation(program, 'u_fieldSize');
+        locations.uFieldExtent = gl.getUniformLocation(program, 'u_fieldExtent');
+        locations.uColorRamp = gl.getUniformLocation(program, 'u_colorRamp');
+        locations.uColorRampSize = gl.getUniformLocation(program, 'u_colorRampSize');
+        locations.uMaskStyle = gl.getUniformLocation(program, 'u_maskStyle');
+        locations.uUncertaintyEncoding = gl.getUniformLocation(program, 'u_uncertaintyEncoding');
+        locations.uOpacity = gl.getUniformLocation(program, 'u_opacity');
+
+        return { program, locations };
+    }
+
+    // Get the program for the map's current projection, compiling it on first use
+    // unless another layer on the context already has
+    getProgramInfo(gl, shaderData) {
+        if (!this.programs.has(shaderData.variantName)) {
+            const programInfo = this.acquireShared(gl, `program:composite:${this.shaderPath.name}:${shaderData.variantName}`,
+                () => this.createProgramInfo(gl, shaderData),
+                ({ program }) => gl.deleteProgram(program));
+            this.programs.set(shaderData.variantName, programInfo);
+        }
+        return this.programs.get(shaderData.variantName);
+    }
+
+    // Compile the particle program for a projection variant and look up its locations
+    createParticleProgramInfo(gl, shaderData) {
+        const program = this.createShaderProgram(gl, createParticleVertexShaderSource(shaderData),
+            particleFragmentShaderSource);
+
+        const locations = {};
+        locations.aCorner = gl.getAttribLocation(program, 'a_corner');
+        locations.aSeed = gl.getAttribLocation(program, 'a_seed');
+        locations.uProjectionMatrix = gl.getUniformLocation(program, 'u_projection_matrix');
+        locations.uProjectionFallbackMatrix = gl.getUniformLocation(program, 'u_projection_fallback_matrix');
+        locations.uProjectionTileMercatorCoords = gl.getUniformLocation(program, 'u_projection_tile_mercator_coords');
+        locations.uProjectionClippingPlane = gl.getUniformLocation(program, 'u_projection_clipping_plane');
+        locations.uProjectionTransition = gl.getUniformLocation(program, 'u_projection_transition');
+        locations.uWorldOffset = gl.getUniformLocation(program, 'u_worldOffset');
+        locations.uField = gl.getUniformLocation(program, 'u_field');
+        locations.uFieldSize = gl.getUniformLocation(program, 'u_fieldSize');
+        locations.uFieldExtent = gl.getUniformLocation(program, 'u_fieldExtent');
+        locations.uTime = gl.getUniformLocation(program, 'u_time');
+        locations.uSpeed = gl.getUniformLocation(program, 'u_speed');
+        locations.uSize = gl.getUniformLocation(program, 'u_size');
+        locations.uViewportSize = gl.getUniformLocation(program, 'u_viewportSize');
+        locations.uPixelRatio = gl.getUniformLocation(program, 'u_pixelRatio');
+        locations.uOpacity = gl.getUniformLocation(program, 'u_opacity');
+
+        return { program, locations };
+    }
+
+    // Get the particle program for the map's current projection, compiling it on first use
+    // unless another layer on the context already has
+    getParticleProgramInfo(gl, shaderData) {
+        if (!this.particlePrograms.has(shaderData.variantName)) {
+            const programInfo = this.acquireShared(gl, `program:particles:${this.shaderPath.name}:${shaderData.variantName}`,
+                () => this.createParticleProgramInfo(gl, shaderData),
+                ({ program }) => gl.deleteProgram(program));
+            this.particlePrograms.set(shaderData.variantName, programInfo);
+        }
+        return this.particlePrograms.get(shaderData.variantName);
+    }
+
+    // Get a resource shared with the other layers on a context, remembering to release it
+    acquireShared(gl, key, create, destroy) {
+        const resource = acquireResource(gl, key, create, destroy);
+        this.sharedKeys.push(key);
+        return resource;
+    }
+
+    // Get a shared vertex buffer holding a mesh, creating it from positions on first use
+    acquireMeshBuffer(gl, key, createPositions) {
+        return this.acquireShared(gl, `mesh:${key}`,
+            () => this.createMeshBuffer(gl, createPositions()),
+            ({ buffer }) => gl.deleteBuffer(buffer));
+    }
+
+    // Create a vertex buffer holding a world mesh
+    createMeshBuffer(gl, positions) {
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
         gl.bufferData(gl.ARRAY_BUFFER, positions, gl.STATIC_DRAW);
+        return { buffer, vertexCount: positions.length / 2 };
+    }
+
+    // Offsets of the world copies that need drawing
+    // The globe has a single world; flat Mercator repeats it horizontally
+    getWorldOffsets(isGlobe) {
+        if (isGlobe || !this.config.renderWorldCopies || !this.map.getRenderWorldCopies()) {
+            return [0];
+        }
+
+        const bounds = this.map.getBounds();
+        const first = Math.floor((bounds.getWest() + 180) / 360);
+        const last = Math.floor((bounds.getEast() + 180) / 360);
+        const offsets = [];
+        for (let wrap = first; wrap <= last; wrap++) {
+            offsets.push(wrap);
+        }
+        return offsets;
+    }
+
+    // Area of the world in view, in Web Mercator coordinates [minX, minY, maxX, maxY]
+    // X is not wrapped, so a view across the antimeridian reaches past 0 or 1
+    getViewExtent(isGlobe) {
+        const bounds = this.map.getBounds();
+        const maxLat = isGlobe ? GLOBE_MAX_LAT : MERCATOR_MAX_LAT;
+        const clampLat = (lat) => Math.min(Math.max(lat, -maxLat), maxLat);
+        return [
+            lngToMercatorX(bounds.getWest()),
+            latToMercatorY(clampLat(bounds.getNorth())),
+            lngToMercatorX(bounds.getEast()),
+            latToMercatorY(clampLat(bounds.getSouth()))
+        ];
+    }
+
+    // Area and size of a field texture for a view: the view plus a margin, with
+    // the longer side `resolution` pixels and the other following the aspect ratio
+    planField(view, isGlobe) {
+        const marginX = (view[2] - view[0]) * FIELD_MARGIN;
+        const marginY = (view[3] - view[1]) * FIELD_MARGIN;
+        const minY = latToMercatorY(isGlobe ? GLOBE_MAX_LAT : MERCATOR_MAX_LAT);
+        const extent = [
+            view[0] - marginX,
+            Math.max(view[1] - marginY, minY),
+            view[2] + marginX,
+            Math.min(view[3] + marginY, 1 - minY)
+        ];
+
+        // No point computing the same world twice when more than one is in view
+        if (extent[2] - extent[0] >= 1) {
+            extent[0] = 0;
+            extent[2] = 1;
+        }
+
+        const size = Math.max(1, Math.min(Math.round(this.config.resolution), this.maxTextureSize));
+        const aspect = (extent[2] - extent[0]) / (extent[3] - extent[1]);
+        return {
+            extent,
+            width: aspect >= 1 ? size : Math.max(1, Math.round(size * aspect)),
+            height: aspect >= 1 ? Math.max(1, Math.round(size / aspect)) : size,
+            zoom: this.map.getZoom()
+        };
+    }
+
+    // Whether the field texture can be reused for a view: nothing changed, the view
+    // lies inside it and the map hasn't zoomed in too far past it
+    isFieldCurrent(view) {
+        const cache = this.fieldCache;
+        if (this.fieldDirty || !cache || this.map.getZoom() > cache.zoom + FIELD_ZOOM_TOLERANCE) {
+            return false;
+        }
+
+        const [minX, minY, maxX, maxY] = cache.extent;
+        const shift = maxX - minX >= 1 ? 0 : Math.round(minX - view[0]); // Same view, another world copy
+        return (maxX - minX >= 1 || (view[0] + shift >= minX && view[2] + shift <= maxX)) &&
+            view[1] >= minY && view[3] <= maxY;
+    }
+
+    // Projection shader code for the map's current projection
+    // MapLibre 5 passes it with the render options; MapLibre 4 only passes a Mercator matrix
+    getShaderData(options) {
+        return options.shaderData || {
+            variantName: 'mercator-matrix',
+            vertexShaderPrelude: mercatorProjectionPrelude,
+            define: ''
+        };
+    }
+
+    // Initialize WebGL resources when layer is added to map
+    onAdd(map, gl) {
+        this.map = map;
+        this.failed = false;
+
+        // Contours follow the view, and moving it keeps the particles falling
+        map.on('moveend', this.onMoveEnd);
+        map.on('move', this.onMapActivity);
+
+        try {
+            this.createResources(gl);
+        } catch (error) {
+            this.reportError(error);
+        }
+    }
+
+    // Create the layer's WebGL resources and prepare its data
+    createResources(gl) {
+        // Pick the shader path for this context; float textures hold the point data,
+        // its spatial index and grids, so devices without them are turned away here
+        this.capabilities = detectCapabilities(gl);
+        this.shaderPath = selectShaderPath(this.capabilities);
+        this.maxTextureSize = this.capabilities.maxTextureSize;
+
+        // Flat Mercator only needs the world square; the globe needs a finely
+        // subdivided mesh that follows the sphere and covers the poles
+        this.meshes.mercator = this.acquireMeshBuffer(gl, 'mercator', () => createWorldMesh(MERCATOR_MAX_LAT, 1));
+        this.meshes.globe = this.acquireMeshBuffer(gl, 'globe', () => createWorldMesh(GLOBE_MAX_LAT, 128));
+
+        // 8-bit lookup texture for the color ramp
+        this.colorRampTexture = this.createDataTexture(gl);
+
+        // Float lookup texture for the clip geometry raster
+        this.clipTexture = this.createDataTexture(gl);
+        this.clipDirty = true;
+
+        // The field is computed into an 8-bit texture, smoothed when draped over the map
+        this.fieldProgram = this.acquireShared(gl, `program:field:${this.shaderPath.name}`,
+            () => this.createFieldProgramInfo(gl),
+            ({ program }) => gl.deleteProgram(program));
+        this.fieldQuad = this.acquireMeshBuffer(gl, 'fieldQuad', () => FIELD_QUAD);
+        this.fieldTexture = this.createDataTexture(gl);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        this.fieldFramebuffer = gl.createFramebuffer();
+        this.fieldCache = null;
+        this.fieldDirty = true;
+
+        // Particles are left out where instancing or vertex texture reads are missing
+        if (supportsParticles(this.capabilities)) {
+            this.instancing = getInstancing(gl, this.capabilities.webgl2);
+            this.particleQuad = this.acquireMeshBuffer(gl, 'particleQuad', () => PARTICLE_QUAD);
+        }
+        this.wakeParticles();
 
         // Prepare cached uniform data
         this.prepareUniformData();
+
+        this.fire('ready', { shaderPath: this.shaderPath, capabilities: this.capabilities });
     }
 
-    // Render the layer
-    render(gl, matrix) {
-        gl.useProgram(this.program);
+    // Compute the field into the offscreen texture, unless the cached one still covers the view
+    // MapLibre calls this before drawing the map, while the layer may use its own framebuffer
+    prerender(gl, options) {
+        if (this.failed) {
+            return;
+        }
+
+        this.frameStart = performance.now();
+        this.fieldUpdated = false;
+        try {
+            this.computeField(gl, options);
+        } catch (error) {
+            this.reportError(error);
+            return;
+        }
+
+        if (this.exportQueue.length > 0) {
+            this.renderExportTile(gl);
+        }
+    }
+
+    // Run the field pass when the cached field is out of date
+    computeField(gl, options) {
+        // A running transition moves its values on and recomputes the field every frame until it is done
+        if (this.transition) {
+            this.fieldDirty = true;
+            const progress = this.getTransitionProgress();
+            if (progress >= 1) {
+                this.endTransition();
+                this.scheduleContours();
+            } else {
+                this.blendTransition(progress);
+                this.map.triggerRepaint();
+            }
+        }
+
+        const isGlobe = this.getShaderData(options).variantName.includes('globe');
+        const view = this.getViewExtent(isGlobe);
+        if (this.isFieldCurrent(view)) {
+            return;
+        }
+
+        const field = this.planField(view, isGlobe);
+
+        // Allocate the texture at the new size and attach it to the framebuffer
+        gl.bindTexture(gl.TEXTURE_2D, this.fieldTexture);
+        if (!this.fieldCache || this.fieldCache.width !== field.width || this.fieldCache.height !== field.height) {
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, field.width, field.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+        }
+        gl.bindFramebuffer(gl.FRAMEBUFFER, this.fieldFramebuffer);
+        gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, this.fieldTexture, 0);
+        if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+            throw new Error('Field framebuffer is incomplete');
+        }
+        this.drawFieldPass(gl, field.extent, field.width, field.height, false);
+
+        this.fieldCache = field;
+        this.fieldDirty = false;
+        this.fieldUpdated = true;
+    }
+
+    // Run the field pass over an extent into the bound framebuffer, width by height texels
+    // The extent is in Web Mercator coordinates [minX, minY, maxX, maxY], or when geographic,
+    // in degrees [west, north, east, south] for an equal-angle grid (see renderExportTile())
+    drawFieldPass(gl, extent, width, height, geographic) {
+        const { program, locations } = this.fieldProgram;
+        gl.useProgram(program);
+
+        // Every texel is written as is
+        gl.viewport(0, 0, width, height);
+        gl.disable(gl.BLEND);
+        gl.disable(gl.DEPTH_TEST);
+        gl.disable(gl.STENCIL_TEST);
+        gl.disable(gl.SCISSOR_TEST);
+        gl.disable(gl.CULL_FACE);
+        gl.colorMask(true, true, true, true);
+
+        // Bind the quad covering the field's extent
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.fieldQuad.buffer);
+        gl.enableVertexAttribArray(locations.aPosition);
+        gl.vertexAttribPointer(locations.aPosition, 2, gl.FLOAT, false, 0, 0);
+        gl.uniform4fv(locations.uFieldExtent, extent);
+        gl.uniform1i(locations.uGeographic, geographic ? 1 : 0);
+
+        // Set interpolation model and its parameters
+        gl.uniform1i(locations.uModel, getModel(this.config.model).id);
+        gl.uniform1f(locations.uInfluenceRadius, this.config.influenceRadius);
+        gl.uniform1f(locations.uModelReach, getModelReach(this.config));
+        gl.uniform4fv(locations.uKernel, getLayerKernel(this.config));
+        gl.uniform1f(locations.uFalloffSteepness, this.config.falloffSteepness);
+        gl.uniform1f(locations.uIntensityBoost, this.config.intensityBoost);
+        gl.uniform1f(locations.uIdwPower, this.config.idwPower);
+        gl.uniform1f(locations.uGaussianSigma, this.config.gaussianSigma);
+        gl.uniform1i(locations.uGridFilter, getGridFilter(this.config.gridFilter));
+
+        // Free textures of replaced datasets, then upload any dataset drawn for the first time
+        this.retiredDatasets.forEach((dataset) => this.deleteDataset(gl, dataset));
+        this.retiredDatasets = [];
+
+        const { datasets, blend, difference } = this.getActiveDatasets();
+        datasets.forEach((dataset) => this.uploadDataset(gl, dataset));
+        if (this.transition && this.transition.valuesDirty) {
+            // A transition's values change every frame; only its point texture holds them
+            const { dataset } = this.transition;
+            this.uploadDataTexture(gl, dataset.textures.point, dataset.pointTextureData);
+            this.transition.valuesDirty = false;
+        }
+        datasets.forEach((dataset, slot) => {
+            this.bindDataset(gl, locations.slots[slot], SLOT_TEXTURE_UNITS[slot], dataset);
+        });
+        gl.uniform1f(locations.uFrameBlend, blend);
+        gl.uniform1i(locations.uDifference, difference ? 1 : 0);
+
+        // Set value domain and scale
+        const scaleBreaks = getScaleBreaks(this.config);
+        const breakValues = new Float32Array(MAX_SCALE_BREAKS);
+        breakValues.set(scaleBreaks);
+        gl.uniform1i(locations.uScaleType, SCALE_TYPES[getScaleType(this.config.scale)]);
+        gl.uniform2f(locations.uValueDomain, this.config.minValue, this.config.maxValue);
+        gl.uniform4fv(locations.uScaleBreaks, breakValues);
+        gl.uniform1i(locations.uScaleBreakCount, scaleBreaks.length);
+
+        // Set coverage mask, re-uploading the clip raster after a change
+        gl.activeTexture(gl.TEXTURE0 + CLIP_TEXTURE_UNIT);
+        if (this.clipDirty) {
+            this.uploadDataTexture(gl, this.clipTexture, createGridTextureData(this.clipGrid));
+            this.clipDirty = false;
+        }
+        gl.bindTexture(gl.TEXTURE_2D, this.clipTexture);
+        gl.uniform1i(locations.uClipTexture, CLIP_TEXTURE_UNIT);
+        gl.uniform1i(locations.uClipEnabled, this.clipGrid ? 1 : 0);
+        gl.uniform2f(locations.uClipSize, this.clipGrid ? this.clipGrid.width : 1, this.clipGrid ? this.clipGrid.height : 1);
+        gl.uniform4fv(locations.uClipBounds, this.clipGrid ? this.clipGrid.bounds : [0, 0, 1, 1]);
+        gl.uniform1f(locations.uMaxStationDistance, this.config.maxStationDistance || 0);
+
+        gl.drawArrays(gl.TRIANGLES, 0, this.fieldQuad.vertexCount);
+    }
+
+    // Render the layer: drape the field texture over the map and color it
+    // MapLibre 5 passes projection data for the current projection (Mercator or globe),
+    // MapLibre 4 passes a Mercator matrix
+    render(gl, options) {
+        if (this.failed || !this.fieldCache) {
+            return; // Nothing computed yet
+        }
+
+        try {
+            this.drawField(gl, options);
+        } catch (error) {
+            this.reportError(error);
+            return;
+        }
+
+        // Time spent since prerender() began this frame
+        const end = performance.now();
+        // Points of the data blended towards, or of the minuend in difference mode
+        const { datasets, difference } = this.getActiveDatasets();
+        this.fire('render', {
+            duration: end - (this.frameStart === null ? end : this.frameStart),
+            fieldUpdated: this.fieldUpdated,
+            pointCount: datasets[difference ? 0 : 1].points.length
+        });
+        this.frameStart = null;
+    }
+
+    // Drape the field texture over the world mesh for the current projection
+    drawField(gl, options) {
+        const shaderData = this.getShaderData(options);
+
+        const { program, locations } = this.getProgramInfo(gl, shaderData);
+        const isGlobe = shaderData.variantName.includes('globe');
+        const mesh = isGlobe ? this.meshes.globe : this.meshes.mercator;
+        const offsets = this.getWorldOffsets(isGlobe);
+        gl.useProgram(program);
 
         // Enable blending for transparency
         gl.enable(gl.BLEND);
         gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
 
-        // Bind position buffer
-        gl.bindBuffer(gl.ARRAY_BUFFER, this.positionBuffer);
-        gl.enableVertexAttribArray(this.locations.aPosition);
-        gl.vertexAttribPointer(this.locations.aPosition, 2, gl.FLOAT, false, 0, 0);
+        // Bind world mesh
+        gl.bindBuffer(gl.ARRAY_BUFFER, mesh.buffer);
+        gl.enableVertexAttribArray(locations.aPosition);
+        gl.vertexAttribPointer(locations.aPosition, 2, gl.FLOAT, false, 0, 0);
 
-        // Get map transform parameters for Web Mercator projection
-        const center = this.map.getCenter();
-        const zoom = this.map.getZoom();
-        gl.uniform2f(this.locations.uCenter, center.lng, center.lat);
-        gl.uniform1f(this.locations.uZoom, zoom);
-        // Use client dimensions (CSS pixels) not canvas dimensions (physical pixels)
-        gl.uniform2f(this.locations.uViewportSize, gl.canvas.clientWidth, gl.canvas.clientHeight);
+        // The map's projection places the world mesh on screen, so pitch, bearing,
+        // padding and the globe are all handled by the map itself
+        this.setProjectionUniforms(gl, locations, options);
 
-        // Set radial blob model parameters
-        gl.uniform1f(this.locations.uInfluenceRadius, this.config.influenceRadius);
-        gl.uniform1f(this.locations.uFalloffSteepness, this.config.falloffSteepness);
+        // Bind the field texture computed in prerender()
+        gl.activeTexture(gl.TEXTURE0 + FIELD_TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.fieldTexture);
+        gl.uniform1i(locations.uField, FIELD_TEXTURE_UNIT);
+        gl.uniform2f(locations.uFieldSize, this.fieldCache.width, this.fieldCache.height);
+        gl.uniform4fv(locations.uFieldExtent, this.fieldCache.extent);
 
-        // Set data points (using cached array)
-        gl.uniform3fv(this.locations.uPoints, this.pointsArray);
-        gl.uniform1i(this.locations.uNumPoints, this.points.length);
+        // Set color ramp, re-uploading it after a change
+        gl.activeTexture(gl.TEXTURE0 + COLOR_RAMP_TEXTURE_UNIT);
+        gl.bindTexture(gl.TEXTURE_2D, this.colorRampTexture);
+        if (this.colorRampDirty) {
+            gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+            gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, RAMP_SIZE, PRECIP_TYPE_NAMES.length, 0,
+                gl.RGBA, gl.UNSIGNED_BYTE, this.colorRampData);
+            this.colorRampDirty = false;
+        }
+        gl.uniform1i(locations.uColorRamp, COLOR_RAMP_TEXTURE_UNIT);
+        gl.uniform1f(locations.uColorRampSize, RAMP_SIZE);
+        gl.uniform1i(locations.uMaskStyle, MASK_STYLES[this.config.maskStyle]);
+        gl.uniform1i(locations.uUncertaintyEncoding, UNCERTAINTY_ENCODINGS[this.config.uncertaintyEncoding].id);
+        gl.uniform1f(locations.uOpacity, FIELD_OPACITY * getNowcastOpacity(this.config));
+
+        // In a split view only this layer's side of the divider is drawn
+        if (this.config.splitSide) {
+            gl.enable(gl.SCISSOR_TEST);
+            gl.scissor(...getSplitScissor(this.config, gl.drawingBufferWidth, gl.drawingBufferHeight));
+        }
 
-        // Set color gradient (using cached arrays)
-        gl.uniform3fv(this.locations.uGradientColors, this.gradientColors);
-        gl.uniform1fv(this.locations.uGradientStops, this.gradientStops);
+        // Draw the world mesh once per visible world copy
+        for (const offset of offsets) {
+            gl.uniform1f(locations.uWorldOffset, offset);
+            gl.drawArrays(gl.TRIANGLES, 0, mesh.vertexCount);
+        }
 
-        // Draw the full-screen quad
-        gl.drawArrays(gl.TRIANGLES, 0, 6);
+        // Rain and snow fall over the field, on the same side of a split view
+        if (this.config.particles && this.instancing) {
+            this.drawParticles(gl, options, shaderData, offsets);
+        }
 
+        gl.disable(gl.SCISSOR_TEST);
         gl.disable(gl.BLEND);
     }
 
+    // Set the map's projection uniforms on a program drawn through projectTile()
+    setProjectionUniforms(gl, locations, options) {
+        const projectionData = options.defaultProjectionData || { mainMatrix: options };
+        gl.uniformMatrix4fv(locations.uProjectionMatrix, false, projectionData.mainMatrix);
+        if (options.defaultProjectionData) {
+            gl.uniformMatrix4fv(locations.uProjectionFallbackMatrix, false, projectionData.fallbackMatrix);
+            gl.uniform4f(locations.uProjectionTileMercatorCoords, ...projectionData.tileMercatorCoords);
+            gl.uniform4f(locations.uProjectionClippingPlane, ...projectionData.clippingPlane);
+            gl.uniform1f(locations.uProjectionTransition, projectionData.projectionTransition);
+        }
+    }
+
+    // Draw the rain and snow particles over the field drawn by drawField()
+    // Called with blending on and the field texture bound
+    drawParticles(gl, options, shaderData, offsets) {
+        const particles = resolveParticles(this.config);
+        const { program, locations } = this.getParticleProgramInfo(gl, shaderData);
+        const seeds = this.getParticleSeeds(gl, particles.count);
+        this.tickParticles();
+        gl.useProgram(program);
+
+        // The quad's corners change per vertex, the seeds per particle
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.particleQuad.buffer);
+        gl.enableVertexAttribArray(locations.aCorner);
+        gl.vertexAttribPointer(locations.aCorner, 2, gl.FLOAT, false, 0, 0);
+        gl.bindBuffer(gl.ARRAY_BUFFER, seeds.buffer);
+        gl.enableVertexAttribArray(locations.aSeed);
+        gl.vertexAttribPointer(locations.aSeed, 4, gl.FLOAT, false, 0, 0);
+        this.instancing.vertexAttribDivisor(locations.aSeed, 1);
+
+        this.setProjectionUniforms(gl, locations, options);
+        gl.uniform1i(locations.uField, FIELD_TEXTURE_UNIT);
+        gl.uniform2f(locations.uFieldSize, this.fieldCache.width, this.fieldCache.height);
+        gl.uniform4fv(locations.uFieldExtent, this.fieldCache.extent);
+        gl.uniform1f(locations.uTime, this.particleClock.time);
+        gl.uniform1f(locations.uSpeed, particles.speed);
+        gl.uniform1f(locations.uSize, particles.size);
+        gl.uniform2f(locations.uViewportSize, gl.drawingBufferWidth, gl.drawingBufferHeight);
+        gl.uniform1f(locations.uPixelRatio, this.map.getPixelRatio());
+        gl.uniform1f(locations.uOpacity, FIELD_OPACITY * getNowcastOpacity(this.config));
+
+        for (const offset of offsets) {
+            gl.uniform1f(locations.uWorldOffset, offset);
+            this.instancing.drawArraysInstanced(gl.TRIANGLES, 0, this.particleQuad.vertexCount, seeds.count);
+        }
+
+        // Leave the attribute per vertex and off again for the map's own draws
+        this.instancing.vertexAttribDivisor(locations.aSeed, 0);
+        gl.disableVertexAttribArray(locations.aSeed);
+    }
+
+    // Vertex buffer of the layer's particle seeds, recreated when the count changes
+    getParticleSeeds(gl, count) {
+        if (!this.particleSeeds || this.particleSeeds.count !== count) {
+            if (this.particleSeeds) {
+                gl.deleteBuffer(this.particleSeeds.buffer);
+            }
+            const buffer = gl.createBuffer();
+            gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+            gl.bufferData(gl.ARRAY_BUFFER, createParticleSeeds(count), gl.STATIC_DRAW);
+            this.particleSeeds = { buffer, count };
+        }
+        return this.particleSeeds;
+    }
+
+    // Advance the particle clock by the time since the last animated frame and ask for
+    // the next one; once the map has been idle long enough the particles hold still
+    tickParticles() {
+        const clock = this.particleClock;
+        const now = performance.now();
+        if (now >= clock.activeUntil) {
+            clock.lastFrame = null;
+            return;
+        }
+
+        if (clock.lastFrame !== null) {
+            clock.time += Math.min((now - clock.lastFrame) / 1000, MAX_PARTICLE_STEP);
+        }
+        clock.lastFrame = now;
+        this.map.triggerRepaint();
+    }
+
+    // Keep the particles falling for config.particles.pauseAfter seconds from now
+    wakeParticles() {
+        const particles = resolveParticles(this.config);
+        if (!particles || !this.map) {
+            return;
+        }
+
+        this.particleClock.activeUntil = particles.pauseAfter === null
+            ? Infinity
+            : performance.now() + particles.pauseAfter * 1000;
+        this.map.triggerRepaint();
+    }
+
     // Clean up WebGL resources when layer is removed
-    onRemove(gl) {
-        gl.deleteProgram(this.program);
-        gl.deleteBuffer(this.positionBuffer);
+    // MapLibre passes the map and the context; shared programs and meshes are only
+    // deleted once the last layer using them is gone
+    onRemove(map, gl) {
+        map.off('moveend', this.onMoveEnd);
+        map.off('move', this.onMapActivity);
+        clearTimeout(this.contourTimer);
+        this.contourTimer = null;
+        this.contourRun++;
+        this.removeContours();
+
+        this.sharedKeys.forEach((key) => releaseResource(gl, key));
+        this.sharedKeys = [];
+        this.programs.clear();
+        this.meshes = {};
+        this.fieldProgram = null;
+        this.fieldQuad = null;
+        this.particlePrograms.clear();
+        this.particleQuad = null;
+        this.instancing = null;
+        if (this.particleSeeds) {
+            gl.deleteBuffer(this.particleSeeds.buffer);
+            this.particleSeeds = null;
+        }
+        this.endTransition();
+        [this.dataset, ...(this.frames || []).map((frame) => frame.dataset), this.differenceDataset, ...this.retiredDatasets]
+            .filter(Boolean)
+            .forEach((dataset) => this.deleteDataset(gl, dataset));
+        this.retiredDatasets = [];
+        gl.deleteTexture(this.colorRampTexture);
+        gl.deleteTexture(this.clipTexture);
+        gl.deleteTexture(this.fieldTexture);
+        gl.deleteFramebuffer(this.fieldFramebuffer);
+        this.fieldCache = null;
+        this.rejectExports(new Error('The layer was removed before the export was rendered'));
+        this.deleteExportTarget(gl);
     }
 
     // Update configuration
     updateConfig(newConfig) {
-        this.config = { ...this.config, ...newConfig };
+        const config = { ...this.config, ...newConfig };
+        getModel(config.model); // Reject unknown models and filters before they reach the shader
+        getGridFilter(config.gridFilter);
+        validateTypeRamps(config);
+        validateScale(config);
+        validateMask(config);
+        validateUncertainty(config);
+        validateSplit(config);
+        validateNowcast(config);
+        validateKernel(config);
+        validateParticles(config);
+        if ('clipGeometry' in newConfig) {
+            this.prepareClip(config.clipGeometry); // Bad geometry throws before anything changes
+        }
+        this.config = config;
+        if (Object.keys(newConfig).some((key) => !COMPOSITE_CONFIG_KEYS.includes(key))) {
+            this.fieldDirty = true;
+            this.scheduleContours();
+        } else if ('contours' in newConfig) {
+            this.scheduleContours();
+        }
+
+        // Swapping ramps only needs a new lookup texture
+        if (newConfig.colorRamp || newConfig.rampMode || newConfig.typeRamps) {
+            this.prepareColorRamp();
+        }
+
+        // Bucket size follows the influence radius and the model's reach, confidence the spread
+        // scale and point positions the nowcast, so re-index when any of them changes
+        if (this.dataset && (this.config.influenceRadius !== this.indexRadius ||
+            getModelReach(this.config) !== this.indexReach ||
+            resolveMaxSpread(this.config) !== this.dataset.maxSpread ||
+            'motion' in newConfig || 'leadTime' in newConfig)) {
+            this.prepareUniformData();
+        }
+        if ('particles' in newConfig) {
+            this.wakeParticles();
+        }
         if (this.map) {
             this.map.triggerRepaint();
         }
+        this.fire('configchange', { config: this.config, changed: Object.keys(newConfig) });
+    }
+
+    // Announce new data: dataType is 'points', 'grid', 'frames' or 'difference'
+    fireDataUpdate(dataType) {
+        const pointCount = dataType === 'frames'
+            ? this.frames.reduce((count, frame) => count + frame.dataset.points.length, 0)
+            : this.points.length;
+        this.fire('dataupdate', {
+            dataType,
+            pointCount,
+            precipTypes: this.precipTypes,
+            uncertainty: this.uncertaintyQuantity
+        });
     }
 
-    // Update data points
+    // Update data points (ends any time series)
     updatePoints(newPoints) {
         this.points = newPoints;
+        this.grid = null;
+        this.clearFrames();
+        this.prepareUniformData(); // Regenerate cached arrays
+        if (this.map) {
+            this.map.triggerRepaint();
+        }
+        this.fireDataUpdate('points');
+    }
+
+    // Replace the data points, animating each point's value over duration milliseconds:
+    // changed points go from their old value to their new one, added points grow from 0
+    // and removed points shrink to 0 (see createTransitionPoints() in dataset.js). Types,
+    // confidence and kernels are the new points' from the start, and the weighted-average
+    // models count a point fading in or out as a dry one at the far end of its fade.
+    // diff is diffSnapshots(current points, newPoints), as LiveSource passes it; when the
+    // layer shows a grid, a time series or a difference, the new points snap in
+    transitionPoints(newPoints, duration = 1000, diff = diffSnapshots(this.points, newPoints)) {
+        const animates = duration > 0 && this.dataset && !this.grid && !this.frames && !this.differenceData;
+        this.updatePoints(newPoints);
+        if (!animates) {
+            return;
+        }
+
+        const { points, fromValues, toValues } = createTransitionPoints(newPoints, diff);
+        this.transition = {
+            dataset: this.createLayerDataset(points),
+            fromValues,
+            toValues,
+            start: performance.now(),
+            duration,
+            valuesDirty: false
+        };
+        this.blendTransition(0);
+    }
+
+    // Move the transition's values progress (0-1) of the way, eased, for the next field pass
+    blendTransition(progress) {
+        const { dataset, fromValues, toValues } = this.transition;
+        blendDatasetValues(dataset, fromValues, toValues, progress * progress * (3 - 2 * progress)); // Smoothstep
+        this.transition.valuesDirty = true;
+    }
+
+    // How far the running transition has got (0-1), or null without one
+    getTransitionProgress() {
+        if (!this.transition) {
+            return null;
+        }
+        return Math.min((performance.now() - this.transition.start) / this.transition.duration, 1);
+    }
+
+    // Finish any transition, retiring the dataset it animated
+    endTransition() {
+        if (this.transition) {
+            this.retiredDatasets.push(this.transition.dataset);
+            this.transition = null;
+        }
+    }
+
+    // Update gridded data (replaces any points and ends any time series)
+    updateGrid(newGrid) {
+        validateGrid(newGrid);
+        this.grid = newGrid;
+        this.points = [];
+        this.clearFrames();
         this.prepareUniformData(); // Regenerate cached arrays
         if (this.map) {
             this.map.triggerRepaint();
         }
+        this.fireDataUpdate('grid');
+    }
+
+    // Show a time series of frames: [{ time, points } | { time, grid }] in time order
+    // All frames are prepared once; moving through time only changes which are drawn
+    setFrames(frames) {
+        if (this.differenceData) {
+            throw new Error('A layer showing a difference can\'t show a time series; call setDifference(null) first');
+        }
+        this.clearFrames();
+        this.frames = normalizeFrames(frames);
+        this.time = this.frames[0].time;
+        this.prepareUniformData();
+        if (this.map) {
+            this.map.triggerRepaint();
+        }
+        this.fireDataUpdate('frames');
+    }
+
+    // Draw this layer's data minus other points or a grid, e.g. observed minus forecast,
+    // with the field A - B colored on the layer's ramp over its value domain (see
+    // difference-layer.js for a layer set up with a diverging palette); null ends it
+    // Where neither has precipitation nothing is drawn; time series can't be subtracted
+    setDifference(data) {
+        if (data && this.frames) {
+            throw new Error('A time series can\'t be shown as a difference; show points or a grid first');
+        }
+        if (data && !Array.isArray(data)) {
+            validateGrid(data);
+        }
+
+        this.differenceData = data || null;
+        this.prepareUniformData();
+        if (this.map) {
+            this.map.triggerRepaint();
+        }
+        this.fireDataUpdate('difference');
+    }
+
+    // Drop the time series, retiring its datasets
+    clearFrames() {
+        (this.frames || []).forEach((frame) => {
+            if (frame.dataset) {
+                this.retiredDatasets.push(frame.dataset);
+            }
+        });
+        this.frames = null;
+        this.time = null;
+    }
+
+    // Time range covered by the frames as [first, last] epoch milliseconds
+    getTimeRange() {
+        if (!this.frames) {
+            return null;
+        }
+        return [this.frames[0].time, this.frames[this.frames.length - 1].time];
+    }
+
+    // Show the field at a time, blending the frames on either side of it
+    setTime(time) {
+        if (!this.frames) {
+            throw new Error('setTime() needs a time series; call setFrames() first');
+        }
+
+        const [first, last] = this.getTimeRange();
+        this.time = Math.min(Math.max(new Date(time).getTime(), first), last);
+        this.fieldDirty = true;
+        this.scheduleContours();
+        if (this.map) {
+            this.map.triggerRepaint();
+        }
+    }
+
+    // Interpolated value at a location in data units, computed on the CPU with the
+    // same model and parameters as the shader (see interpolation.js)
+    // Accepts a MapLibre LngLat, { lng, lat } or [lng, lat]
+    queryValue(lngLat) {
+        if (!this.dataset) {
+            throw new Error('queryValue() needs the layer to be added to a map first');
+        }
+
+        return this.sampleActiveField(toPosition(lngLat)).value;
+    }
+
+    // Field value at a [lng, lat] position as { value, wet }, where wet tells whether the
+    // field pass draws anything there: the value is above the domain, or for a difference,
+    // either dataset has precipitation
+    sampleActiveField(position) {
+        const { datasets, blend, difference } = this.getActiveDatasets();
+        const maxSamples = this.getMaxSamples();
+        const first = sampleDataset(datasets[0], position, this.config, maxSamples);
+        if (difference) {
+            const second = sampleDataset(datasets[1], position, this.config, maxSamples);
+            return { value: first - second, wet: Math.max(first, second) > 0 };
+        }
+
+        let value = first;
+        if (blend > 0) {
+            value += (sampleDataset(datasets[1], position, this.config, maxSamples) - value) * blend;
+        }
+        return { value, wet: value > this.config.minValue };
+    }
+
+    // Precipitation type at a location as { type, fractions }, where fractions are
+    // { rain, snow, sleet, hail } as the shader interpolates them and type is the dominant one
+    queryType(lngLat) {
+        if (!this.dataset) {
+            throw new Error('queryType() needs the layer to be added to a map first');
+        }
+
+        const position = toPosition(lngLat);
+        const { datasets, blend, difference } = this.getActiveDatasets();
+        const maxSamples = this.getMaxSamples();
+        let fractions = difference ? [1, 0, 0, 0] : interpolateTypeFractions(datasets[0], position, this.config, maxSamples);
+        if (blend > 0) {
+            const next = interpolateTypeFractions(datasets[1], position, this.config, maxSamples);
+            fractions = fractions.map((fraction, i) => fraction + (next[i] - fraction) * blend);
+        }
+        return {
+            type: dominantType(fractions),
+            fractions: Object.fromEntries(PRECIP_TYPE_NAMES.map((name, i) => [name, fractions[i]]))
+        };
+    }
+
+    // Confidence at a location in 0-1: the probability of precipitation, or 1 - spread / maxSpread,
+    // interpolated like the shader does (see uncertainty.js); 1 where the data carries neither
+    queryConfidence(lngLat) {
+        if (!this.dataset) {
+            throw new Error('queryConfidence() needs the layer to be added to a map first');
+        }
+
+        const position = toPosition(lngLat);
+        const { datasets, blend, difference } = this.getActiveDatasets();
+        const maxSamples = this.getMaxSamples();
+        let confidence = difference ? 1 : interpolateConfidence(datasets[0], position, this.config, maxSamples);
+        if (blend > 0) {
+            confidence += (interpolateConfidence(datasets[1], position, this.config, maxSamples) - confidence) * blend;
+        }
+        return confidence;
+    }
+
+    // Which uncertainty the data carries: 'probability', 'spread' or null (see uncertainty.js)
+    getUncertaintyQuantity() {
+        return this.uncertaintyQuantity;
+    }
+
+    // Names of the precipitation types present in the data, rain first (see precip-types.js)
+    getPrecipTypes() {
+        return this.precipTypes;
+    }
+
+    // Whether a location lies outside the coverage mask (clipGeometry, maxStationDistance),
+    // where precipitation is hidden or hatched; computed on the CPU like queryValue()
+    isMasked(lngLat) {
+        if (!this.dataset) {
+            throw new Error('isMasked() needs the layer to be added to a map first');
+        }
+
+        const position = toPosition(lngLat);
+        if (this.clipGrid && sampleGrid(this.clipGrid, position, { gridFilter: 'bilinear' }) < 0.5) {
+            return true;
+        }
+        if (!this.config.maxStationDistance) {
+            return false;
+        }
+
+        // Grids cover their whole area; during a blend or for a difference the nearer point
+        // of either dataset counts
+        const { datasets, blend, difference } = this.getActiveDatasets();
+        const distanceTo = (dataset) => (dataset.grid ? 0 :
+            nearestPointDistance(dataset, position, this.config, this.getMaxSamples()));
+        let distance = distanceTo(datasets[0]);
+        if (blend > 0 || difference) {
+            distance = Math.min(distance, distanceTo(datasets[1]));
+        }
+        return distance >= this.config.maxStationDistance;
+    }
+
+    // Whether the data reaches a location: a point's kernel or a grid covers it; elsewhere
+    // the field is 0 for want of data. During a blend or for a difference either dataset counts
+    isCovered(lngLat) {
+        if (!this.dataset) {
+            throw new Error('isCovered() needs the layer to be added to a map first');
+        }
+
+        const position = toPosition(lngLat);
+        const { datasets, blend, difference } = this.getActiveDatasets();
+        const maxSamples = this.getMaxSamples();
+        return coversPosition(datasets[0], position, this.config, maxSamples) ||
+            ((blend > 0 || difference) && coversPosition(datasets[1], position, this.config, maxSamples));
+    }
+
+    // Points within the influence radius of a location, nearest first, as [{ point, distance }]
+    // with distances in km; during a time series they come from the frame nearest in time
+    queryContributors(lngLat, limit = Infinity) {
+        if (!this.dataset) {
+            throw new Error('queryContributors() needs the layer to be added to a map first');
+        }
+
+        const { datasets, blend } = this.getActiveDatasets();
+        const dataset = blend < 0.5 ? datasets[0] : datasets[1];
+        return findContributingPoints(dataset, toPosition(lngLat), this.config, this.getMaxSamples()).slice(0, limit);
+    }
+
+    // Point samples the shader visits per texel on the chosen path, for the CPU mirror
+    getMaxSamples() {
+        return this.shaderPath ? this.shaderPath.maxFragmentSamples : undefined;
+    }
+
+    // Interpolated field sampled at the cell centres of a grid (grid.js format) over
+    // bounds [west, south, east, north], computed on the CPU like queryValue()
+    // Hidden masked areas count as dry, so contours stop where the drawn field does
+    sampleField(bounds, width, height) {
+        return sampleField(this.getFieldSampler(), bounds, width, height);
+    }
+
+    // Function of a [lng, lat] position giving the field as sampleField() samples it
+    getFieldSampler() {
+        const hidesMasked = this.config.maskStyle === 'transparent';
+        return (position) => (hidesMasked && this.isMasked(position) ? 0 : this.queryValue(position));
+    }
+
+    // Colorised field over bounds [west, south, east, north] as RGBA bytes, row 0 at the
+    // north edge, colored the way the composite pass colors the map (see colorFieldImage())
+    // The field pass renders the export's equal-angle grid on the GPU when the context can
+    // be read back; otherwise, as with mocked contexts, its CPU mirror computes it in chunks
+    async renderImage(bounds, width, height) {
+        const field = this.canRenderExports()
+            ? await this.queueFieldImage(bounds, width, height)
+            : await this.computeFieldImage(bounds, width, height);
+        return this.colorFieldImage(field, width, height);
+    }
+
+    // Whether exports can be rendered on the GPU: the layer draws on a context that can
+    // be read back and is visible, so prerender() keeps being called for it
+    canRenderExports() {
+        return Boolean(this.fieldProgram) && this.capabilities.readback && !this.failed &&
+            this.map.getLayoutProperty(this.id, 'visibility') !== 'none';
+    }
+
+    // Queue a field pass over bounds [west, south, east, north], width by height texels,
+    // for renderExportTile(); resolves to the texels as RGBA bytes, row 0 at the north edge
+    queueFieldImage(bounds, width, height) {
+        return new Promise((resolve, reject) => {
+            const texels = new Uint8Array(width * height * 4);
+            this.exportQueue.push({ bounds, width, height, texels, tile: 0, resolve, reject });
+            this.map.triggerRepaint();
+        });
+    }
+
+    // Render the next tile of the oldest queued export and read it back, settling the
+    // export after its last tile; called from prerender(), where the context is the layer's
+    renderExportTile(gl) {
+        const job = this.exportQueue[0];
+        const tileSize = Math.min(EXPORT_TILE_SIZE, this.maxTextureSize);
+        const columns = Math.ceil(job.width / tileSize);
+        const x = (job.tile % columns) * tileSize;
+        const y = Math.floor(job.tile / columns) * tileSize;
+        const width = Math.min(tileSize, job.width - x);
+        const height = Math.min(tileSize, job.height - y);
+
+        try {
+            const { framebuffer } = this.getExportTarget(gl, tileSize);
+            gl.bindFramebuffer(gl.FRAMEBUFFER, framebuffer);
+
+            // The tile's cells in degrees, north first like the field texture, whose first
+            // row readPixels() returns first
+            const [west, south, east, north] = job.bounds;
+            const cellWidth = (east - west) / job.width;
+            const cellHeight = (north - south) / job.height;
+            const extent = [west + x * cellWidth, north - y * cellHeight,
+                west + (x + width) * cellWidth, north - (y + height) * cellHeight];
+            this.drawFieldPass(gl, extent, width, height, true);
+
+            const tile = new Uint8Array(width * height * 4);
+            gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, tile);
+            for (let row = 0; row < height; row++) {
+                job.texels.set(tile.subarray(row * width * 4, (row + 1) * width * 4), ((y + row) * job.width + x) * 4);
+            }
+            job.tile++;
+        } catch (error) {
+            this.exportQueue.shift();
+            job.reject(error);
+        }
+
+        if (job.tile === columns * Math.ceil(job.height / tileSize)) {
+            this.exportQueue.shift();
+            job.resolve(job.texels);
+        }
+        if (this.exportQueue.length > 0) {
+            this.map.triggerRepaint();
+        } else {
+            this.deleteExportTarget(gl);
+        }
+    }
+
+    // Texture and framebuffer export tiles are rendered into, created on first use
+    getExportTarget(gl, size) {
+        if (!this.exportTarget) {
+            const texture = this.createDataTexture(gl);
+            gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+            this.exportTarget = { texture, framebuffer: gl.createFramebuffer() };
+            gl.bindFramebuffer(gl.FRAMEBUFFER, this.exportTarget.framebuffer);
+            gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+            if (gl.checkFramebufferStatus(gl.FRAMEBUFFER) !== gl.FRAMEBUFFER_COMPLETE) {
+                throw new Error('Export framebuffer is incomplete');
+            }
+        }
+        return this.exportTarget;
+    }
+
+    // Free the export tiles' texture and framebuffer
+    deleteExportTarget(gl) {
+        if (this.exportTarget) {
+            gl.deleteTexture(this.exportTarget.texture);
+            gl.deleteFramebuffer(this.exportTarget.framebuffer);
+            this.exportTarget = null;
+        }
+    }
+
+    // Reject the queued exports with an error
+    rejectExports(error) {
+        this.exportQueue.splice(0).forEach(({ reject }) => reject(error));
+    }
+
+    // The field pass's texels over bounds [west, south, east, north] as RGBA bytes, row 0
+    // at the north edge, computed on the CPU like queryValue(): the ramp position, the mask
+    // flag, the type plus 4 * the confidence level and the coverage, as the shader stores them
+    // Resolves once every row is done; rows are computed in chunks between pauses
+    async computeFieldImage(bounds, width, height) {
+        const [west, south, east, north] = bounds;
+        const texels = new Uint8Array(width * height * 4);
+
+        await computeRowsInChunks(width, height, (row) => {
+            const lat = north - (row + 0.5) * (north - south) / height;
+            for (let col = 0; col < width; col++) {
+                const position = [west + (col + 0.5) * (east - west) / width, lat];
+                const { value, wet } = this.sampleActiveField(position);
+                if (!wet) {
+                    continue;
+                }
+
+                // Confidence only shows through an uncertainty encoding, so skip its walk otherwise
+                const type = PRECIP_TYPES[this.queryType(position).type].id;
+                const level = this.config.uncertaintyEncoding === 'none' ? 0 :
+                    Math.round(this.queryConfidence(position) * CONFIDENCE_FIELD_STEPS);
+                texels.set([
+                    Math.round(normalizeValue(value, this.config) * 255),
+                    this.isMasked(position) ? 255 : 0,
+                    type + 4 * level,
+                    255
+                ], (row * width + col) * 4);
+            }
+        });
+        return texels;
+    }
+
+    // Color field pass texels (see computeFieldImage()) the way the composite pass colors
+    // the map, with the ramps, precipitation types, mask, uncertainty encoding and nowcast
+    // fade; every pixel is a texel centre, so nothing is filtered
+    async colorFieldImage(texels, width, height) {
+        const { maskStyle, uncertaintyEncoding } = this.config;
+        const opacity = FIELD_OPACITY * getNowcastOpacity(this.config);
+        const pixels = new Uint8ClampedArray(width * height * 4);
+
+        await computeRowsInChunks(width, height, (row) => {
+            for (let col = 0; col < width; col++) {
+                const offset = (row * width + col) * 4;
+                const [position, masked, typeConfidence, coverage] = texels.subarray(offset, offset + 4);
+                if (coverage < 128) {
+                    continue;
+                }
+
+                // Pixel centre as gl_FragCoord sees it, counted from the bottom left
+                const x = col + 0.5;
+                const y = height - row - 0.5;
+                if (masked >= 128 && (maskStyle !== 'hatched' || (x + y) % HATCH_SPACING >= HATCH_WIDTH)) {
+                    continue;
+                }
+
+                const entry = Math.floor(position / 255 * (RAMP_SIZE - 1) + 0.5);
+                const rampOffset = ((typeConfidence % 4) * RAMP_SIZE + entry) * 4;
+                const [r, g, b, a] = this.colorRampData.subarray(rampOffset, rampOffset + 4);
+                let color = [r, g, b, a * opacity];
+                if (uncertaintyEncoding !== 'none') {
+                    const confidence = Math.floor(typeConfidence / 4) / CONFIDENCE_FIELD_STEPS;
+                    color = encodeConfidence(color, confidence, uncertaintyEncoding, x, y);
+                }
+                pixels.set(color, offset);
+            }
+        }, { chunkPixels: EXPORT_COLOR_CHUNK_PIXELS });
+        return pixels;
+    }
+
+    // Export options as { bounds, width, height }, with the bounds defaulting to the map's view
+    planExport(options) {
+        if (!this.dataset) {
+            throw new Error('Exporting needs the layer to be added to a map first');
+        }
+        if (!options.bounds && !this.map) {
+            throw new Error('Exporting needs bounds when the layer is not on a map');
+        }
+        return planExport({ ...options, bounds: options.bounds || this.map.getBounds().toArray().flat() });
+    }
+
+    // The colorised field as a PNG Blob, without the basemap
+    // options: bounds ([west, south, east, north], default the view) and either width and
+    // height in pixels, pixelSize in degrees, or size, the longer side (default 1024);
+    // pixels are equal-angle cells, rows evenly spaced in latitude as in exportGeoTIFF()
+    async exportPNG(options = {}) {
+        const { bounds, width, height } = this.planExport(options);
+        const png = await encodePNG(await this.renderImage(bounds, width, height), width, height);
+        return new Blob([png], { type: 'image/png' });
+    }
+
+    // The field's values in data units as a single-band Float32 GeoTIFF Blob in EPSG:4326
+    // Takes the same options as exportPNG(); cells that are masked (see isMasked()) or out
+    // of reach of the data (see isCovered()) hold NaN, the file's nodata value, and the
+    // rest match queryValue(), computed on the CPU in chunks between pauses
+    async exportGeoTIFF(options = {}) {
+        const { bounds, width, height } = this.planExport(options);
+        const sample = (position) => (this.isMasked(position) || !this.isCovered(position) ? NaN : this.queryValue(position));
+        const field = await sampleFieldInChunks(sample, bounds, width, height);
+        const tiff = encodeGeoTIFF(field, this.config.units);
+        return new Blob([tiff], { type: 'image/tiff' });
+    }
+
+    // Contours of the field at the given thresholds (data units) as GeoJSON, ready for a
+    // MapLibre line layer ({ type: 'lines' }, the default) or fill layer ({ type: 'fill' })
+    // The field is sampled over options.bounds, by default the map's current view,
+    // with options.samples samples along the longer side
+    getContours(thresholds, options = {}) {
+        const { bounds, width, height } = this.planContours(options);
+        return traceContourField(this.sampleField(bounds, width, height), thresholds, options.type);
+    }
+
+    // Bounds and sample grid size of getContours() options as { bounds, width, height }
+    planContours({ bounds, samples = CONTOUR_SAMPLES }) {
+        if (!bounds) {
+            if (!this.map) {
+                throw new Error('getContours() needs bounds when the layer is not on a map');
+            }
+            bounds = this.map.getBounds().toArray().flat();
+        }
+
+        const [west, south, east, north] = bounds;
+        const aspect = (east - west) / Math.max(north - south, 1e-9);
+        return {
+            bounds,
+            width: Math.max(2, Math.round(aspect >= 1 ? samples : samples * aspect)),
+            height: Math.max(2, Math.round(aspect >= 1 ? samples / aspect : samples))
+        };
+    }
+
+    // Recompute the drawn contours shortly, once changes have settled
+    // Nothing is drawn before the layer has data, or after it has failed
+    scheduleContours() {
+        if (!this.map || !this.dataset || this.failed || this.contourTimer ||
+            (!this.config.contours && !this.contoursShown)) {
+            return;
+        }
+        this.contourTimer = setTimeout(() => {
+            this.contourTimer = null;
+            this.drawContours().catch((error) => this.reportError(error));
+        }, CONTOUR_DELAY);
+    }
+
+    // Draw config.contours ({ thresholds, color, width }) as a line layer above the field
+    // The view is sampled in chunks between pauses; a computation overtaken by a newer
+    // one, after the view, data or settings changed again, is dropped
+    async drawContours() {
+        const run = ++this.contourRun;
+        const isStale = () => run !== this.contourRun || this.failed;
+        if (!this.config.contours) {
+            this.removeContours();
+            return;
+        }
+
+        const { bounds, width, height } = this.planContours({});
+        const field = await sampleFieldInChunks(this.getFieldSampler(), bounds, width, height,
+            { chunkPixels: CONTOUR_CHUNK_SAMPLES, isStale });
+        const { contours } = this.config;
+        if (!field || isStale() || !contours) {
+            return; // Contours turned off meanwhile are removed by the computation that follows
+        }
+
+        const id = `${this.id}-contours`;
+        const data = traceContourField(field, contours.thresholds);
+        const paint = {
+            'line-color': contours.color || '#1a2a3a',
+            'line-width': contours.width || 1
+        };
+
+        if (this.contoursShown) {
+            this.map.getSource(id).setData(data);
+            Object.entries(paint).forEach(([name, value]) => this.map.setPaintProperty(id, name, value));
+        } else {
+            this.map.addSource(id, { type: 'geojson', data });
+            this.map.addLayer({ id, type: 'line', source: id, paint });
+            this.contoursShown = true;
+        }
+    }
+
+    // Remove the contour line layer
+    removeContours() {
+        if (this.contoursShown) {
+            const id = `${this.id}-contours`;
+            this.map.removeLayer(id);
+            this.map.removeSource(id);
+            this.contoursShown = false;
+        }
     }
 }
@@ -0,0 +1,106 @@
+// Value scales: map data values in physical units onto the color ramp (0-1)
+//
+// The domain is [minValue, maxValue] in the data's own units (mm/h, dBZ, mm, ...).
+//   linear: evenly spaced between min and max
+//   log:    evenly spaced in log(value); min must be above zero
+//   custom: { type: 'custom', breaks: [...] } - ascending break values spread
+//           evenly over the ramp, linear between neighbouring breaks
+// The shader's normalizeValue() mirrors normalizeValue() here.
+
+// Scale type ids, matching the shader's SCALE_* constants
+export const SCALE_TYPES = {
+    linear: 0,
+    log: 1,
+    custom: 2
+};
+
+// Most breaks a custom scale may have (size of the shader's uniform array)
+export const MAX_SCALE_BREAKS = 16;
+
+// Name of a scale, whether given as a string or a { type } object
+export function getScaleType(scale) {
+    const type = typeof scale === 'string' ? scale : scale && scale.type;
+    if (!(type in SCALE_TYPES)) {
+        throw new Error(`Unknown value scale: ${type}`);
+    }
+    return type;
+}
+
+// Check a domain and scale before they reach the shader
+export function validateScale({ minValue, maxValue, scale }) {
+    if (!(maxValue > minValue)) {
+        throw new Error(`Value domain needs maxValue > minValue, got [${minValue}, ${maxValue}]`);
+    }
+
+    const type = getScaleType(scale);
+    if (type === 'log' && !(minValue > 0)) {
+        throw new Error('Log scale needs a minValue above zero');
+    }
+    if (type === 'custom') {
+        const { breaks } = scale;
+        if (!Array.isArray(breaks) || breaks.length < 2 || breaks.length > MAX_SCALE_BREAKS) {
+            throw new Error(`Custom scale needs between 2 and ${MAX_SCALE_BREAKS} breaks`);
+        }
+        breaks.forEach((value, i) => {
+            if (i > 0 && !(value > breaks[i - 1])) {
+                throw new Error('Custom scale breaks must be in ascending order');
+            }
+        });
+    }
+}
+
+// Break values of a scale: custom breaks, or the domain's two ends
+export function getScaleBreaks({ minValue, maxValue, scale }) {
+    return getScaleType(scale) === 'custom' ? scale.breaks : [minValue, maxValue];
+}
+
+// Map a value onto the ramp (0-1, clamped)
+export function normalizeValue(value, { minValue, maxValue, scale }) {
+    const type = getScaleType(scale);
+    let t;
+
+    if (type === 'log') {
+        t = Math.log(Math.max(value, minValue) / minValue) / Math.log(maxValue / minValue);
+    } else if (type === 'custom') {
+        const { breaks } = scale;
+        const last = breaks.length - 1;
+        let i = 0;
+        while (i < last - 1 && value >= breaks[i + 1]) {
+            i++;
+        }
+        t = (i + (value - breaks[i]) / (breaks[i + 1] - breaks[i])) / last;
+    } else {
+        t = (value - minValue) / (maxValue - minValue);
+    }
+
+    return Math.min(Math.max(t, 0), 1);
+}
+
+// Inverse of normalizeValue: the value at ramp position t (0-1)
+export function denormalizeValue(t, { minValue, maxValue, scale }) {
+    const type = getScaleType(scale);
+
+    if (type === 'log') {
+        return minValue * Math.pow(maxValue / minValue, t);
+    }
+    if (type === 'custom') {
+        const { breaks } = scale;
+        const last = breaks.length - 1;
+        const i = Math.min(Math.floor(t * last), last - 1);
+        return breaks[i] + (t * last - i) * (breaks[i + 1] - breaks[i]);
+    }
+    return minValue + t * (maxValue - minValue);
+}
+
+// Format a value for legends and labels with a sensible number of digits
+export function formatValue(value, units = '') {
+    let text;
+    if (Math.abs(value) >= 10) {
+        text = value.toFixed(0);
+    } else if (Math.abs(value) >= 1) {
+        text = value.toFixed(1);
+    } else {
+        text = value === 0 ? '0' : parseFloat(value.toPrecision(2)).toString();
+    }
+    return units ? `${text} ${units}` : text;
+}
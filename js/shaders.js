@@ -1,43 +1,386 @@
-// WebGL shaders for precipitation visualization using radial blob model
+// WebGL shaders for precipitation visualization with pluggable interpolation models
+// Data points are read from float textures through a spatial bucket index
+//
+// Drawing takes two passes: the field pass computes the field into an offscreen
+// texture covering part of the world, and the composite pass drapes that texture
+// over the map through its projection and colors it with the ramp.
+//
+// Sources are GLSL ES 1.00; applyShaderPath() adapts them to the shader path picked
+// for the device (see capabilities.js) before they are compiled.
+
+// Adapt a shader source to a shader path: the path's limits become defines, and
+// WebGL2 paths compile the source as GLSL ES 3.00
+// stage is 'vertex' or 'fragment'
+export function applyShaderPath(source, stage, { glslVersion, texelFetch, maxFragmentSamples }) {
+    const defines = [`#define MAX_FRAGMENT_SAMPLES ${maxFragmentSamples}`];
+    if (texelFetch) {
+        defines.push('#define TEXEL_FETCH');
+    }
+
+    if (glslVersion !== '300 es') {
+        return `${defines.join('\n')}\n${source}`;
+    }
+
+    // The reverse of MapLibre's WebGL1 transpiling, so its projection prelude fits either way
+    let converted = stage === 'vertex'
+        ? source.replace(/\battribute\s/g, 'in ').replace(/\bvarying\s/g, 'out ')
+        : source.replace(/\bvarying\s/g, 'in ').replace(/\bgl_FragColor\b/g, 'fragColor');
+    converted = converted.replace(/\btexture2D\(/g, 'texture(');
+    if (stage === 'fragment') {
+        defines.push('out highp vec4 fragColor;');
+    }
+    return `#version 300 es\n${defines.join('\n')}\n${converted}`;
+}
 
-export const vertexShaderSource = `
+// Projection code for maps that only hand the layer a matrix (MapLibre 4)
+// MapLibre 5 supplies its own prelude with the same projectTile() signature
+export const mercatorProjectionPrelude = `
+uniform mat4 u_projection_matrix;
+
+vec4 projectTile(vec2 position) {
+    return u_projection_matrix * vec4(position, 0.0, 1.0);
+}
+`;
+
+// Build the composite vertex shader around the projection code of the map's current projection
+export function createVertexShaderSource({ vertexShaderPrelude, define }) {
+    return `
+${vertexShaderPrelude}
+${define}
+
+// Position in Web Mercator world coordinates (0-1)
 attribute vec2 a_position;
-varying vec2 v_texCoord;
-varying vec2 v_screenPos;
+varying vec2 v_mercator;
+
+// Horizontal offset of the world copy being drawn (0 = main world)
+uniform float u_worldOffset;
 
 void main() {
-    v_texCoord = a_position * 0.5 + 0.5;
-    v_screenPos = a_position;
-    gl_Position = vec4(a_position, 0.0, 1.0);
+    // Copies share the main world's coordinates, so the field is identical on each
+    v_mercator = a_position;
+    gl_Position = projectTile(a_position + vec2(u_worldOffset, 0.0));
 }
 `;
+}
 
-export const fragmentShaderSource = `
-precision highp float;
+// Field pass: a quad filling the offscreen texture, covering u_fieldExtent of the world
+export const fieldVertexShaderSource = `
+// Corner of the quad (0-1)
+attribute vec2 a_position;
+varying vec2 v_fieldPosition;
 
-varying vec2 v_texCoord;
-varying vec2 v_screenPos;
+// Area covered by the field texture in Web Mercator coordinates [minX, minY, maxX, maxY],
+// or for exports in degrees [west, north, east, south] (see u_geographic); either way
+// the first row of the texture is the northern edge
+uniform vec4 u_fieldExtent;
 
-// Map transform parameters
-uniform vec2 u_center;  // [lng, lat] - map center
-uniform float u_zoom;    // zoom level
-uniform vec2 u_viewportSize;  // [width, height] in pixels
+void main() {
+    v_fieldPosition = mix(u_fieldExtent.xy, u_fieldExtent.zw, a_position);
+    gl_Position = vec4(a_position * 2.0 - 1.0, 0.0, 1.0);
+}
+`;
 
-// Radial blob model parameters
-uniform float u_influenceRadius;
-uniform float u_falloffSteepness;
+// Uniforms and sampling functions for one dataset slot
+// The fragment shader holds two slots so it can blend between adjacent time steps
+function createDatasetShaderSource(slot) {
+    return `
+// Kind of input held by this slot: 0 = scattered points, 1 = grid
+uniform int u_inputMode${slot};
+
+// Data points, sorted by spatial bucket and packed as [lng, lat, value, type fractions + confidence] texels;
+// with u_pointKernels each is followed by a texel holding its own kernel (see kernels.js)
+uniform sampler2D u_pointTexture${slot};
+uniform vec2 u_pointTextureSize${slot};
+uniform float u_numPoints${slot};
+uniform int u_pointKernels${slot};
+uniform float u_searchRadius${slot};    // km; reaches the edge of every point's kernel
+
+// Spatial bucket index: texel (col, row) holds the first point of that cell
+uniform sampler2D u_cellTexture${slot};
+uniform vec2 u_cellTextureSize${slot};  // [cols + 1, rows]
+uniform vec2 u_gridOrigin${slot};       // [lng, lat] of the first cell
+uniform vec2 u_gridCellSize${slot};     // [lng, lat] cell size in degrees
+
+// Gridded input: one value per texel, row 0 at the north edge, values at cell centres
+uniform sampler2D u_gridTexture${slot};
+uniform vec2 u_gridSize${slot};         // [width, height] in cells
+uniform vec4 u_gridBounds${slot};       // [west, south, east, north]
+
+// Fetch a texel of the sorted point texture by its position
+vec4 fetchPointTexel${slot}(float index) {
+    float row = floor((index + 0.5) / u_pointTextureSize${slot}.x);
+    float col = index - row * u_pointTextureSize${slot}.x;
+#ifdef TEXEL_FETCH
+    return texelFetch(u_pointTexture${slot}, ivec2(col, row), 0);
+#else
+    return texture2D(u_pointTexture${slot}, (vec2(col, row) + 0.5) / u_pointTextureSize${slot});
+#endif
+}
 
-// Data points (max 250 points)
-uniform vec3 u_points[250];  // [lng, lat, value]
-uniform int u_numPoints;
+// Look up the first point of a cell (col == cols gives the end of the row)
+float cellStart${slot}(float col, float row) {
+#ifdef TEXEL_FETCH
+    return texelFetch(u_cellTexture${slot}, ivec2(col, row), 0).r;
+#else
+    return texture2D(u_cellTexture${slot}, (vec2(col, row) + 0.5) / u_cellTextureSize${slot}).r;
+#endif
+}
 
-// Color gradient (5 stops with RGB colors)
-uniform vec3 u_gradientColors[5];
-uniform float u_gradientStops[5];
+// Fetch a grid value, clamping to the grid's edges
+float gridValue${slot}(vec2 cell) {
+    cell = clamp(cell, vec2(0.0), u_gridSize${slot} - 1.0);
+#ifdef TEXEL_FETCH
+    return texelFetch(u_gridTexture${slot}, ivec2(cell), 0).r;
+#else
+    return texture2D(u_gridTexture${slot}, (cell + 0.5) / u_gridSize${slot}).r;
+#endif
+}
+
+// Sample the grid at a geographic position with bilinear or bicubic filtering
+float sampleGrid${slot}(vec2 currentPos) {
+    // Grids may extend past 180°, so try the position one world east as well
+    float lng = currentPos.x < u_gridBounds${slot}.x ? currentPos.x + 360.0 : currentPos.x;
+    if (lng > u_gridBounds${slot}.z || currentPos.y < u_gridBounds${slot}.y || currentPos.y > u_gridBounds${slot}.w) {
+        return 0.0;
+    }
+
+    // Continuous cell coordinates, with cell centres at whole numbers
+    vec2 cell = vec2(
+        (lng - u_gridBounds${slot}.x) / (u_gridBounds${slot}.z - u_gridBounds${slot}.x),
+        (u_gridBounds${slot}.w - currentPos.y) / (u_gridBounds${slot}.w - u_gridBounds${slot}.y)
+    ) * u_gridSize${slot} - 0.5;
+    vec2 base = floor(cell);
+    vec2 t = cell - base;
+
+    if (u_gridFilter == GRID_FILTER_BICUBIC) {
+        vec4 wx = catmullRomWeights(t.x);
+        vec4 wy = catmullRomWeights(t.y);
+        float value = 0.0;
+        for (int j = 0; j < 4; j++) {
+            vec4 row = vec4(
+                gridValue${slot}(base + vec2(-1.0, float(j) - 1.0)),
+                gridValue${slot}(base + vec2(0.0, float(j) - 1.0)),
+                gridValue${slot}(base + vec2(1.0, float(j) - 1.0)),
+                gridValue${slot}(base + vec2(2.0, float(j) - 1.0))
+            );
+            float w = j == 0 ? wy.x : j == 1 ? wy.y : j == 2 ? wy.z : wy.w;
+            value += dot(row, wx) * w;
+        }
+        // Catmull-Rom overshoots near sharp edges; precipitation is never negative
+        return max(value, 0.0);
+    }
+
+    float top = mix(gridValue${slot}(base), gridValue${slot}(base + vec2(1.0, 0.0)), t.x);
+    float bottom = mix(gridValue${slot}(base + vec2(0.0, 1.0)), gridValue${slot}(base + vec2(1.0, 1.0)), t.x);
+    return mix(top, bottom, t.y);
+}
+
+// Interpolate the field at a geographic position using the active model
+// Returns (value, distance to the nearest point whose kernel reaches it in km),
+// with the precipitation type fractions in typeFractions and the confidence in confidence
+vec2 interpolateField${slot}(vec2 currentPos, out vec4 typeFractions, out float confidence) {
+    float totalInfluence = 0.0;
+    float totalWeight = 0.0;
+    float nearestDistance = u_searchRadius${slot};
+    float nearestKernelDistance = u_modelReach;
+    float nearestValue = 0.0;
+    float nearestData = 0.0;
+    vec4 typeTotals = vec4(0.0);
+    float confidenceTotal = 0.0;
+    typeFractions = vec4(1.0, 0.0, 0.0, 0.0);
+    confidence = 1.0;
+
+    // Range of grid cells that can hold points within the search radius
+    float radiusLat = u_searchRadius${slot} / KM_PER_DEGREE;
+    float radiusLng = radiusLat / max(cos(degToRad(currentPos.y)), 0.01);
+    vec2 gridMax = u_cellTextureSize${slot} - vec2(2.0, 1.0);
+    vec2 cellMin = floor((currentPos - vec2(radiusLng, radiusLat) - u_gridOrigin${slot}) / u_gridCellSize${slot});
+    vec2 cellMax = floor((currentPos + vec2(radiusLng, radiusLat) - u_gridOrigin${slot}) / u_gridCellSize${slot});
+
+    if (u_numPoints${slot} == 0.0 || any(lessThan(cellMax, vec2(0.0))) || any(greaterThan(cellMin, gridMax))) {
+        return vec2(0.0, nearestDistance);
+    }
+
+    cellMin = clamp(cellMin, vec2(0.0), gridMax);
+    cellMax = clamp(cellMax, vec2(0.0), gridMax);
+
+    // Walk the cells in rings outward from the fragment's own cell, so when a dense
+    // index runs into MAX_FRAGMENT_SAMPLES the points left out are the furthest ones
+    vec2 ownCell = clamp(floor((currentPos - u_gridOrigin${slot}) / u_gridCellSize${slot}), cellMin, cellMax);
+    vec2 reach = max(ownCell - cellMin, cellMax - ownCell);
+    float maxRing = max(reach.x, reach.y);
+    float ring = 0.0;
+    float ringStep = 0.0;
+    float index = cellStart${slot}(ownCell.x, ownCell.y);
+    float cellEnd = cellStart${slot}(ownCell.x + 1.0, ownCell.y);
+
+    for (int i = 0; i < MAX_FRAGMENT_SAMPLES; i++) {
+        if (index >= cellEnd) {
+            ringStep += 1.0;
+            if (ringStep >= ring * 8.0) {
+                ring += 1.0;
+                ringStep = 0.0;
+                if (ring > maxRing) break;
+            }
+            vec2 cell = ownCell + ringCellOffset(ring, ringStep);
+            if (any(lessThan(cell, cellMin)) || any(greaterThan(cell, cellMax))) {
+                cellEnd = index; // Outside the search range: nothing to visit
+                continue;
+            }
+            index = cellStart${slot}(cell.x, cell.y);
+            cellEnd = cellStart${slot}(cell.x + 1.0, cell.y);
+            continue;
+        }
+
+        float texel = u_pointKernels${slot} == 1 ? index * 2.0 : index;
+        vec4 point = fetchPointTexel${slot}(texel);
+        index += 1.0;
+
+        float distance = haversineDistance(currentPos, point.xy);
+        if (distance >= u_searchRadius${slot}) {
+            continue;
+        }
+
+        // Models see the distance scaled by the point's kernel, or the layer's
+        vec4 kernel = u_kernel;
+        if (u_pointKernels${slot} == 1) {
+            vec4 pointKernel = fetchPointTexel${slot}(texel + 1.0);
+            if (pointKernel.x > 0.0) {
+                kernel = pointKernel;
+            }
+        }
+        float scaledDistance = kernelDistance(distance, currentPos, point.xy, kernel);
+        if (scaledDistance >= u_modelReach) {
+            continue;
+        }
+
+        // Every model tracks the nearest point for the coverage mask; the nearest
+        // model picks the point that is nearest by its kernel
+        nearestDistance = min(nearestDistance, distance);
+        if (scaledDistance < nearestKernelDistance) {
+            nearestKernelDistance = scaledDistance;
+            nearestValue = point.z;
+            nearestData = point.w;
+        }
+        if (u_model == MODEL_NEAREST) {
+            continue;
+        }
+
+        vec2 contribution = modelContribution(scaledDistance, point.z);
+        totalInfluence += contribution.x;
+        totalWeight += contribution.y;
+
+        // Types and confidence are weighted by each point's share of the value
+        typeTotals += decodeTypeFractions(point.w) * contribution.x;
+        confidenceTotal += decodeConfidence(point.w) * contribution.x;
+    }
+
+    if (u_model == MODEL_NEAREST) {
+        typeFractions = decodeTypeFractions(nearestData);
+        confidence = decodeConfidence(nearestData);
+        return vec2(nearestValue, nearestDistance);
+    }
+
+    float typeTotal = dot(typeTotals, vec4(1.0));
+    if (typeTotal > 0.0) {
+        typeFractions = typeTotals / typeTotal;
+    }
+    if (totalInfluence > 0.0) {
+        confidence = confidenceTotal / totalInfluence;
+    }
+
+    if (totalWeight <= 0.0) {
+        return vec2(0.0, nearestDistance);
+    }
+
+    // Weighted average; blobs are boosted to maintain color intensity
+    float boost = u_model == MODEL_BLOB ? u_intensityBoost : 1.0;
+    return vec2((totalInfluence / totalWeight) * boost, nearestDistance);
+}
+
+// Sample this dataset, whichever kind of input it holds
+// Returns (value, distance to the nearest point), the type fractions and the confidence;
+// grids are all rain, certain and cover their whole area, so their distance is 0
+vec2 sampleDataset${slot}(vec2 currentPos, out vec4 typeFractions, out float confidence) {
+    if (u_inputMode${slot} == INPUT_GRID) {
+        typeFractions = vec4(1.0, 0.0, 0.0, 0.0);
+        confidence = 1.0;
+        return vec2(sampleGrid${slot}(currentPos), 0.0);
+    }
+    return interpolateField${slot}(currentPos, typeFractions, confidence);
+}
+`;
+}
+
+// Field pass: interpolate the field and store its position on the color ramp
+// interpolation.js mirrors this on the CPU for point queries; keep the two in step
+export const fieldFragmentShaderSource = `
+precision highp float;
+
+// Fragment position in Web Mercator world coordinates (0-1), or in degrees [lng, lat]
+// when the field is computed on an equal-angle grid for an export
+varying vec2 v_fieldPosition;
+uniform int u_geographic;
+
+// Interpolation model (see models.js) and its parameters
+uniform int u_model;
+uniform float u_influenceRadius;   // Radius of the layer's kernel, shared by all models (km)
+uniform float u_modelReach;        // Kernel distance where the model's weights reach zero (km, see models.js)
+uniform vec4 u_kernel;             // Layer's kernel: [major, minor] radii (km), [sin, cos] of its bearing (see kernels.js)
+uniform float u_falloffSteepness;  // Radial blob
+uniform float u_intensityBoost;    // Radial blob
+uniform float u_idwPower;          // Inverse distance weighting
+uniform float u_gaussianSigma;     // Gaussian kernel (km)
+
+// Gridded input filtering: 0 = bilinear, 1 = bicubic
+uniform int u_gridFilter;
+
+// Time-series blending: the field is mix(dataset 0, dataset 1, u_frameBlend)
+uniform float u_frameBlend;
+
+// Difference mode: the field is dataset 0 - dataset 1 instead
+uniform int u_difference;
+
+// Value domain and scale (see scales.js)
+uniform int u_scaleType;
+uniform vec2 u_valueDomain;      // [minValue, maxValue] in data units
+uniform vec4 u_scaleBreaks[4];   // Custom scale breaks, packed four to a vector to save uniform space
+uniform int u_scaleBreakCount;
+
+// Coverage mask (see mask.js): clip geometry raster and distance limit
+uniform int u_clipEnabled;
+uniform sampler2D u_clipTexture;
+uniform vec2 u_clipSize;              // [width, height] in cells
+uniform vec4 u_clipBounds;            // [west, south, east, north]
+uniform float u_maxStationDistance;   // km; 0 = no limit
 
 const float EARTH_RADIUS = 6371.0; // km
 const float PI = 3.14159265359;
-const float WORLD_SIZE = 512.0; // MapLibre's base world size
+const float KM_PER_DEGREE = 111.19492664; // EARTH_RADIUS * PI / 180
+
+// Interpolation model ids, matching INTERPOLATION_MODELS in models.js
+const int MODEL_BLOB = 0;
+const int MODEL_IDW = 1;
+const int MODEL_GAUSSIAN = 2;
+const int MODEL_NEAREST = 3;
+
+// Input modes and grid filters, matching grid.js
+const int INPUT_POINTS = 0;
+const int INPUT_GRID = 1;
+const int GRID_FILTER_BILINEAR = 0;
+const int GRID_FILTER_BICUBIC = 1;
+
+// Value scale types, matching scales.js
+const int SCALE_LINEAR = 0;
+const int SCALE_LOG = 1;
+const int SCALE_CUSTOM = 2;
+const int MAX_SCALE_BREAKS = 16;
+
+// Confidence levels kept in the field texture, matching CONFIDENCE_FIELD_STEPS in uncertainty.js
+const float CONFIDENCE_FIELD_STEPS = 63.0;
+
+// MAX_FRAGMENT_SAMPLES, the upper bound on point samples visited per fragment,
+// is defined by the shader path (see capabilities.js)
 
 // Convert degrees to radians
 float degToRad(float deg) {
@@ -82,37 +425,10 @@ float lngDifference(float lng1, float lng2) {
     return diff;
 }
 
-// Convert screen position to geographic coordinates
-vec2 screenToGeo(vec2 screenPos, out float worldWrap) {
-    // Get center in mercator coordinates
-    float centerMercX = lngToMercatorX(u_center.x);
-    float centerMercY = latToMercatorY(u_center.y);
-
-    // Calculate scale based on zoom
-    float scale = WORLD_SIZE * pow(2.0, u_zoom);
-
-    // Convert screen position (NDC: -1 to 1) to pixel offset from center
-    // Note: In NDC, y=1 is top, y=-1 is bottom
-    // We need to invert Y because in NDC +Y is up, but in mercator +Y is south
-    vec2 pixelPos = vec2(screenPos.x, -screenPos.y) * u_viewportSize * 0.5;
-
-    // Convert pixel offset to mercator offset
-    vec2 mercOffset = pixelPos / scale;
-
-    // Add offset to center mercator coords
-    float mercX = centerMercX + mercOffset.x;
-    float mercY = centerMercY + mercOffset.y;
-
-    // Determine which world wrap we're in (0 = main world, -1 = left wrap, +1 = right wrap, etc)
-    worldWrap = floor(mercX);
-
-    // Normalize to [0, 1] for this world instance
-    float normalizedMercX = mercX - worldWrap;
-
-    // Convert back to geographic coordinates
-    float lng = mercatorXToLng(normalizedMercX);
-    float lat = mercatorYToLat(mercY);
-
+// Convert Web Mercator world coordinates to geographic coordinates
+vec2 mercatorToGeo(vec2 mercator) {
+    float lng = normalizeLng(mercatorXToLng(mercator.x));
+    float lat = mercatorYToLat(mercator.y);
     return vec2(lng, lat);
 }
 
@@ -135,91 +451,505 @@ float haversineDistance(vec2 point1, vec2 point2) {
     return EARTH_RADIUS * c;
 }
 
-// Get discrete color based on thresholds (no interpolation)
-vec3 getColor(float value) {
-    // Clamp value to [0, 1]
-    value = clamp(value, 0.0, 1.0);
+// Catmull-Rom weights for the four samples around fractional offset t
+vec4 catmullRomWeights(float t) {
+    float t2 = t * t;
+    float t3 = t2 * t;
+    return vec4(
+        -0.5 * t3 + t2 - 0.5 * t,
+        1.5 * t3 - 2.5 * t2 + 1.0,
+        -1.5 * t3 + 2.0 * t2 + 0.5 * t,
+        0.5 * t3 - 0.5 * t2
+    );
+}
+
+// Map a value in data units onto the color ramp (0-1)
+float normalizeValue(float value) {
+    float minValue = u_valueDomain.x;
+    float maxValue = u_valueDomain.y;
+
+    if (u_scaleType == SCALE_LOG) {
+        return clamp(log(max(value, minValue) / minValue) / log(maxValue / minValue), 0.0, 1.0);
+    }
+
+    if (u_scaleType == SCALE_CUSTOM) {
+        // Breaks are spread evenly over the ramp, linear in between
+        float segments = float(u_scaleBreakCount - 1);
+        float low = u_scaleBreaks[0].x;
+        for (int i = 1; i < MAX_SCALE_BREAKS; i++) {
+            float high = u_scaleBreaks[i / 4][i - (i / 4) * 4];
+            if (value < high || i >= u_scaleBreakCount - 1) {
+                return clamp((float(i - 1) + (value - low) / (high - low)) / segments, 0.0, 1.0);
+            }
+            low = high;
+        }
+        return 1.0;
+    }
+
+    return clamp((value - minValue) / (maxValue - minValue), 0.0, 1.0);
+}
+
+// Offset of a cell from the centre of a ring of index cells, going round the ring's
+// 8 * ring cells from its south-west corner; mirrored by ringCellOffset() in interpolation.js
+vec2 ringCellOffset(float ring, float ringStep) {
+    float side = floor(ringStep / (2.0 * ring));
+    float along = ringStep - side * 2.0 * ring;
+    if (side == 0.0) return vec2(along - ring, -ring);
+    if (side == 1.0) return vec2(ring, along - ring);
+    if (side == 2.0) return vec2(ring - along, ring);
+    return vec2(-ring, ring - along);
+}
+
+// Scale the distance (km) from a point to a position by a kernel [major, minor, sin, cos],
+// so the kernel's edge lies at the influence radius; mirrored by kernelDistance() in kernels.js
+float kernelDistance(float distance, vec2 currentPos, vec2 pointPos, vec4 kernel) {
+    if (kernel.x == kernel.y) {
+        return distance * (u_influenceRadius / kernel.x);
+    }
+
+    // Direction from the point, in local kilometres east and north
+    vec2 offset = vec2(lngDifference(pointPos.x, currentPos.x) * cos(degToRad(pointPos.y)), currentPos.y - pointPos.y);
+    float offsetLength = length(offset);
+    if (offsetLength == 0.0) {
+        return 0.0;
+    }
 
-    // Use discrete thresholds - find which band the value falls into
-    if (value < 0.2) return u_gradientColors[0];
-    if (value < 0.4) return u_gradientColors[1];
-    if (value < 0.6) return u_gradientColors[2];
-    if (value < 0.8) return u_gradientColors[3];
-    return u_gradientColors[4];
+    vec2 direction = offset / offsetLength;
+    float along = direction.x * kernel.z + direction.y * kernel.w;
+    float across = direction.x * kernel.w - direction.y * kernel.z;
+    return distance * u_influenceRadius * length(vec2(along / kernel.x, across / kernel.y));
 }
 
+// Contribution of one point within its kernel: (weight * value, weight), at the kernel distance
+vec2 modelContribution(float distance, float value) {
+    if (u_model == MODEL_IDW) {
+        // Tapered to zero at the influence radius; the distance is clamped so a point right
+        // under the fragment dominates without dividing by zero
+        float taper = max(u_influenceRadius - distance, 0.0) / (u_influenceRadius * max(distance, 0.001));
+        float weight = pow(taper, u_idwPower);
+        return vec2(weight * value, weight);
+    }
+
+    if (u_model == MODEL_GAUSSIAN) {
+        // Less the weight at the reach, so points fade out of the average there
+        float sigmaSquared = u_gaussianSigma * u_gaussianSigma;
+        float weight = max(exp(-0.5 * (distance * distance) / sigmaSquared) -
+            exp(-0.5 * (u_modelReach * u_modelReach) / sigmaSquared), 0.0);
+        return vec2(weight * value, weight);
+    }
+
+    // Radial blob: each non-zero point creates a "blob" of influence that fades with distance
+    // Blobs blend together smoothly to create cohesive precipitation fields
+
+    // Skip zero-value points - they don't create precipitation clouds
+    if (value == 0.0) {
+        return vec2(0.0);
+    }
+
+    // Normalized distance (0 at center, 1 at radius edge)
+    float normalizedDist = distance / u_influenceRadius;
+
+    // Apply steepness adjustment
+    normalizedDist = pow(normalizedDist, u_falloffSteepness);
+
+    // Smooth falloff using cosine interpolation (smoother than linear)
+    // This creates a smooth "blob" shape
+    float falloff = 0.5 + 0.5 * cos(normalizedDist * PI);
+
+    // Calculate influence: full value at center, fades to 0 at radius
+    float influence = value * falloff;
+
+    // Weight based on influence strength (stronger = more weight)
+    // This creates smooth blending while maintaining visible colors
+    float weight = falloff * falloff; // Square for smoother blending
+
+    return vec2(influence * weight, weight);
+}
+
+// Unpack type fractions (rain, snow, sleet, hail) from a point texel, as packed in precip-types.js
+vec4 decodeTypeFractions(float pointData) {
+    float types = mod(pointData, 32768.0);
+    float hail = floor(types / 1024.0);
+    float sleet = floor((types - hail * 1024.0) / 32.0);
+    float snow = types - hail * 1024.0 - sleet * 32.0;
+    vec3 others = vec3(snow, sleet, hail) / 31.0;
+    return vec4(max(1.0 - others.x - others.y - others.z, 0.0), others);
+}
+
+// Unpack a point's confidence (0-1) from above its type fractions, as packed in uncertainty.js
+float decodeConfidence(float pointData) {
+    return floor(pointData / 32768.0) / 255.0;
+}
+
+// Id of the dominant type (see PRECIP_TYPES); ties go to the first
+float dominantType(vec4 fractions) {
+    float type = 0.0;
+    float best = fractions.x;
+    if (fractions.y > best) {
+        type = 1.0;
+        best = fractions.y;
+    }
+    if (fractions.z > best) {
+        type = 2.0;
+        best = fractions.z;
+    }
+    if (fractions.w > best) {
+        type = 3.0;
+    }
+    return type;
+}
+
+// Fetch a clip raster value, clamping to the raster's edges
+float clipValue(vec2 cell) {
+    cell = clamp(cell, vec2(0.0), u_clipSize - 1.0);
+#ifdef TEXEL_FETCH
+    return texelFetch(u_clipTexture, ivec2(cell), 0).r;
+#else
+    return texture2D(u_clipTexture, (cell + 0.5) / u_clipSize).r;
+#endif
+}
+
+// Whether a geographic position lies inside the clip geometry: at least half covered
+// by the bilinearly filtered raster, which smooths its stair steps
+bool insideClip(vec2 currentPos) {
+    float lng = currentPos.x < u_clipBounds.x ? currentPos.x + 360.0 : currentPos.x;
+    if (lng > u_clipBounds.z || currentPos.y < u_clipBounds.y || currentPos.y > u_clipBounds.w) {
+        return false;
+    }
+
+    vec2 cellPos = vec2(
+        (lng - u_clipBounds.x) / (u_clipBounds.z - u_clipBounds.x),
+        (u_clipBounds.w - currentPos.y) / (u_clipBounds.w - u_clipBounds.y)
+    ) * u_clipSize - 0.5;
+    vec2 base = floor(cellPos);
+    vec2 t = cellPos - base;
+
+    float top = mix(clipValue(base), clipValue(base + vec2(1.0, 0.0)), t.x);
+    float bottom = mix(clipValue(base + vec2(0.0, 1.0)), clipValue(base + vec2(1.0, 1.0)), t.x);
+    return mix(top, bottom, t.y) >= 0.5;
+}
+
+${createDatasetShaderSource(0)}
+${createDatasetShaderSource(1)}
+
 void main() {
-    // Convert screen position to geographic coordinates using Web Mercator projection
-    float worldWrap;
-    vec2 currentPos = screenToGeo(v_screenPos, worldWrap);
+    // Geographic position of this texel of the field texture
+    vec2 currentPos = u_geographic == 1
+        ? vec2(normalizeLng(v_fieldPosition.x), v_fieldPosition.y)
+        : mercatorToGeo(v_fieldPosition);
+
+    // Blend between adjacent time steps, or subtract the second dataset from the first;
+    // the second dataset is only sampled mid-transition or for a difference
+    vec4 typeFractions;
+    float confidence;
+    vec2 sample0 = sampleDataset0(currentPos, typeFractions, confidence);
+    float interpolatedValue = sample0.x;
+    float nearestDistance = sample0.y;
+    bool dry = interpolatedValue <= u_valueDomain.x;
+    if (u_difference == 1) {
+        // Differences are drawn wherever either dataset has precipitation, on the rain ramp
+        vec4 typeFractions1;
+        float confidence1;
+        vec2 sample1 = sampleDataset1(currentPos, typeFractions1, confidence1);
+        interpolatedValue = sample0.x - sample1.x;
+        nearestDistance = min(nearestDistance, sample1.y);
+        dry = max(sample0.x, sample1.x) <= 0.0;
+        typeFractions = vec4(1.0, 0.0, 0.0, 0.0);
+        confidence = 1.0;
+    } else if (u_frameBlend > 0.0) {
+        vec4 typeFractions1;
+        float confidence1;
+        vec2 sample1 = sampleDataset1(currentPos, typeFractions1, confidence1);
+        interpolatedValue = mix(interpolatedValue, sample1.x, u_frameBlend);
+        nearestDistance = min(nearestDistance, sample1.y);
+        typeFractions = mix(typeFractions, typeFractions1, u_frameBlend);
+        confidence = mix(confidence, confidence1, u_frameBlend);
+        dry = interpolatedValue <= u_valueDomain.x;
+    }
 
-    // Only render in the main world instance (worldWrap == 0)
-    // This prevents the heatmap from appearing on wrapped copies of the world
-    if (worldWrap != 0.0) {
+    // If there's no precipitation at all, leave the texel empty
+    // (anything at or below the bottom of the value domain counts as none)
+    if (dry) {
         gl_FragColor = vec4(0.0, 0.0, 0.0, 0.0);
         return;
     }
 
-    // Radial influence model for precipitation visualization
-    // Each non-zero point creates a "blob" of influence that fades with distance
-    // Blobs blend together smoothly to create cohesive precipitation fields
+    // Precipitation outside the coverage mask is flagged rather than dropped,
+    // so the composite pass can hide it or hatch it
+    bool outside = (u_clipEnabled == 1 && !insideClip(currentPos)) ||
+        (u_maxStationDistance > 0.0 && nearestDistance >= u_maxStationDistance);
+
+    // Store the value's ramp position (red), the mask flag (green), the dominant type
+    // and confidence (blue, as the byte type + 4 * confidence level) and coverage (alpha);
+    // the composite pass applies the ramps, so band edges stay sharp when the texture is upscaled
+    float confidenceLevel = floor(clamp(confidence, 0.0, 1.0) * CONFIDENCE_FIELD_STEPS + 0.5);
+    gl_FragColor = vec4(
+        normalizeValue(interpolatedValue),
+        outside ? 1.0 : 0.0,
+        (dominantType(typeFractions) + 4.0 * confidenceLevel) / 255.0,
+        1.0
+    );
+}
+`;
 
-    float totalInfluence = 0.0;
-    float totalWeight = 0.0;
+// Composite pass: color the field texture where it covers the map
+// The layer's colorFieldImage() mirrors this on the CPU for exports; keep the two in step
+export const compositeFragmentShaderSource = `
+precision highp float;
 
-    for (int i = 0; i < 250; i++) {
-        if (i >= u_numPoints) break;
+// Fragment position in Web Mercator world coordinates (0-1)
+varying vec2 v_mercator;
+
+// Field texture from the field pass, its size and the area it covers [minX, minY, maxX, maxY]
+uniform sampler2D u_field;
+uniform vec2 u_fieldSize;
+uniform vec4 u_fieldExtent;
+
+// Color ramps baked into a lookup texture (see color-ramp.js), one row per
+// precipitation type in PRECIP_TYPES order
+uniform sampler2D u_colorRamp;
+uniform float u_colorRampSize;
+const float PRECIP_TYPE_COUNT = 4.0;
+
+// How precipitation outside the coverage mask is drawn, matching MASK_STYLES in mask.js
+uniform int u_maskStyle;
+const int MASK_STYLE_HATCHED = 1;
+
+// Diagonal hatching of masked precipitation, in framebuffer pixels (as in mask.js)
+const float HATCH_SPACING = 8.0;
+const float HATCH_WIDTH = 3.0;
+
+// How confidence is drawn, matching UNCERTAINTY_ENCODINGS and the constants in uncertainty.js
+uniform int u_uncertaintyEncoding;
+const int UNCERTAINTY_NONE = 0;
+const int UNCERTAINTY_OPACITY = 1;
+const int UNCERTAINTY_STIPPLE = 2;
+const int UNCERTAINTY_SATURATION = 3;
+const float CONFIDENCE_FIELD_STEPS = 63.0;
+const float MIN_CONFIDENCE_VISIBILITY = 0.15;
+const float STIPPLE_SIZE = 2.0;
+
+// Opacity of drawn precipitation, lowered as a nowcast looks further ahead (see nowcast.js)
+uniform float u_opacity;
+
+// Look up the color of a value in 0-1 on a type's ramp
+// Entry i of the baked ramp holds the color at i / (size - 1); alpha is 0 below the first stop
+vec4 getColor(float value, float type) {
+    value = clamp(value, 0.0, 1.0);
+    float entry = floor(value * (u_colorRampSize - 1.0) + 0.5);
+    return texture2D(u_colorRamp, vec2((entry + 0.5) / u_colorRampSize, (type + 0.5) / PRECIP_TYPE_COUNT));
+}
 
-        vec2 pointPos = u_points[i].xy;
-        float pointValue = u_points[i].z;
+// Fetch a texel of the field texture, clamping to its edges
+vec4 fieldTexel(vec2 texel) {
+    texel = clamp(texel, vec2(0.0), u_fieldSize - 1.0);
+    return texture2D(u_field, (texel + 0.5) / u_fieldSize);
+}
 
-        // Skip zero-value points - they don't create precipitation clouds
-        if (pointValue == 0.0) {
-            continue;
-        }
+// The byte holding a texel's dominant type and confidence level (type + 4 * level)
+float typeConfidenceByte(vec4 texel) {
+    return floor(texel.b * 255.0 + 0.5);
+}
 
-        float distance = haversineDistance(currentPos, pointPos);
+// Confidence at a texture position, filtered bilinearly by hand: the packed byte can't be
+// filtered by the GPU, and empty texels around the rain carry none
+float fieldConfidence(vec2 uv) {
+    vec2 cell = uv * u_fieldSize - 0.5;
+    vec2 base = floor(cell);
+    vec2 t = cell - base;
 
-        // Calculate influence using smooth falloff within radius
-        if (distance < u_influenceRadius) {
-            // Normalized distance (0 at center, 1 at radius edge)
-            float normalizedDist = distance / u_influenceRadius;
+    float total = 0.0;
+    float totalWeight = 0.0;
+    for (int i = 0; i < 4; i++) {
+        vec2 offset = vec2(mod(float(i), 2.0), floor(float(i) / 2.0));
+        vec4 texel = fieldTexel(base + offset);
+        vec2 w = mix(1.0 - t, t, offset);
+        float weight = w.x * w.y * texel.a;
+        total += floor(typeConfidenceByte(texel) / 4.0) / CONFIDENCE_FIELD_STEPS * weight;
+        totalWeight += weight;
+    }
+    return totalWeight > 0.0 ? total / totalWeight : 1.0;
+}
 
-            // Apply steepness adjustment
-            normalizedDist = pow(normalizedDist, u_falloffSteepness);
+// Ordered 4x4 dither threshold (0-1) of a pixel
+float bayer2(vec2 a) {
+    a = floor(a);
+    return fract(0.5 * a.x + 0.75 * a.y * a.y);
+}
 
-            // Smooth falloff using cosine interpolation (smoother than linear)
-            // This creates a smooth "blob" shape
-            float falloff = 0.5 + 0.5 * cos(normalizedDist * 3.14159);
+float bayer4(vec2 a) {
+    return bayer2(0.5 * a) * 0.25 + bayer2(a);
+}
 
-            // Calculate influence: full value at center, fades to 0 at radius
-            float influence = pointValue * falloff;
+// Show confidence through the configured encoding; mirrored by encodeConfidence() in uncertainty.js
+vec4 encodeConfidence(vec4 color, float confidence) {
+    float visibility = mix(MIN_CONFIDENCE_VISIBILITY, 1.0, confidence);
+    if (u_uncertaintyEncoding == UNCERTAINTY_OPACITY) {
+        color.a *= visibility;
+    } else if (u_uncertaintyEncoding == UNCERTAINTY_STIPPLE) {
+        if (bayer4(gl_FragCoord.xy / STIPPLE_SIZE) >= visibility) {
+            color.a = 0.0;
+        }
+    } else if (u_uncertaintyEncoding == UNCERTAINTY_SATURATION) {
+        float luma = dot(color.rgb, vec3(0.299, 0.587, 0.114));
+        color.rgb = mix(vec3(luma), color.rgb, confidence);
+    }
+    return color;
+}
 
-            // Weight based on influence strength (stronger = more weight)
-            // This creates smooth blending while maintaining visible colors
-            float weight = falloff * falloff; // Square for smoother blending
+void main() {
+    // The field texture may reach past the antimeridian, so look for this
+    // fragment one world east or west as well
+    vec2 mercator = v_mercator;
+    if (mercator.x < u_fieldExtent.x) {
+        mercator.x += 1.0;
+    } else if (mercator.x > u_fieldExtent.z) {
+        mercator.x -= 1.0;
+    }
 
-            totalInfluence += influence * weight;
-            totalWeight += weight;
-        }
+    vec2 uv = (mercator - u_fieldExtent.xy) / (u_fieldExtent.zw - u_fieldExtent.xy);
+    if (any(lessThan(uv, vec2(0.0))) || any(greaterThan(uv, vec2(1.0)))) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 0.0);
+        return;
     }
 
-    // Weighted average, boosted to maintain color intensity
-    float interpolatedValue = totalWeight > 0.0 ?
-        (totalInfluence / totalWeight) * 1.15 : 0.0;
+    // Linear filtering fades coverage towards empty texels at the edge of the rain:
+    // cut the edge at half coverage and divide the fade out of the ramp position
+    vec4 field = texture2D(u_field, uv);
+    if (field.a < 0.5) {
+        gl_FragColor = vec4(0.0, 0.0, 0.0, 0.0);
+        return;
+    }
 
-    // If there's no precipitation at all, make it transparent
-    if (interpolatedValue <= 0.0) {
+    // Masked precipitation is hidden, or only drawn along the hatching lines
+    if (field.g / field.a >= 0.5 &&
+        (u_maskStyle != MASK_STYLE_HATCHED || mod(gl_FragCoord.x + gl_FragCoord.y, HATCH_SPACING) >= HATCH_WIDTH)) {
         gl_FragColor = vec4(0.0, 0.0, 0.0, 0.0);
         return;
     }
 
-    // All visible precipitation has full opacity
-    float alpha = 0.8;
+    // Types are categories, so read them from the nearest texel instead of blending neighbours
+    float type = mod(typeConfidenceByte(fieldTexel(floor(uv * u_fieldSize))), 4.0);
+
+    vec4 color = getColor(field.r / field.a, type);
+    color.a *= u_opacity;
+    if (u_uncertaintyEncoding != UNCERTAINTY_NONE) {
+        color = encodeConfidence(color, fieldConfidence(uv));
+    }
+    gl_FragColor = color;
+}
+`;
+
+// Rain and snow particles (see particles.js): one quad per instance, placed from its
+// seed and the particle clock and shown according to the field at its home
+export function createParticleVertexShaderSource({ vertexShaderPrelude, define }) {
+    return `
+${vertexShaderPrelude}
+${define}
+
+// Corner of the particle's quad (-1 to 1) and the particle's seed [x, y, phase, threshold] (0-1)
+attribute vec2 a_corner;
+attribute vec4 a_seed;
+varying vec2 v_corner;
+varying float v_alpha;
+varying float v_snow;
+
+// Horizontal offset of the world copy being drawn (0 = main world)
+uniform float u_worldOffset;
+
+// Field texture from the field pass, its size and the area it covers [minX, minY, maxX, maxY]
+uniform sampler2D u_field;
+uniform vec2 u_fieldSize;
+uniform vec4 u_fieldExtent;
+
+// Particle clock (s) and the speed and size multipliers of config.particles
+uniform float u_time;
+uniform float u_speed;
+uniform float u_size;
+
+// Framebuffer size and framebuffer pixels per CSS pixel
+uniform vec2 u_viewportSize;
+uniform float u_pixelRatio;
+
+// Opacity of drawn precipitation, lowered as a nowcast looks further ahead (see nowcast.js)
+uniform float u_opacity;
+
+// MapLibre's globe prelude already declares PI, so the shader spells out its own angles
+const float HALF_TURN = 3.14159265;
+const float TYPE_SNOW = 1.0;
+
+// Share of particles shown at the bottom of the ramp; all show at the top
+const float MIN_DENSITY = 0.15;
+
+// Distance a particle falls before it starts over, and the sway of snowflakes (CSS pixels)
+const float FALL_DISTANCE = 80.0;
+const float SNOW_SWAY = 6.0;
+
+// Put the particle outside the clip volume so it isn't drawn
+void hideParticle() {
+    gl_Position = vec4(2.0, 2.0, 2.0, 1.0);
+    v_corner = a_corner;
+    v_alpha = 0.0;
+    v_snow = 0.0;
+}
+
+void main() {
+    // The field at the texel holding the particle's home; types are categories, so
+    // the texel is read whole rather than blended with its neighbours
+    vec4 field = texture2D(u_field, (floor(a_seed.xy * u_fieldSize) + 0.5) / u_fieldSize);
+
+    // Particles fall where the composite pass draws the field unmasked, and more of
+    // them show where it is heavier
+    if (field.a < 0.5 || field.g / field.a >= 0.5) {
+        hideParticle();
+        return;
+    }
+    float intensity = clamp(field.r / field.a, 0.0, 1.0);
+    if (a_seed.w >= mix(MIN_DENSITY, 1.0, intensity)) {
+        hideParticle();
+        return;
+    }
+
+    // Snow drifts down slowly and sways; rain, sleet and hail streak, faster when heavier
+    bool snow = mod(floor(field.b * 255.0 + 0.5), 4.0) == TYPE_SNOW;
+    float fallSpeed = (snow ? mix(20.0, 45.0, intensity) : mix(180.0, 420.0, intensity)) * u_speed;
+    vec2 halfSize = (snow ? vec2(mix(1.5, 3.0, intensity)) : vec2(0.75, mix(6.0, 12.0, intensity))) * u_size;
+    float progress = fract(a_seed.z + u_time * fallSpeed / FALL_DISTANCE);
+    float sway = snow ? sin(u_time * 1.5 + a_seed.z * 2.0 * HALF_TURN) * SNOW_SWAY : 0.0;
+
+    // Place the home through the map's projection, then fall past it in screen space
+    vec2 home = mix(u_fieldExtent.xy, u_fieldExtent.zw, a_seed.xy);
+    vec2 offset = a_corner * halfSize + vec2(sway, (0.5 - progress) * FALL_DISTANCE);
+    gl_Position = projectTile(home + vec2(u_worldOffset, 0.0));
+    gl_Position.xy += offset * u_pixelRatio * 2.0 / u_viewportSize * gl_Position.w;
+
+    // Fade in at the top of the fall and out at the bottom
+    v_corner = a_corner;
+    v_alpha = sin(progress * HALF_TURN) * mix(0.5, 0.9, intensity) * u_opacity;
+    v_snow = snow ? 1.0 : 0.0;
+}
+`;
+}
 
-    // Use the interpolated value directly for color mapping (no remapping)
-    // This ensures values near zero map to the start of the gradient
-    vec3 color = getColor(interpolatedValue);
-    gl_FragColor = vec4(color / 255.0, alpha);
+// Rain streaks fade from their head to their tail; snowflakes are soft white dots
+export const particleFragmentShaderSource = `
+precision mediump float;
+
+varying vec2 v_corner;
+varying float v_alpha;
+varying float v_snow;
+
+const vec3 RAIN_COLOR = vec3(0.75, 0.82, 0.9);
+const vec3 SNOW_COLOR = vec3(1.0);
+
+void main() {
+    if (v_snow > 0.5) {
+        float alpha = 1.0 - smoothstep(0.5, 1.0, length(v_corner));
+        gl_FragColor = vec4(SNOW_COLOR, alpha * v_alpha);
+    } else {
+        // The head is at the bottom of the quad, which falls first
+        float alpha = (1.0 - abs(v_corner.x)) * (0.5 - 0.5 * v_corner.y);
+        gl_FragColor = vec4(RAIN_COLOR, alpha * v_alpha);
+    }
 }
 `;
@@ -0,0 +1,155 @@
+// Spatial bucket index for scattered precipitation points
+//
+// Points are sorted into a regular lng/lat grid whose cells are roughly the size
+// of the search radius, so each fragment only visits the cells around it, in rings
+// outward from its own cell. The points are stored cell by cell, row after row, so
+// each cell is one contiguous slice of the point texture.
+
+import { packTypeFractions } from './precip-types.js';
+import { packConfidence } from './uncertainty.js';
+
+const EARTH_RADIUS = 6371.0; // km
+export const KM_PER_DEGREE = EARTH_RADIUS * Math.PI / 180;
+
+// Limits that keep the index textures small
+export const MAX_GRID_CELLS = 512;          // Maximum cells along each grid axis
+export const POINT_TEXTURE_WIDTH = 1024;    // Texels per row in the point texture
+
+// Collect index entries: every point, plus a copy shifted by 360° for points whose
+// search radius reaches across the antimeridian, so lookups never need to wrap
+function collectEntries(points, radiusDeg) {
+    const entryPoint = [];
+    const entryLng = [];
+
+    points.forEach((point, i) => {
+        entryPoint.push(i);
+        entryLng.push(point.lng);
+
+        const cosLat = Math.max(Math.cos(point.lat * Math.PI / 180), 0.01);
+        const margin = Math.min(radiusDeg / cosLat, 180);
+        if (point.lng + margin > 180) {
+            entryPoint.push(i);
+            entryLng.push(point.lng - 360);
+        } else if (point.lng - margin < -180) {
+            entryPoint.push(i);
+            entryLng.push(point.lng + 360);
+        }
+    });
+
+    return { entryPoint, entryLng };
+}
+
+// Build a bucket index for the given points and search radius (km)
+export function buildSpatialIndex(points, searchRadius) {
+    const radiusDeg = Math.max(searchRadius, 0.001) / KM_PER_DEGREE;
+    const { entryPoint, entryLng } = collectEntries(points, radiusDeg);
+    const count = entryPoint.length;
+
+    let lngMin = Infinity, lngMax = -Infinity;
+    let latMin = Infinity, latMax = -Infinity;
+    for (let i = 0; i < count; i++) {
+        const lat = points[entryPoint[i]].lat;
+        lngMin = Math.min(lngMin, entryLng[i]);
+        lngMax = Math.max(lngMax, entryLng[i]);
+        latMin = Math.min(latMin, lat);
+        latMax = Math.max(latMax, lat);
+    }
+
+    if (count === 0) {
+        lngMin = lngMax = latMin = latMax = 0;
+    }
+
+    // Cells are square in kilometres at the middle latitude of the data
+    const midLat = Math.min(Math.abs((latMin + latMax) / 2), 85.0);
+    const cellLat = Math.max(radiusDeg, (latMax - latMin) / MAX_GRID_CELLS);
+    const cellLng = Math.max(radiusDeg / Math.cos(midLat * Math.PI / 180), (lngMax - lngMin) / MAX_GRID_CELLS);
+
+    const cols = Math.max(1, Math.min(MAX_GRID_CELLS, Math.floor((lngMax - lngMin) / cellLng) + 1));
+    const rows = Math.max(1, Math.min(MAX_GRID_CELLS, Math.floor((latMax - latMin) / cellLat) + 1));
+
+    // Assign every entry to a cell
+    const cellOf = new Uint32Array(count);
+    const counts = new Uint32Array(cols * rows);
+    for (let i = 0; i < count; i++) {
+        const col = Math.min(cols - 1, Math.floor((entryLng[i] - lngMin) / cellLng));
+        const row = Math.min(rows - 1, Math.floor((points[entryPoint[i]].lat - latMin) / cellLat));
+        cellOf[i] = row * cols + col;
+        counts[cellOf[i]]++;
+    }
+
+    // Prefix sums give the first entry of each cell; the extra entry closes the last row
+    const cellStarts = new Float32Array(cols * rows + 1);
+    for (let c = 0; c < cols * rows; c++) {
+        cellStarts[c + 1] = cellStarts[c] + counts[c];
+    }
+
+    // Counting sort of entries by cell
+    const next = Uint32Array.from(cellStarts.subarray(0, cols * rows));
+    const order = new Uint32Array(count);
+    const lngs = new Float64Array(count);
+    for (let i = 0; i < count; i++) {
+        const slot = next[cellOf[i]]++;
+        order[slot] = entryPoint[i];
+        lngs[slot] = entryLng[i];
+    }
+
+    return {
+        origin: [lngMin, latMin],
+        cellSize: [cellLng, cellLat],
+        cols,
+        rows,
+        cellStarts,
+        order,  // Source point of each sorted entry
+        lngs    // Longitude of each sorted entry (shifted by 360° for wrapped copies)
+    };
+}
+
+// Pack sorted entries into RGBA float texels: [lng, lat, value, type fractions + confidence]
+// (fractions packed as in precip-types.js, confidence as in uncertainty.js, where spread
+// is measured against maxSpread). With pointKernels (see kernels.js) every entry is
+// followed by a texel holding its point's kernel, or zeros for points using the layer's
+export function createPointTextureData(points, index, maxSpread, pointKernels = null) {
+    const stride = pointKernels ? 2 : 1;
+    const count = index.order.length * stride;
+    const width = Math.max(1, Math.min(count, POINT_TEXTURE_WIDTH));
+    const height = Math.max(1, Math.ceil(count / width));
+    const data = new Float32Array(width * height * 4);
+
+    index.order.forEach((pointIndex, i) => {
+        const point = points[pointIndex];
+        const offset = i * stride * 4;
+        data[offset] = index.lngs[i];
+        data[offset + 1] = point.lat;
+        data[offset + 2] = point.value;
+        data[offset + 3] = packTypeFractions(point) + packConfidence(point, maxSpread);
+        if (pointKernels) {
+            data.set(pointKernels[pointIndex] || [0, 0, 0, 0], offset + 4);
+        }
+    });
+
+    return { data, width, height };
+}
+
+// Write the points' current values into point texture data laid out by createPointTextureData()
+export function updatePointTextureValues(textureData, points, index, pointKernels = null) {
+    const stride = pointKernels ? 2 : 1;
+    index.order.forEach((pointIndex, i) => {
+        textureData.data[i * stride * 4 + 2] = points[pointIndex].value;
+    });
+}
+
+// Lay out cell start offsets as a (cols + 1) x rows float texture
+// Texel (col, row) holds the first point of that cell; texel (cols, row) the end of the row
+export function createCellTextureData(index) {
+    const width = index.cols + 1;
+    const height = index.rows;
+    const data = new Float32Array(width * height * 4);
+
+    for (let row = 0; row < height; row++) {
+        for (let col = 0; col < width; col++) {
+            data[(row * width + col) * 4] = index.cellStarts[row * index.cols + col];
+        }
+    }
+
+    return { data, width, height };
+}
@@ -0,0 +1,24 @@
+// Split (swipe) view: each layer drawn on its own side of a vertical divider
+//
+// Two layers on one map compare products side by side, e.g. observed on the left
+// and forecast on the right: config.splitSide is 'left' or 'right' (null draws
+// the whole map) and config.splitPosition places the divider across the map (0-1).
+// Moving the divider only changes what is drawn, never the field.
+
+export const SPLIT_SIDES = ['left', 'right'];
+
+// Check split view settings
+export function validateSplit({ splitSide, splitPosition }) {
+    if (splitSide !== null && !SPLIT_SIDES.includes(splitSide)) {
+        throw new Error(`Unknown split side: ${splitSide}`);
+    }
+    if (!(splitPosition >= 0 && splitPosition <= 1)) {
+        throw new Error('splitPosition must be between 0 and 1');
+    }
+}
+
+// Scissor box [x, y, width, height] in drawing buffer pixels holding a side of the divider
+export function getSplitScissor({ splitSide, splitPosition }, width, height) {
+    const divider = Math.round(width * splitPosition);
+    return splitSide === 'left' ? [0, 0, divider, height] : [divider, 0, width - divider, height];
+}
@@ -0,0 +1,110 @@
+// Uncertainty of the precipitation field: probability of precipitation or ensemble spread
+//
+// A point may carry a `probability` (0-1) or a `spread` in data units next to its
+// value. Both become a confidence in 0-1: the probability itself, or 1 - spread /
+// maxSpread. Points without either are certain. The field pass interpolates the
+// confidence like the precipitation types (see precip-types.js) and the composite
+// pass shows it through config.uncertaintyEncoding (see UNCERTAINTY_ENCODINGS).
+//
+// Confidence travels in the point texture's spare channel above the packed type
+// fractions, as an 8-bit level times 2^15; the sum stays below 2^23, exact in floats.
+// The field texture keeps 6 bits of it (see CONFIDENCE_FIELD_STEPS).
+
+// How confidence is drawn, matching the composite shader's UNCERTAINTY_* constants
+export const UNCERTAINTY_ENCODINGS = {
+    none: { id: 0, label: 'Not shown' },
+    opacity: { id: 1, label: 'Opacity' },
+    stipple: { id: 2, label: 'Stippling' },
+    saturation: { id: 3, label: 'Saturation' }
+};
+
+// Steps of the packed confidence, and of the confidence stored in the field texture
+const CONFIDENCE_STEPS = 255;
+export const CONFIDENCE_FIELD_STEPS = 63;
+
+// Share of a pixel's opacity, or of stipple dots, kept at zero confidence, so unlikely
+// precipitation stays faintly visible
+export const MIN_CONFIDENCE_VISIBILITY = 0.15;
+
+// Stipple dots are this many framebuffer pixels wide
+export const STIPPLE_SIZE = 2;
+
+// Spread at which confidence reaches 0: config.maxSpread, or the width of the value domain
+export function resolveMaxSpread(config) {
+    return config.maxSpread === null ? config.maxValue - config.minValue : config.maxSpread;
+}
+
+// Confidence of a point in 0-1
+export function getPointConfidence(point, maxSpread) {
+    if (point.probability !== undefined) {
+        if (!(point.probability >= 0 && point.probability <= 1)) {
+            throw new Error('Probability of precipitation must be between 0 and 1');
+        }
+        return point.probability;
+    }
+    if (point.spread !== undefined) {
+        if (!(point.spread >= 0)) {
+            throw new Error('Spread must be a non-negative number in data units');
+        }
+        return Math.max(1 - point.spread / maxSpread, 0);
+    }
+    return 1;
+}
+
+// Quantise a confidence to what the shader sees from the point texture
+export function quantizeConfidence(confidence) {
+    return Math.round(confidence * CONFIDENCE_STEPS) / CONFIDENCE_STEPS;
+}
+
+// Pack a point's confidence into the high bits of its point texture channel
+export function packConfidence(point, maxSpread) {
+    return Math.round(getPointConfidence(point, maxSpread) * CONFIDENCE_STEPS) * 32768;
+}
+
+// Which uncertainty the points carry: 'probability', 'spread' or null; probability wins
+export function findUncertaintyQuantity(points) {
+    if (points.some((point) => point.probability !== undefined)) {
+        return 'probability';
+    }
+    return points.some((point) => point.spread !== undefined) ? 'spread' : null;
+}
+
+// Ordered 4x4 dither threshold (0-1) of a pixel, as the composite shader's bayer4()
+export function ditherThreshold(x, y) {
+    const bayer2 = (a, b) => {
+        a = Math.floor(a);
+        b = Math.floor(b);
+        const t = 0.5 * a + 0.75 * b * b;
+        return t - Math.floor(t);
+    };
+    return bayer2(0.5 * x, 0.5 * y) * 0.25 + bayer2(x, y);
+}
+
+// Apply an encoding to an [r, g, b, a] color (0-255) at a confidence, for pixel (x, y)
+// Mirrors the composite shader, so the legend can draw swatches of the encoding
+export function encodeConfidence(color, confidence, encoding, x = 0, y = 0) {
+    const [r, g, b, a] = color;
+    const visibility = MIN_CONFIDENCE_VISIBILITY + (1 - MIN_CONFIDENCE_VISIBILITY) * confidence;
+    switch (encoding) {
+        case 'opacity':
+            return [r, g, b, a * visibility];
+        case 'stipple':
+            return ditherThreshold(x / STIPPLE_SIZE, y / STIPPLE_SIZE) < visibility ? color : [r, g, b, 0];
+        case 'saturation': {
+            const luma = 0.299 * r + 0.587 * g + 0.114 * b;
+            return [luma + (r - luma) * confidence, luma + (g - luma) * confidence, luma + (b - luma) * confidence, a];
+        }
+        default:
+            return color;
+    }
+}
+
+// Check uncertainty settings before they reach the shader
+export function validateUncertainty({ uncertaintyEncoding, maxSpread }) {
+    if (!(uncertaintyEncoding in UNCERTAINTY_ENCODINGS)) {
+        throw new Error(`Unknown uncertainty encoding: ${uncertaintyEncoding}`);
+    }
+    if (maxSpread !== null && !(maxSpread > 0)) {
+        throw new Error('maxSpread must be a positive spread in data units, or null');
+    }
+}
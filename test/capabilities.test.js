@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { detectCapabilities, selectShaderPath, REQUIRED_TEXTURE_UNITS } from '../js/capabilities.js';
+import { createMockGL } from './helpers/mock-gl.js';
+
+// Shader path picked for a mocked context
+function pathFor(options) {
+    return selectShaderPath(detectCapabilities(createMockGL(options)));
+}
+
+test('detectCapabilities reads a WebGL2 context', () => {
+    const capabilities = detectCapabilities(createMockGL({ extensions: [] }));
+
+    assert.equal(capabilities.webgl2, true);
+    assert.equal(capabilities.floatTextures, true);
+    assert.equal(capabilities.instancedArrays, true);
+    assert.equal(capabilities.highpFragment, true);
+    assert.equal(capabilities.maxTextureSize, 16384);
+    assert.equal(capabilities.maxTextureUnits, 16);
+    assert.equal(capabilities.readback, false);   // Exports are left to the CPU
+});
+
+test('detectCapabilities needs extensions on WebGL1', () => {
+    const capabilities = detectCapabilities(createMockGL({ version: 'WebGL 1.0', extensions: [] }));
+
+    assert.equal(capabilities.webgl2, false);
+    assert.equal(capabilities.floatTextures, false);
+    assert.equal(capabilities.instancedArrays, false);
+});
+
+test('selectShaderPath picks WebGL2 on a WebGL2 context', () => {
+    const path = pathFor({ parameters: { MAX_FRAGMENT_UNIFORM_VECTORS: 64 } });
+
+    assert.equal(path.name, 'webgl2');
+    assert.equal(path.glslVersion, '300 es');
+    assert.equal(path.texelFetch, true);
+});
+
+test('selectShaderPath picks WebGL1 with room for uniforms', () => {
+    const path = pathFor({ version: 'WebGL 1.0', parameters: { MAX_FRAGMENT_UNIFORM_VECTORS: 221 } });
+
+    assert.equal(path.name, 'webgl1');
+    assert.equal(path.glslVersion, '100');
+    assert.equal(path.texelFetch, false);
+});
+
+test('selectShaderPath reduces the point budget on small WebGL1 devices', () => {
+    const path = pathFor({ version: 'WebGL 1.0', parameters: { MAX_FRAGMENT_UNIFORM_VECTORS: 64 } });
+
+    assert.equal(path.name, 'webgl1Reduced');
+    assert.ok(path.maxFragmentSamples < pathFor({ version: 'WebGL 1.0' }).maxFragmentSamples);
+    assert.match(path.reason, /64 fragment uniform vectors/);
+});
+
+test('selectShaderPath turns away devices that cannot draw the layer', () => {
+    assert.throws(() => pathFor({ version: 'WebGL 1.0', extensions: [] }), /Floating point textures/);
+    assert.throws(() => pathFor({ highp: false }), /High precision/);
+    assert.throws(() => pathFor({ parameters: { MAX_TEXTURE_IMAGE_UNITS: REQUIRED_TEXTURE_UNITS - 1 } }),
+        /texture units/);
+});
@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PrecipitationLayer } from '../js/precipitation-layer.js';
+import { createMockGL } from './helpers/mock-gl.js';
+import { createMockMap } from './helpers/mock-map.js';
+
+const POINTS = [
+    { lng: 10.5, lat: 60, value: 0.8 },
+    { lng: 10.7, lat: 60.2, value: 0.5 }
+];
+const CONTOURS = { thresholds: [0.3] };
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A layer drawing contours, added to a mocked map over a small area
+function createLayer() {
+    const layer = new PrecipitationLayer('contour-test', POINTS, { influenceRadius: 40, contours: CONTOURS });
+    const map = createMockMap([9, 59, 12, 61]);
+    const errors = [];
+    layer.on('error', ({ error }) => errors.push(error.message));
+    layer.onAdd(map, createMockGL());
+    return { layer, map, errors };
+}
+
+test('contours are drawn after the view settles', async () => {
+    const { map, errors } = createLayer();
+    map.fire('moveend');
+    await sleep(400);
+
+    const source = map.sources.get('contour-test-contours');
+    assert.deepEqual(errors, []);
+    assert.equal(source.updates.length, 1);
+    assert.ok(source.updates[0].features.length > 0);
+    assert.ok(map.layers.has('contour-test-contours'));
+});
+
+test('a contour computation overtaken by a newer one is dropped', async () => {
+    // Let the contours scheduled on adding the layer come in first
+    const { layer, map } = createLayer();
+    map.fire('moveend');
+    await sleep(400);
+    const { updates } = map.sources.get('contour-test-contours');
+    assert.equal(updates.length, 1);
+
+    const first = layer.drawContours();
+    const second = layer.drawContours();
+    await Promise.all([first, second]);
+    assert.equal(updates.length, 2);
+});
+
+test('a layer that failed to set up draws no contours', async () => {
+    const layer = new PrecipitationLayer('failed', POINTS, { contours: CONTOURS });
+    const map = createMockMap([9, 59, 12, 61]);
+    const errors = [];
+    layer.on('error', ({ error }) => errors.push(error.message));
+    layer.onAdd(map, createMockGL({ version: 'WebGL 1.0', extensions: [] }));
+
+    map.fire('moveend');
+    layer.updateConfig({ contours: { thresholds: [0.5] } });
+    await sleep(300);
+
+    assert.equal(errors.length, 1);
+    assert.match(errors[0], /Floating point textures/);
+    assert.equal(map.sources.size, 0);
+});
+
+test('contour errors are reported as error events', async () => {
+    const { layer, map, errors } = createLayer();
+    layer.getFieldSampler = () => () => {
+        throw new Error('Sampling failed');
+    };
+    map.fire('moveend');
+    await sleep(300);
+
+    assert.deepEqual(errors, ['Sampling failed']);
+    assert.equal(layer.failed, true);
+});
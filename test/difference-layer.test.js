@@ -0,0 +1,93 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PrecipitationLayer } from '../js/precipitation-layer.js';
+import { DifferenceLayer } from '../js/difference-layer.js';
+import { createMockGL } from './helpers/mock-gl.js';
+import { createMockMap } from './helpers/mock-map.js';
+
+const OBSERVED = [
+    { lng: 10.5, lat: 60, value: 0.8 },
+    { lng: 10.7, lat: 60.2, value: 0.5 },
+    { lng: 11, lat: 59.8, value: 0.2 }
+];
+const FORECAST = [
+    { lng: 10.6, lat: 60.1, value: 0.6 }
+];
+
+// Identity matrix as MapLibre 4 passes to prerender() and render()
+const MATRIX = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+
+// A mock context that records the textures deleted through it
+function createRecordingGL() {
+    const deleted = new Set();
+    const gl = new Proxy(createMockGL(), {
+        get: (target, name) => (name === 'deleteTexture' ? (texture) => deleted.add(texture) : target[name])
+    });
+    return { gl, deleted };
+}
+
+// Observed and forecast layers with a difference layer on a mocked map
+function createLayers(config) {
+    const observed = new PrecipitationLayer('observed', OBSERVED, { influenceRadius: 40 });
+    const forecast = new PrecipitationLayer('forecast', FORECAST, { influenceRadius: 40 });
+    const difference = new DifferenceLayer('difference', observed, forecast, config);
+    difference.on('error', ({ error }) => {
+        throw error;
+    });
+    const { gl, deleted } = createRecordingGL();
+    const map = createMockMap();
+    difference.onAdd(map, gl);
+    return { observed, forecast, difference, map, gl, deleted };
+}
+
+test('the difference layer follows the minuend\'s interpolation settings', () => {
+    const { observed, difference, map, gl } = createLayers({ maskStyle: 'hatched' });
+    const changes = [];
+    difference.on('configchange', ({ changed }) => changes.push(changed));
+
+    observed.updateConfig({ influenceRadius: 80, model: 'gaussian', maskStyle: 'transparent' });
+    assert.equal(difference.config.influenceRadius, 80);
+    assert.equal(difference.config.model, 'gaussian');
+    assert.equal(difference.config.maskStyle, 'hatched');       // Overridden by config
+    assert.equal(difference.indexRadius, 80);                   // Re-indexed for the new radius
+    assert.deepEqual(changes, [['influenceRadius', 'model']]);
+
+    // Drawing settings stay the difference layer's own
+    observed.updateConfig({ colorRamp: 'viridis', minValue: 1, maxValue: 5, contours: { thresholds: [2] } });
+    assert.equal(difference.config.colorRamp, 'difference');
+    assert.equal(difference.config.minValue, -1);
+    assert.equal(difference.config.contours, null);
+    assert.equal(changes.length, 1);
+
+    // Off the map it stops following, and catches up when added again
+    difference.onRemove(map, gl);
+    observed.updateConfig({ influenceRadius: 60 });
+    assert.equal(difference.config.influenceRadius, 80);
+    difference.onAdd(map, gl);
+    assert.equal(difference.config.influenceRadius, 60);
+});
+
+test('removing a difference layer frees the subtrahend\'s textures', () => {
+    const { difference, map, gl, deleted } = createLayers();
+    difference.prerender(gl, MATRIX);
+    difference.render(gl, MATRIX);
+    const { textures } = difference.differenceDataset;
+    assert.ok(textures);
+
+    difference.onRemove(map, gl);
+    Object.values(textures).forEach((texture) => assert.ok(deleted.has(texture)));
+    assert.equal(difference.differenceDataset.textures, null);
+});
+
+test('render events count the minuend\'s points in difference mode', () => {
+    const { difference, gl } = createLayers();
+    const counts = [];
+    difference.on('render', ({ pointCount }) => counts.push(pointCount));
+    difference.on('dataupdate', ({ pointCount }) => counts.push(pointCount));
+
+    difference.prerender(gl, MATRIX);
+    difference.render(gl, MATRIX);
+    difference.followSources();
+    assert.deepEqual(counts, [OBSERVED.length, OBSERVED.length]);
+});
@@ -0,0 +1,262 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { inflateSync } from 'node:zlib';
+
+import { PrecipitationLayer } from '../js/precipitation-layer.js';
+import { planExport, computeRowsInChunks, encodeGeoTIFF } from '../js/export.js';
+import { createMockGL } from './helpers/mock-gl.js';
+import { createMockMap } from './helpers/mock-map.js';
+
+// A small area with rain around its middle and none in its corners
+const BOUNDS = [9, 59, 12, 61];
+const WIDTH = 12;
+const HEIGHT = 8;
+const POINTS = [
+    { lng: 10.5, lat: 60, value: 0.8 },
+    { lng: 10.7, lat: 60.2, value: 0.5 }
+];
+
+// A layer added to a mocked map and context
+function createLayer() {
+    const layer = new PrecipitationLayer('export-test', POINTS, { influenceRadius: 40 });
+    layer.on('error', ({ error }) => {
+        throw error;
+    });
+    layer.onAdd(createMockMap(), createMockGL());
+    return layer;
+}
+
+// Bytes of a Blob
+async function readBlob(blob) {
+    return new Uint8Array(await blob.arrayBuffer());
+}
+
+// Chunks of PNG bytes as [{ type, data, crcValid }]
+function readPNGChunks(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+    const chunks = [];
+    for (let offset = 8; offset < bytes.length;) {
+        const length = view.getUint32(offset);
+        const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+        const data = bytes.subarray(offset + 8, offset + 8 + length);
+        chunks.push({ type, data, crc: view.getUint32(offset + 8 + length) });
+        offset += 12 + length;
+    }
+    return chunks;
+}
+
+// Entries of a little-endian TIFF's first IFD as a Map of tag -> { type, count, valueOffset }
+function readTIFFTags(view) {
+    const ifd = view.getUint32(4, true);
+    const tags = new Map();
+    for (let i = 0; i < view.getUint16(ifd, true); i++) {
+        const entry = ifd + 2 + i * 12;
+        tags.set(view.getUint16(entry, true), {
+            type: view.getUint16(entry + 2, true),
+            count: view.getUint32(entry + 4, true),
+            valueOffset: view.getUint32(entry + 8, true)
+        });
+    }
+    return tags;
+}
+
+// Where a TIFF tag's values start: in its entry when they fit in 4 bytes, else at its offset
+function readTIFFEntryOffset(view, tag) {
+    const ifd = view.getUint32(4, true);
+    for (let i = 0; i < view.getUint16(ifd, true); i++) {
+        const entry = ifd + 2 + i * 12;
+        if (view.getUint16(entry, true) === tag) {
+            const size = { 1: 1, 2: 1, 3: 2, 4: 4, 12: 8 }[view.getUint16(entry + 2, true)];
+            return size * view.getUint32(entry + 4, true) > 4 ? view.getUint32(entry + 8, true) : entry + 8;
+        }
+    }
+    return null;
+}
+
+test('planExport sizes exports from pixelSize or the longer side', () => {
+    assert.deepEqual(planExport({ bounds: BOUNDS, pixelSize: 0.25 }), { bounds: BOUNDS, width: 12, height: 8 });
+    assert.deepEqual(planExport({ bounds: BOUNDS, size: 300 }), { bounds: BOUNDS, width: 300, height: 200 });
+    assert.throws(() => planExport({ bounds: [12, 59, 9, 61] }), /east > west/);
+    assert.throws(() => planExport({ bounds: BOUNDS, width: 9000, height: 10 }), /limited/);
+});
+
+test('computeRowsInChunks yields to the event loop between chunks', async () => {
+    const rows = [];
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 0);
+    await computeRowsInChunks(10, 8, (row) => rows.push([row, ticks]), { chunkPixels: 20 });
+    clearInterval(timer);
+
+    assert.deepEqual(rows.map(([row]) => row), [0, 1, 2, 3, 4, 5, 6, 7]);
+    assert.equal(rows[0][1], rows[1][1]);       // Rows 0 and 1 make one chunk
+    assert.ok(rows[2][1] > rows[1][1]);         // The next chunk starts after a pause
+});
+
+test('exportPNG writes a valid RGBA PNG of the field', async () => {
+    const layer = createLayer();
+    const blob = await layer.exportPNG({ bounds: BOUNDS, width: WIDTH, height: HEIGHT });
+    const bytes = await readBlob(blob);
+
+    assert.equal(blob.type, 'image/png');
+    assert.deepEqual([...bytes.subarray(0, 8)], [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+    const chunks = readPNGChunks(bytes);
+    assert.deepEqual(chunks.map(({ type }) => type), ['IHDR', 'IDAT', 'IEND']);
+    const header = new DataView(chunks[0].data.buffer, chunks[0].data.byteOffset);
+    assert.equal(header.getUint32(0), WIDTH);
+    assert.equal(header.getUint32(4), HEIGHT);
+    assert.deepEqual([...chunks[0].data.subarray(8)], [8, 6, 0, 0, 0]);
+
+    // Every scanline is unfiltered and matches the CPU rendering
+    const scanlines = inflateSync(chunks[1].data);
+    assert.equal(scanlines.length, (WIDTH * 4 + 1) * HEIGHT);
+    const pixels = await layer.renderImage(BOUNDS, WIDTH, HEIGHT);
+    for (let row = 0; row < HEIGHT; row++) {
+        const start = row * (WIDTH * 4 + 1);
+        assert.equal(scanlines[start], 0);
+        assert.deepEqual([...scanlines.subarray(start + 1, start + 1 + WIDTH * 4)],
+            [...pixels.subarray(row * WIDTH * 4, (row + 1) * WIDTH * 4)]);
+    }
+
+    // Rain near the points, nothing in the corners
+    const alpha = (col, row) => pixels[(row * WIDTH + col) * 4 + 3];
+    assert.ok(alpha(6, 4) > 0);
+    assert.equal(alpha(0, 0), 0);
+    assert.equal(alpha(WIDTH - 1, HEIGHT - 1), 0);
+});
+
+test('renderImage renders the field pass in tiles and reads them back', async () => {
+    // Textures of 8 pixels a side split the export into two tiles; each reads back with
+    // its rows numbered from the framebuffer's first, and the tile's number
+    const gl = createMockGL({ parameters: { MAX_TEXTURE_SIZE: 8 } });
+    const extents = [];
+    let tiles = 0;
+    gl.uniform4fv = (location, value) => extents.push([...value]);
+    gl.readPixels = (x, y, width, height, format, type, pixels) => {
+        tiles++;
+        for (let i = 0; i < width * height; i++) {
+            pixels.set([Math.floor(i / width), tiles, 0, 255], i * 4);
+        }
+    };
+
+    const layer = new PrecipitationLayer('export-test', POINTS, { influenceRadius: 40 });
+    const map = createMockMap();
+    map.triggerRepaint = () => setTimeout(() => layer.prerender(gl, {}), 0);
+    layer.onAdd(map, gl);
+    layer.capabilities.readback = true;
+    const texels = await layer.queueFieldImage(BOUNDS, WIDTH, HEIGHT);
+
+    // Tiles cover the western 8 columns, then the other 4, north edge first
+    assert.equal(tiles, 2);
+    assert.ok(extents.some((extent) => extent.join() === '9,61,11,59'));
+    assert.ok(extents.some((extent) => extent.join() === '11,61,12,59'));
+    for (let row = 0; row < HEIGHT; row++) {
+        for (let col = 0; col < WIDTH; col++) {
+            assert.deepEqual([...texels.subarray((row * WIDTH + col) * 4, (row * WIDTH + col) * 4 + 2)],
+                [row, col < 8 ? 1 : 2]);
+        }
+    }
+    assert.equal(layer.exportQueue.length, 0);
+    assert.equal(layer.exportTarget, null);
+
+    // renderImage() colors what comes back
+    const pixels = await layer.renderImage(BOUNDS, WIDTH, HEIGHT);
+    assert.equal(tiles, 4);
+    assert.equal(pixels.length, WIDTH * HEIGHT * 4);
+});
+
+test('exports waiting for the GPU are rejected when the layer is removed', async () => {
+    const gl = createMockGL();
+    const map = createMockMap();
+    const layer = new PrecipitationLayer('export-test', POINTS);
+    layer.onAdd(map, gl);
+    layer.capabilities.readback = true;
+
+    const png = layer.exportPNG({ bounds: BOUNDS, width: WIDTH, height: HEIGHT });
+    layer.onRemove(map, gl);
+    await assert.rejects(png, /removed before the export was rendered/);
+});
+
+test('exportGeoTIFF writes the sampled field as a Float32 GeoTIFF', async () => {
+    const layer = createLayer();
+    const blob = await layer.exportGeoTIFF({ bounds: BOUNDS, width: WIDTH, height: HEIGHT });
+    const bytes = await readBlob(blob);
+    const view = new DataView(bytes.buffer, bytes.byteOffset);
+
+    assert.equal(blob.type, 'image/tiff');
+    assert.equal(view.getUint16(0), 0x4949);
+    assert.equal(view.getUint16(2, true), 42);
+
+    const tags = readTIFFTags(view);
+    assert.equal(tags.get(256).valueOffset, WIDTH);         // ImageWidth
+    assert.equal(tags.get(257).valueOffset, HEIGHT);        // ImageLength
+    assert.equal(tags.get(258).valueOffset & 0xffff, 32);   // BitsPerSample
+    assert.equal(tags.get(339).valueOffset & 0xffff, 3);    // SampleFormat: float
+    assert.equal(tags.get(279).valueOffset, WIDTH * HEIGHT * 4);
+
+    // Pixel scale in degrees and the tie point at the north-west corner
+    const scale = tags.get(33550).valueOffset;
+    assert.equal(view.getFloat64(scale, true), 0.25);
+    assert.equal(view.getFloat64(scale + 8, true), 0.25);
+    const tiepoint = tags.get(33922).valueOffset;
+    assert.deepEqual([3, 4].map((i) => view.getFloat64(tiepoint + i * 8, true)), [9, 61]);
+
+    // WGS 84 in the GeoKey directory
+    const geoKeys = tags.get(34735);
+    const keys = Array.from({ length: geoKeys.count }, (_, i) => view.getUint16(geoKeys.valueOffset + i * 2, true));
+    assert.ok(keys.join(',').includes('2048,0,1,4326'));
+
+    // NaN is declared as nodata
+    const nodata = readTIFFEntryOffset(view, 42113);
+    assert.equal(tags.get(42113).count, 4);
+    assert.equal(String.fromCharCode(...bytes.subarray(nodata, nodata + 3)), 'nan');
+
+    // The strip holds the queried values, and NaN where no point reaches
+    const strip = tags.get(273).valueOffset;
+    const values = Array.from({ length: WIDTH * HEIGHT }, (_, i) => view.getFloat32(strip + i * 4, true));
+    values.forEach((value, i) => {
+        const position = [BOUNDS[0] + (i % WIDTH + 0.5) * 0.25, BOUNDS[3] - (Math.floor(i / WIDTH) + 0.5) * 0.25];
+        assert.equal(value, layer.isCovered(position) ? Math.fround(layer.queryValue(position)) : NaN);
+    });
+    assert.ok(values.some((value) => value > 0));
+    assert.ok(Number.isNaN(values[0]));
+    assert.ok(Number.isNaN(values[WIDTH * HEIGHT - 1]));
+});
+
+test('exportGeoTIFF writes masked cells as nodata', async () => {
+    const layer = new PrecipitationLayer('export-test', POINTS, { influenceRadius: 40, maxStationDistance: 10 });
+    layer.onAdd(createMockMap(), createMockGL());
+    const blob = await layer.exportGeoTIFF({ bounds: BOUNDS, width: WIDTH, height: HEIGHT });
+    const view = new DataView(await blob.arrayBuffer());
+    const strip = readTIFFTags(view).get(273).valueOffset;
+
+    // Cells the points reach beyond the station distance hold NaN, the others values
+    let masked = 0;
+    for (let i = 0; i < WIDTH * HEIGHT; i++) {
+        const position = [BOUNDS[0] + (i % WIDTH + 0.5) * 0.25, BOUNDS[3] - (Math.floor(i / WIDTH) + 0.5) * 0.25];
+        const value = view.getFloat32(strip + i * 4, true);
+        if (layer.isCovered(position) && layer.isMasked(position)) {
+            assert.ok(Number.isNaN(value));
+            masked++;
+        } else if (layer.isCovered(position)) {
+            assert.equal(value, Math.fround(layer.queryValue(position)));
+        }
+    }
+    assert.ok(masked > 0);
+});
+
+test('encodeGeoTIFF spells descriptions out in ASCII', () => {
+    const field = { bounds: BOUNDS, width: 1, height: 1, values: new Float32Array(1) };
+    const description = (text) => {
+        const bytes = encodeGeoTIFF(field, text);
+        const view = new DataView(bytes.buffer);
+        const { count } = readTIFFTags(view).get(270);
+        const offset = readTIFFEntryOffset(view, 270);
+        return String.fromCharCode(...bytes.subarray(offset, offset + count - 1));
+    };
+
+    assert.equal(description('µg/m³'), 'ug/m3');
+    assert.equal(description('°C'), 'degC');
+    assert.equal(description('Nedbør på Ås'), 'Nedbor pa As');
+    assert.throws(() => description('降水'), /"降" has no ASCII spelling/);
+});
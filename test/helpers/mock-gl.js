@@ -0,0 +1,60 @@
+// Stand-in for a WebGL context, for tests that run without a browser
+//
+// Constants are distinct numbers and every other method is a no-op that returns an
+// object, so the layer can create its resources and draw. The parts capability
+// detection reads (getParameter, getExtension, getShaderPrecisionFormat) come from
+// the options; compiling and linking always succeed.
+
+// Parameters of a roomy desktop GPU, by constant name
+const DEFAULT_PARAMETERS = {
+    MAX_TEXTURE_SIZE: 16384,
+    MAX_TEXTURE_IMAGE_UNITS: 16,
+    MAX_FRAGMENT_UNIFORM_VECTORS: 1024,
+    MAX_VERTEX_TEXTURE_IMAGE_UNITS: 16
+};
+
+// Create a mock context
+// options: version (the VERSION string), parameters (by constant name, over the
+// defaults), extensions (names getExtension() knows) and highp (high precision
+// fragment floats)
+export function createMockGL({
+    version = 'WebGL 2.0',
+    parameters = {},
+    extensions = ['OES_texture_float', 'ANGLE_instanced_arrays'],
+    highp = true
+} = {}) {
+    const constants = new Map();
+    const values = { ...DEFAULT_PARAMETERS, ...parameters };
+    const methods = {
+        getParameter: (parameter) => (parameter === gl.VERSION ? version :
+            values[[...constants].find(([, id]) => id === parameter)?.[0]]),
+        getExtension: (name) => (extensions.includes(name) ? {
+            drawArraysInstancedANGLE() {},
+            vertexAttribDivisorANGLE() {}
+        } : null),
+        getShaderPrecisionFormat: () => ({ precision: highp ? 23 : 0, rangeMin: 127, rangeMax: 127 }),
+        getShaderParameter: () => true,
+        getProgramParameter: () => true,
+        checkFramebufferStatus: () => gl.FRAMEBUFFER_COMPLETE,
+        getAttribLocation: () => 0
+    };
+
+    const gl = new Proxy({ drawingBufferWidth: 800, drawingBufferHeight: 600 }, {
+        get(target, name) {
+            if (name in target || typeof name !== 'string') {
+                return target[name];
+            }
+            if (methods[name]) {
+                return methods[name];
+            }
+            if (/^[A-Z0-9_]+$/.test(name)) {
+                if (!constants.has(name)) {
+                    constants.set(name, 0x1000 + constants.size);
+                }
+                return constants.get(name);
+            }
+            return () => ({});
+        }
+    });
+    return gl;
+}
@@ -0,0 +1,55 @@
+// Stand-in for a MapLibre map, enough for adding a layer and exporting without a browser
+//
+// Sources and style layers added to it are kept in sources and layers, by id, with
+// every setData() call recorded as the source's updates.
+
+// Create a mock map; bounds are [west, south, east, north]
+export function createMockMap(bounds = [-10, 50, 30, 72]) {
+    const listeners = {};
+    const sources = new Map();
+    const layers = new Map();
+    return {
+        on(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        off(type, listener) {
+            listeners[type] = (listeners[type] || []).filter((other) => other !== listener);
+        },
+        // Call the listeners of a map event, as MapLibre would
+        fire(type) {
+            (listeners[type] || []).forEach((listener) => listener({ type }));
+        },
+        triggerRepaint() {},
+        getPixelRatio: () => 1,
+        getZoom: () => 5,
+        getRenderWorldCopies: () => true,
+        getBounds: () => ({
+            getWest: () => bounds[0],
+            getSouth: () => bounds[1],
+            getEast: () => bounds[2],
+            getNorth: () => bounds[3],
+            toArray: () => [[bounds[0], bounds[1]], [bounds[2], bounds[3]]]
+        }),
+        addSource(id, source) {
+            sources.set(id, {
+                ...source,
+                updates: [source.data],
+                setData(data) {
+                    this.updates.push(data);
+                }
+            });
+        },
+        getSource: (id) => sources.get(id),
+        removeSource: (id) => sources.delete(id),
+        addLayer: (layer) => layers.set(layer.id, layer),
+        getLayer: (id) => layers.get(id),
+        getLayoutProperty: (id, name) => layers.get(id)?.layout?.[name],
+        removeLayer: (id) => layers.delete(id),
+        setPaintProperty(id, name, value) {
+            layers.get(id).paint[name] = value;
+        },
+        listeners,
+        sources,
+        layers
+    };
+}
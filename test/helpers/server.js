@@ -0,0 +1,33 @@
+// Local HTTP server for tests that fetch data
+//
+// The tests use Node's built-in runner: node --test test/*.test.js
+// handler(request, response) answers every request; fixture files are served with
+// serveFixture(). The server listens on a free port of the loopback interface.
+
+import { createServer } from 'node:http';
+import { readFileSync } from 'node:fs';
+
+// Read a file of test/fixtures as text
+export function readFixture(name) {
+    return readFileSync(new URL(`../fixtures/${name}`, import.meta.url), 'utf8');
+}
+
+// Answer a request with a fixture file
+export function serveFixture(response, name) {
+    const type = name.endsWith('.csv') ? 'text/csv' : 'application/json';
+    response.writeHead(200, { 'Content-Type': type });
+    response.end(readFixture(name));
+}
+
+// Start a server; resolves to { url, close() } where url has no trailing slash
+export function startServer(handler) {
+    const server = createServer(handler);
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                url: `http://127.0.0.1:${server.address().port}`,
+                close: () => new Promise((done) => server.close(done))
+            });
+        });
+    });
+}
@@ -0,0 +1,40 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createDataset } from '../js/dataset.js';
+import { interpolatePoints } from '../js/interpolation.js';
+import { getModelReach } from '../js/models.js';
+import { DEFAULT_CONFIG } from '../js/config.js';
+import { KM_PER_DEGREE } from '../js/spatial-index.js';
+
+// Position on the equator some km east of 0°
+function east(km) {
+    return [km / KM_PER_DEGREE, 0];
+}
+
+// Value of the field of points at a position, with the dataset sized like the layer sizes it
+function valueAt(points, position, config) {
+    const dataset = createDataset(points, config.influenceRadius, 1, getModelReach(config));
+    return interpolatePoints(dataset, position, config);
+}
+
+test('a Gaussian kernel reaches 3σ whatever the influence radius', () => {
+    const config = { ...DEFAULT_CONFIG, model: 'gaussian', influenceRadius: 25, gaussianSigma: 50 };
+    const points = [{ lng: 0, lat: 0, value: 4 }];
+
+    assert.equal(getModelReach(config), 150);
+    assert.ok(Math.abs(valueAt(points, east(100), config) - 4) < 1e-9);
+    assert.equal(valueAt(points, east(155), config), 0);
+});
+
+test('IDW and Gaussian weights fade to zero at the reach', () => {
+    // A wet station 30 km from a dry one; just inside the wet station's reach the dry one rules
+    const points = [{ lng: 0, lat: 0, value: 1 }, { lng: east(30)[0], lat: 0, value: 0 }];
+
+    const idw = { ...DEFAULT_CONFIG, model: 'idw', influenceRadius: 25, idwPower: 2 };
+    assert.ok(valueAt(points, east(24.99), idw) < 1e-4);
+    assert.ok(valueAt(points, east(20), idw) > 0.01);
+
+    const gaussian = { ...DEFAULT_CONFIG, model: 'gaussian', gaussianSigma: 10 };
+    assert.ok(valueAt(points, east(29.99), { ...gaussian, influenceRadius: 25 }) < 1e-4);
+});
@@ -0,0 +1,290 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LiveSource, diffSnapshots } from '../js/live-source.js';
+import { PrecipitationLayer } from '../js/precipitation-layer.js';
+import { serveFixture, startServer } from './helpers/server.js';
+import { createMockGL } from './helpers/mock-gl.js';
+import { createMockMap } from './helpers/mock-map.js';
+
+// GeoJSON snapshot of stations a and b with the given values
+function snapshot([a, b]) {
+    const feature = (id, lng, value) => ({
+        type: 'Feature',
+        id,
+        geometry: { type: 'Point', coordinates: [lng, 60] },
+        properties: { value }
+    });
+    return JSON.stringify({ type: 'FeatureCollection', features: [feature('a', 10, a), feature('b', 11, b)] });
+}
+
+// Stand-in for the layer, recording the snapshots it is asked to show
+function createLayer() {
+    return {
+        points: [],
+        grid: null,
+        shown: [],
+        transitionPoints(points) {
+            this.shown.push(points);
+        }
+    };
+}
+
+// Resolve once an event has fired count times, with the last event
+function waitFor(source, type, count = 1) {
+    return new Promise((resolve) => {
+        let seen = 0;
+        const listener = (event) => {
+            if (++seen === count) {
+                source.off(type, listener);
+                resolve(event);
+            }
+        };
+        source.on(type, listener);
+    });
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('diffSnapshots sorts points into added, removed, changed and unchanged', () => {
+    const previous = [
+        { id: 1, lng: 10, lat: 60, value: 1 },
+        { id: 2, lng: 11, lat: 60, value: 2 },
+        { lng: 12, lat: 60, value: 3 }
+    ];
+    const next = [
+        { id: 1, lng: 10, lat: 60, value: 1 },
+        { id: 2, lng: 11, lat: 60, value: 5 },
+        { id: 4, lng: 13, lat: 60, value: 4 }
+    ];
+    const diff = diffSnapshots(previous, next);
+
+    assert.deepEqual(diff.added, [next[2]]);
+    assert.deepEqual(diff.removed, [previous[2]]);
+    assert.deepEqual(diff.changed, [{ from: previous[1], to: next[1] }]);
+    assert.equal(diff.unchanged, 1);
+});
+
+test('LiveSource shows changed snapshots and skips unchanged ones', async () => {
+    const snapshots = [snapshot([1, 2]), snapshot([1, 2]), snapshot([1, 3])];
+    let requests = 0;
+    const server = await startServer((request, response) => {
+        response.writeHead(200, { 'Content-Type': 'application/json' });
+        response.end(snapshots[Math.min(requests++, snapshots.length - 1)]);
+    });
+
+    const layer = createLayer();
+    const source = new LiveSource(layer, { url: `${server.url}/live.geojson`, interval: 10 });
+    const data = waitFor(source, 'data', 3);
+    try {
+        source.start();
+        const { diff } = await data;
+        source.stop();
+
+        assert.equal(layer.shown.length, 2);
+        assert.deepEqual(layer.shown[1].map(({ value }) => value), [1, 3]);
+        assert.equal(diff.changed.length, 1);
+        assert.equal(diff.unchanged, 1);
+    } finally {
+        source.stop();
+        await server.close();
+    }
+});
+
+test('LiveSource backs off after failures and recovers', async () => {
+    let requests = 0;
+    const server = await startServer((request, response) => {
+        if (++requests <= 3) {
+            response.writeHead(500);
+            response.end();
+        } else {
+            serveFixture(response, 'stations.geojson');
+        }
+    });
+
+    const layer = createLayer();
+    const source = new LiveSource(layer, { url: `${server.url}/live.geojson`, interval: 5, maxBackoff: 30 });
+    const failures = [];
+    source.on('error', ({ error, failures: count, retryIn }) => failures.push([count, retryIn, error.message]));
+    const data = waitFor(source, 'data');
+    try {
+        source.start();
+        const { points } = await data;
+        source.stop();
+
+        assert.deepEqual(failures.map(([count, retryIn]) => [count, retryIn]), [[1, 10], [2, 20], [3, 30]]);
+        assert.match(failures[0][2], /500/);
+        assert.equal(source.failures, 0);
+        assert.equal(points.length, 2);
+        assert.equal(layer.shown.length, 1);
+    } finally {
+        source.stop();
+        await server.close();
+    }
+});
+
+test('LiveSource ignores a fetch that outlives a restart', async () => {
+    // The first request is held until released; later ones answer at once
+    let requests = 0;
+    let releaseFirst;
+    const server = await startServer((request, response) => {
+        const answer = (values) => {
+            response.writeHead(200, { 'Content-Type': 'application/json' });
+            response.end(snapshot(values));
+        };
+        if (++requests === 1) {
+            releaseFirst = () => answer([1, 1]);
+        } else {
+            answer([2, 2]);
+        }
+    });
+
+    const interval = 500;
+    const layer = createLayer();
+    const source = new LiveSource(layer, { url: `${server.url}/live.geojson`, interval });
+    const events = [];
+    source.on('data', ({ points }) => events.push(points[0].value));
+    try {
+        source.start();
+        while (!releaseFirst) {
+            await sleep(5);
+        }
+
+        const restarted = waitFor(source, 'data');
+        source.stop();
+        source.start();
+        await restarted;
+
+        // The stale response arrives last, but is neither shown nor reschedules
+        releaseFirst();
+        await sleep(100);
+        assert.deepEqual(events, [2]);
+        assert.deepEqual(layer.shown.map((points) => points[0].value), [2]);
+
+        // Stopping leaves no polling behind
+        source.stop();
+        const stoppedAt = requests;
+        await sleep(interval + 200);
+        assert.equal(requests, stoppedAt);
+    } finally {
+        source.stop();
+        await server.close();
+    }
+});
+
+test('diffSnapshots sees changes to any field the layer reads', () => {
+    const base = { id: 1, lng: 10, lat: 60, value: 1 };
+    const changes = [
+        { type: 'snow' },
+        { fractions: { rain: 0.5, snow: 0.5 } },
+        { probability: 0.4 },
+        { spread: 2 },
+        { radius: 50 },
+        { radius: 50, minorRadius: 20 },
+        { radius: 50, orientation: 45 },
+        { u: 30, v: 10 }
+    ];
+
+    changes.forEach((change) => {
+        const diff = diffSnapshots([base], [{ ...base, ...change }]);
+        assert.equal(diff.changed.length, 1, JSON.stringify(change));
+    });
+
+    const before = { ...base, fractions: { rain: 0.5, snow: 0.5 } };
+    assert.equal(diffSnapshots([before], [{ ...before, fractions: { snow: 0.5, rain: 0.5 } }]).unchanged, 1);
+    assert.equal(diffSnapshots([before], [{ ...before, fractions: { rain: 0.5, snow: 0.4 } }]).changed.length, 1);
+});
+
+test('LiveSource keeps polling when the layer or a listener throws', async () => {
+    let requests = 0;
+    const layer = createLayer();
+    layer.transitionPoints = () => {
+        throw new Error('Layer rejected the points');
+    };
+    const source = new LiveSource(layer, {
+        fetch: async () => {
+            requests++;
+            return [{ lng: 10, lat: 60, value: requests }];
+        },
+        interval: 5
+    });
+
+    // The layer's error is reported without counting as a failed fetch, and an
+    // 'error' listener that throws itself is logged rather than ending the polling
+    const errors = [];
+    source.on('error', ({ error, failures, retryIn }) => {
+        errors.push([error.message, failures, retryIn]);
+        throw new Error('Listener failed');
+    });
+    const logged = [];
+    const consoleError = console.error;
+    console.error = (error) => logged.push(error.message);
+    try {
+        source.start();
+        await sleep(60);
+    } finally {
+        source.stop();
+        console.error = consoleError;
+    }
+
+    assert.ok(requests >= 3, `${requests} requests`);
+    assert.deepEqual(errors[0], ['Layer rejected the points', 0, 5]);
+    assert.ok(logged.length > 0 && logged.every((message) => message === 'Listener failed'));
+    assert.equal(source.failures, 0);
+    assert.deepEqual(source.points, []);    // Not taken while the layer rejects it
+
+    // A throwing 'data' listener doesn't stop polling either
+    const data = [];
+    const shown = createLayer();
+    const other = new LiveSource(shown, { fetch: async () => [{ lng: 10, lat: 60, value: data.length }], interval: 5 });
+    other.on('data', ({ points }) => {
+        data.push(points[0].value);
+        throw new Error('Data listener failed');
+    });
+    other.on('error', () => {});
+    try {
+        other.start();
+        await sleep(60);
+    } finally {
+        other.stop();
+    }
+    assert.ok(data.length >= 3, `${data.length} data events`);
+    assert.equal(other.failures, 0);
+});
+
+test('transitionPoints animates each point from its old value to its new one', () => {
+    const before = [
+        { id: 'a', lng: 10, lat: 60, value: 1 },
+        { id: 'b', lng: 11, lat: 60, value: 2 },
+        { id: 'c', lng: 12, lat: 60, value: 3 }
+    ];
+    const after = [
+        { id: 'a', lng: 10, lat: 60, value: 1 },        // Unchanged
+        { id: 'b', lng: 11, lat: 60, value: 4 },        // Changed
+        { id: 'd', lng: 13, lat: 60, value: 5 }         // Added; c is removed
+    ];
+    const layer = new PrecipitationLayer('live', before, { influenceRadius: 20 });
+    layer.onAdd(createMockMap([8, 58, 15, 62]), createMockGL());
+
+    const oldValues = before.map(({ lng, lat }) => layer.queryValue([lng, lat]));
+    layer.transitionPoints(after, 1000, diffSnapshots(before, after));
+    const valueOf = (id) => layer.transition.dataset.points.find((point) => point.id === id).value;
+
+    // The animation starts from the old values, so the field doesn't jump
+    assert.deepEqual(before.map(({ lng, lat }) => layer.queryValue([lng, lat])), oldValues);
+    assert.deepEqual(['a', 'b', 'c', 'd'].map(valueOf), [1, 2, 3, 0]);
+
+    // Halfway with the smoothstep easing, each value is halfway too
+    layer.blendTransition(0.5);
+    assert.deepEqual(['a', 'b', 'c', 'd'].map(valueOf), [1, 3, 1.5, 2.5]);
+
+    layer.blendTransition(1);
+    assert.deepEqual(['a', 'b', 'c', 'd'].map(valueOf), [1, 4, 0, 5]);
+    assert.equal(layer.queryValue([13, 60]), layer.sampleActiveField([13, 60]).value);
+
+    // Once over, the layer draws the new points alone
+    layer.endTransition();
+    assert.equal(layer.transition, null);
+    assert.equal(layer.getActiveDatasets().datasets[0], layer.dataset);
+    assert.deepEqual(layer.dataset.points, after);
+});
@@ -0,0 +1,180 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { parseGeoJSON, parseCSV, parseFrost, parseSMHI, parsePoints, loadPoints } from '../js/loaders.js';
+import { readFixture, serveFixture, startServer } from './helpers/server.js';
+
+test('parseGeoJSON reads Point features and reports the rest', () => {
+    const { points, errors } = parseGeoJSON(readFixture('stations.geojson'));
+
+    assert.deepEqual(points, [
+        { lng: 10.72, lat: 59.94, value: 1.2, id: 'oslo', name: 'Oslo' },
+        { lng: 5.33, lat: 60.38, value: 3.5, id: 'bergen', name: 'Bergen' }
+    ]);
+    assert.deepEqual(errors.map(({ index, message }) => [index, message]), [
+        [2, 'feature is not a Point'],
+        [3, 'value -2 is outside 0 to Infinity'],
+        [4, 'missing or non-numeric value']
+    ]);
+});
+
+test('parseGeoJSON applies a mapping and a value range', () => {
+    const { points, errors } = parseGeoJSON(readFixture('stations.geojson'), {
+        mapping: { value: (properties) => properties.precipitation, name: 'name' },
+        range: [0, 1]
+    });
+
+    assert.equal(points.length, 0);
+    assert.equal(errors[0].message, 'value 1.2 is outside 0 to 1');
+});
+
+test('parseGeoJSON rejects anything but a FeatureCollection', () => {
+    assert.throws(() => parseGeoJSON({ type: 'Feature' }), /FeatureCollection/);
+});
+
+test('parseCSV numbers rows by their line, blank lines included', () => {
+    const { points, errors } = parseCSV(readFixture('stations.csv'));
+
+    assert.deepEqual(points, [
+        { lng: 10.72, lat: 59.94, value: 1.2, id: 'oslo', name: 'Oslo' },
+        { lng: 5.33, lat: 60.38, value: 3.5, id: 'bergen', name: 'Bergen, Florida' },
+        { lng: 5.73, lat: 58.97, value: 0.4, id: 'stavanger', name: 'Stavanger' }
+    ]);
+    assert.equal(errors.length, 1);
+    assert.equal(errors[0].index, 7);
+    assert.equal(errors[0].message, 'missing or non-numeric value');
+    assert.equal(errors[0].record.id, 'tromso');
+});
+
+test('parseCSV counts line breaks inside quoted fields', () => {
+    const text = 'name,lng,lat,value\n"Two\nlines",10,60,1\n\nbad,10,60,x\n';
+    const { errors } = parseCSV(text);
+
+    assert.equal(errors[0].index, 5);
+});
+
+test('parseCSV detects semicolons and decimal commas', () => {
+    const { points, errors } = parseCSV(readFixture('stations-semicolon.csv'), {
+        mapping: { lng: 'Longitude', lat: 'Latitude', value: 'Intensity', name: 'Station' }
+    });
+
+    assert.deepEqual(points, [
+        { lng: 13.19, lat: 55.7, value: 0.8, name: 'Lund' },
+        { lng: 18.3, lat: 57.64, value: 2.1, name: 'Visby' }
+    ]);
+    assert.deepEqual(errors.map(({ index, message }) => [index, message]), [[3, 'missing or non-numeric value']]);
+});
+
+test('parseFrost joins observations with their sources', () => {
+    const { points, errors } = parseFrost(readFixture('frost-observations.json'), readFixture('frost-sources.json'), {
+        elementId: 'sum(precipitation_amount PT1H)'
+    });
+
+    assert.deepEqual(points, [
+        { lng: 10.72, lat: 59.9423, value: 0.7, id: 'SN18700', name: 'OSLO - BLINDERN' },
+        { lng: 5.3327, lat: 60.383, value: 2.4, id: 'SN50540', name: 'BERGEN - FLORIDA' }
+    ]);
+    assert.deepEqual(errors.map(({ index, message }) => [index, message]), [
+        [2, 'no position for source SN99999:0'],
+        [3, 'no sum(precipitation_amount PT1H) for source SN68860:0']
+    ]);
+});
+
+test('parseSMHI takes the latest value of each station', () => {
+    const { points, errors } = parseSMHI(readFixture('smhi-station-set.json'));
+
+    assert.deepEqual(points, [
+        { lng: 18.0549, lat: 59.3417, value: 1.4, id: '98210', name: 'Stockholm' },
+        { lng: 11.9924, lat: 57.7156, value: 0, id: '71420', name: 'Göteborg' }
+    ]);
+    assert.deepEqual(errors.map(({ index, message }) => [index, message]), [[2, 'no value for station 180940']]);
+});
+
+test('parsePoints rejects unknown formats', () => {
+    assert.throws(() => parsePoints('', 'netcdf'), /Unknown data format: netcdf/);
+});
+
+test('loadPoints fetches and parses a URL', async () => {
+    const server = await startServer((request, response) => {
+        if (request.url === '/stations.csv') {
+            serveFixture(response, 'stations.csv');
+        } else {
+            response.writeHead(404);
+            response.end();
+        }
+    });
+
+    try {
+        const updates = [];
+        const layer = { updatePoints: (points) => updates.push(points) };
+        const { points, errors } = await loadPoints(`${server.url}/stations.csv`, 'csv', { layer });
+        assert.equal(points.length, 3);
+        assert.equal(errors.length, 1);
+        assert.deepEqual(updates, [points]);
+
+        await assert.rejects(loadPoints(`${server.url}/missing.json`, 'geojson'), /404/);
+    } finally {
+        await server.close();
+    }
+});
+
+test('parseGeoJSON passes types, confidence, kernels and motion through, checked', () => {
+    const { points, errors } = parseGeoJSON(readFixture('typed-stations.geojson'));
+
+    assert.deepEqual(points, [
+        {
+            lng: 18.95,
+            lat: 69.65,
+            value: 2.1,
+            id: 'tromso',
+            fractions: { snow: 0.7, sleet: 0.3 },
+            probability: 0.8,
+            radius: 60,
+            minorRadius: 25,
+            orientation: 30,
+            u: 40,
+            v: -10
+        },
+        { lng: 14.4, lat: 67.28, value: 1, id: 'bodo', type: 'hail', spread: 0.5 }
+    ]);
+    assert.deepEqual(errors.map(({ index, message }) => [index, message]), [
+        [2, 'Unknown precipitation type: drizzle'],
+        [3, 'Probability of precipitation must be between 0 and 1'],
+        [4, 'Point motion needs both u and v in km/h'],
+        [5, 'non-numeric radius']
+    ]);
+});
+
+test('parseCSV reads type fraction columns and maps optional fields', () => {
+    const { points, errors } = parseCSV(readFixture('typed-stations.csv'), {
+        mapping: {
+            type: 'kind',
+            probability: 'pop',
+            radius: 'kernel',
+            minorRadius: 'kernelMinor',
+            orientation: 'bearing',
+            u: 'east',
+            v: 'north'
+        }
+    });
+
+    assert.deepEqual(points, [
+        {
+            lng: 22.13,
+            lat: 65.58,
+            value: 0.6,
+            id: 'lulea',
+            fractions: { rain: 0.2, snow: 0.8 },
+            probability: 0.9,
+            radius: 40,
+            minorRadius: 20,
+            orientation: 90,
+            u: 12,
+            v: 3
+        },
+        { lng: 20.26, lat: 63.83, value: 0.3, id: 'umea', type: 'snow' }
+    ]);
+    assert.deepEqual(errors.map(({ index, message }) => [index, message]), [
+        [4, 'A point with minorRadius or orientation needs a radius too']
+    ]);
+});
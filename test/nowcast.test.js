@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { advectData } from '../js/nowcast.js';
+import { sampleGrid } from '../js/interpolation.js';
+import { KM_PER_DEGREE } from '../js/spatial-index.js';
+
+// Uniform 4x2 grid of rain, 8° wide, along the equator
+const GRID = { bounds: [170, -1, 178, 1], width: 4, height: 2, values: new Float32Array(8).fill(2) };
+
+// Motion that moves data on the equator by degrees of longitude in an hour
+function eastward(degrees) {
+    return { u: degrees * KM_PER_DEGREE, v: 0 };
+}
+
+// Grid value at a [lng, lat] position
+function sample(grid, position) {
+    return sampleGrid(grid, position, { gridFilter: 'bilinear' });
+}
+
+test('a grid moved across the antimeridian keeps west in -180 to 180', () => {
+    // Straddling 180°: east reaches past it, as grids may
+    const straddling = advectData(GRID, { motion: eastward(6), leadTime: 60 });
+    straddling.bounds.forEach((value, i) => assert.ok(Math.abs(value - [176, -1, 184, 1][i]) < 1e-9));
+    assert.equal(sample(straddling, [178, 0]), 2);
+    assert.equal(sample(straddling, [-178, 0]), 2);
+    assert.equal(sample(straddling, [-170, 0]), 0);
+
+    // All the way past 180°
+    const past = advectData(GRID, { motion: eastward(20), leadTime: 60 });
+    past.bounds.forEach((value, i) => assert.ok(Math.abs(value - [-170, -1, -162, 1][i]) < 1e-9));
+    assert.equal(sample(past, [-166, 0]), 2);
+    assert.equal(sample(past, [174, 0]), 0);
+
+    // Westward past -180°
+    const westward = advectData({ ...GRID, bounds: [-178, -1, -170, 1] }, { motion: eastward(-6), leadTime: 60 });
+    westward.bounds.forEach((value, i) => assert.ok(Math.abs(value - [176, -1, 184, 1][i]) < 1e-9));
+    assert.equal(sample(westward, [179, 0]), 2);
+    assert.equal(sample(westward, [-177, 0]), 2);
+});
+
+test('grid rows moved past a pole are cropped', () => {
+    // Rows 2° high, the top one carrying 1 and the others 2, moved 3° north of 90°
+    const polar = { bounds: [0, 80, 8, 88], width: 4, height: 4, values: new Float32Array(16).fill(2).fill(1, 0, 4) };
+    const moved = advectData(polar, { motion: { u: 0, v: 5 * KM_PER_DEGREE }, leadTime: 60 });
+    moved.bounds.forEach((value, i) => assert.ok(Math.abs(value - [0, 85, 8, 89][i]) < 1e-9));
+    assert.equal(moved.height, 2);
+    assert.deepEqual([...moved.values], new Array(8).fill(2));
+    assert.equal(sample(moved, [4, 86]), 2);
+
+    // Southward in the same way, and off the map entirely
+    const southern = advectData({ ...polar, bounds: [0, -88, 8, -80] }, { motion: { u: 0, v: -3 * KM_PER_DEGREE }, leadTime: 60 });
+    southern.bounds.forEach((value, i) => assert.ok(Math.abs(value - [0, -89, 8, -83][i]) < 1e-9));
+    assert.deepEqual([...southern.values], [...polar.values.slice(0, 12)]);
+    assert.throws(() => advectData(polar, { motion: { u: 0, v: 20 * KM_PER_DEGREE }, leadTime: 60 }), /past a pole/);
+});
+
+test('points moved across the antimeridian wrap to -180 to 180', () => {
+    const points = [
+        { lng: 178, lat: 0, value: 1 },
+        { lng: -178, lat: 0, value: 1, u: -4 * KM_PER_DEGREE, v: 0 },
+        { lng: 10, lat: 0, value: 1, u: 0, v: 0 }
+    ];
+    const moved = advectData(points, { motion: eastward(4), leadTime: 60 });
+    assert.ok(Math.abs(moved[0].lng - -178) < 1e-9);
+    assert.ok(Math.abs(moved[1].lng - 178) < 1e-9);
+    assert.equal(moved[2].lng, 10);
+});